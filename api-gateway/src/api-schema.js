@@ -0,0 +1,265 @@
+// Request schemas of the gateway routes, keyed by "<METHOD> <path>"
+//
+// index.js validates requests against them (see shared/validation) and
+// openapi.js documents the API from them. A route changing what it accepts
+// changes here.
+
+const productId = { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$', description: 'Product ID' };
+const quantity = { type: 'integer', minimum: 1, maximum: 1000 };
+const uuid = description => ({ type: 'string', format: 'uuid', description });
+const currency = {
+  type: 'string',
+  pattern: '^[A-Za-z]{3}$',
+  description: 'ISO 4217 code of a currency in the rate table; defaults to the base currency'
+};
+const reason = { type: 'string', maxLength: 500, description: 'Kept in the status history' };
+
+// catalog-svc's search parameters, passed through by GET /products
+const productSearch = {
+  q: { type: 'string', maxLength: 256, description: 'Full-text search' },
+  category: { type: 'array', items: { type: 'string', maxLength: 64 }, description: 'Categories, comma-separated' },
+  tags: { type: 'array', items: { type: 'string', maxLength: 64 }, description: 'Tags, comma-separated' },
+  minPrice: { type: 'number', minimum: 0 },
+  maxPrice: { type: 'number', minimum: 0 },
+  sort: { type: 'string', enum: ['relevance', 'price_asc', 'price_desc', 'name_asc', 'name_desc'] },
+  from: { type: 'integer', minimum: 0, maximum: 10000 },
+  size: { type: 'integer', minimum: 1, maximum: 100 },
+  cursor: { type: 'string', pattern: '^[A-Za-z0-9_-]+$', description: 'nextCursor of the previous page' }
+};
+
+// Statuses order-svc's PATCH /order/:id/status accepts, and its notification types
+const FULFILMENT_STATUSES = ['fulfilled', 'shipped', 'delivered'];
+const NOTIFICATION_TYPES = ['order-confirmed', 'order-payment-failed', 'order-cancelled', 'order-refunded', 'order-shipped'];
+
+const bearerAuth = [{ bearerAuth: [] }];
+const orderParams = { type: 'object', required: ['id'], properties: { id: uuid('Order ID') } };
+const reasonBody = { type: 'object', additionalProperties: false, properties: { reason } };
+const unsubscribeQuery = {
+  type: 'object',
+  properties: {
+    token: { type: 'string', maxLength: 1024, description: 'Signed token of an unsubscribe link; signed-in customers can leave it out' }
+  }
+};
+
+const ROUTES = {
+  'GET /products': {
+    summary: 'Search and list products',
+    query: { type: 'object', properties: { ...productSearch, currency } },
+    responses: { 200: 'A page of products with display prices' }
+  },
+  'GET /products/:id': {
+    summary: 'Get a product',
+    params: { type: 'object', required: ['id'], properties: { id: productId } },
+    query: { type: 'object', properties: { currency } },
+    responses: { 200: 'The product with its display price', 404: 'No such product' }
+  },
+  'POST /internal/catalog-changes': {
+    summary: 'Drop cached responses of changed products',
+    description: 'Called by catalog-svc with the X-Catalog-Changes-Token header.',
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        productIds: { type: 'array', maxItems: 1000, items: productId },
+        all: { type: 'boolean', enum: [true] }
+      },
+      anyOf: [{ required: ['productIds'] }, { required: ['all'] }]
+    },
+    responses: { 200: 'How many cached responses were dropped', 401: 'Invalid token' }
+  },
+  'POST /cart': {
+    summary: 'Create an empty cart',
+    responses: { 201: 'The cart' }
+  },
+  'GET /cart/:id': {
+    summary: 'Get a cart priced in the display currency',
+    params: { type: 'object', required: ['id'], properties: { id: uuid('Cart ID') } },
+    query: { type: 'object', properties: { currency } },
+    responses: { 200: 'The cart with line and cart totals', 404: 'No such cart or product' }
+  },
+  'PUT /cart/:id/items': {
+    summary: 'Add a product to a cart or change its quantity',
+    params: { type: 'object', required: ['id'], properties: { id: uuid('Cart ID') } },
+    body: {
+      type: 'object',
+      required: ['productId', 'quantity'],
+      additionalProperties: false,
+      properties: { productId, quantity }
+    },
+    responses: { 200: 'The cart', 404: 'No such cart or product' }
+  },
+  'DELETE /cart/:id/items/:productId': {
+    summary: 'Remove a product from a cart',
+    params: {
+      type: 'object',
+      required: ['id', 'productId'],
+      properties: { id: uuid('Cart ID'), productId }
+    },
+    responses: { 200: 'The cart', 404: 'No such cart' }
+  },
+  'POST /checkout': {
+    summary: 'Check out a cart, a list of items or a single product',
+    description: 'Role: customer. Honors an Idempotency-Key header.',
+    security: bearerAuth,
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        cartId: uuid('Cart to check out; deleted once it becomes an order'),
+        items: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 50,
+          items: {
+            type: 'object',
+            required: ['productId', 'quantity'],
+            additionalProperties: false,
+            properties: { productId, quantity }
+          }
+        },
+        productId,
+        quantity,
+        currency,
+        customerEmail: { type: 'string', format: 'email', description: 'Must match the token when given' },
+        locale: { type: 'string', maxLength: 35, description: 'BCP 47 tag for emails; defaults to Accept-Language' },
+        cardToken: { type: 'string', maxLength: 256 }
+      },
+      anyOf: [{ required: ['cartId'] }, { required: ['items'] }, { required: ['productId', 'quantity'] }]
+    },
+    responses: {
+      201: 'The order',
+      202: 'The order, in payment_review: the payment is held for review',
+      403: 'The token has no or another email',
+      404: 'No such cart or product',
+      409: 'Insufficient stock',
+      429: 'Too many checkouts'
+    }
+  },
+  'GET /orders/:id': {
+    summary: 'Get an order with its status history',
+    description: 'Roles: customer (own orders), support, admin.',
+    security: bearerAuth,
+    params: orderParams,
+    responses: { 200: 'The order', 404: 'No such order' }
+  },
+  'POST /orders/:id/cancel': {
+    summary: 'Cancel an order and give the payment back',
+    description: 'Roles: customer (own orders), support, admin.',
+    security: bearerAuth,
+    params: orderParams,
+    body: reasonBody,
+    responses: { 200: 'The order', 404: 'No such order', 409: 'The order can no longer be cancelled' }
+  },
+  'POST /orders/:id/refund': {
+    summary: 'Refund a paid order',
+    description: 'Roles: support, admin.',
+    security: bearerAuth,
+    params: orderParams,
+    body: reasonBody,
+    responses: { 200: 'The order', 404: 'No such order', 409: 'The order cannot be refunded' }
+  },
+  'POST /orders/:id/review': {
+    summary: 'Approve or decline a payment held for review',
+    description: 'Roles: support, admin. The order ends up paid or payment_failed.',
+    security: bearerAuth,
+    params: orderParams,
+    body: {
+      type: 'object',
+      required: ['approve'],
+      additionalProperties: false,
+      properties: { approve: { type: 'boolean' }, reason }
+    },
+    responses: {
+      200: 'The order',
+      404: 'No such order',
+      409: 'The order payment is not held for review',
+      502: 'The review could not be resolved'
+    }
+  },
+  'PATCH /orders/:id/status': {
+    summary: 'Move an order through fulfilment',
+    description: 'Role: admin. Cancellations, refunds and payment reviews have their own endpoints.',
+    security: bearerAuth,
+    params: orderParams,
+    body: {
+      type: 'object',
+      required: ['status'],
+      additionalProperties: false,
+      properties: { status: { type: 'string', enum: FULFILMENT_STATUSES }, reason }
+    },
+    responses: { 200: 'The order', 404: 'No such order', 409: 'The transition is not allowed' }
+  },
+  'GET /admin/outbox': {
+    summary: 'List order events that have not been published',
+    description: 'Role: admin.',
+    security: bearerAuth,
+    query: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'array',
+          items: { type: 'string', enum: ['pending', 'failed', 'delivered'] },
+          description: 'Event statuses, comma-separated; defaults to pending,failed'
+        },
+        size: { type: 'integer', minimum: 1, maximum: 1000 }
+      }
+    },
+    responses: { 200: 'The events' }
+  },
+  'POST /admin/outbox/:eventId/replay': {
+    summary: 'Publish an order event again',
+    description: 'Role: admin.',
+    security: bearerAuth,
+    params: { type: 'object', required: ['eventId'], properties: { eventId: uuid('Outbox event ID') } },
+    responses: { 202: 'The event is queued', 404: 'No such event' }
+  },
+  'GET /preferences': {
+    summary: 'Get the notification types a customer receives',
+    query: unsubscribeQuery,
+    responses: { 200: 'The preferences', 401: 'Invalid or missing token' }
+  },
+  'PUT /preferences': {
+    summary: 'Turn notification types on or off',
+    query: unsubscribeQuery,
+    body: {
+      type: 'object',
+      required: ['notifications'],
+      additionalProperties: false,
+      properties: {
+        notifications: {
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: false,
+          properties: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, { type: 'boolean' }]))
+        }
+      }
+    },
+    responses: { 200: 'The preferences', 401: 'Invalid or missing token' }
+  },
+  'GET /unsubscribe': {
+    summary: 'Show what an unsubscribe link turns off',
+    description: 'Changes nothing. Browsers get a confirmation page whose button POSTs the same URL; other clients get the types and the current preferences.',
+    query: {
+      type: 'object',
+      properties: { ...unsubscribeQuery.properties, type: { type: 'string', enum: NOTIFICATION_TYPES } }
+    },
+    responses: { 200: 'The types it turns off and the current preferences', 401: 'Invalid or missing token' }
+  },
+  'POST /unsubscribe': {
+    summary: 'Turn off one notification type, or all of them',
+    description: 'The confirmation page\'s button and the one-click unsubscribe of mail clients (RFC 8058).',
+    query: {
+      type: 'object',
+      properties: { ...unsubscribeQuery.properties, type: { type: 'string', enum: NOTIFICATION_TYPES } }
+    },
+    responses: { 200: 'The types turned off and the preferences', 401: 'Invalid or missing token' }
+  },
+  'GET /health': {
+    summary: 'Gateway health with the state of each downstream circuit',
+    responses: { 200: 'UP, or DEGRADED while a circuit is not closed' }
+  }
+};
+
+module.exports = {
+  ROUTES
+};
@@ -0,0 +1,266 @@
+// Bearer token authentication and role checks
+//
+// Clients send `Authorization: Bearer <JWT>`. Tokens are verified locally,
+// against either or both of:
+//
+//   JWT_SECRET                  shared secret for HS256/HS384/HS512 tokens
+//   JWT_JWKS / JWT_JWKS_FILE    JSON Web Key Set for RS*, PS*, ES* (and oct
+//                               keys for HS*) tokens; the token's `kid`
+//                               picks the key
+//
+// JWT_ISSUER and JWT_AUDIENCE, when set, must match the `iss` and `aud`
+// claims. Tokens must carry `exp` and `sub`. Clock skew of
+// JWT_CLOCK_TOLERANCE_S seconds (default 30) is allowed.
+//
+// The user is taken from the claims: `sub` is the user id, `email` the
+// customer's address and the roles claim (JWT_ROLES_CLAIM, default `roles`;
+// an array or a space-separated string) their roles. Unknown roles are
+// ignored and tokens without roles get `customer`.
+const crypto = require('crypto');
+const fs = require('fs');
+const { sendProblem } = require('@mini-shop/validation');
+
+const ROLES = ['customer', 'support', 'admin'];
+
+// How each JWS algorithm is verified
+const ALGORITHMS = {
+  HS256: { type: 'hmac', hash: 'sha256' },
+  HS384: { type: 'hmac', hash: 'sha384' },
+  HS512: { type: 'hmac', hash: 'sha512' },
+  RS256: { type: 'RSA', hash: 'sha256' },
+  RS384: { type: 'RSA', hash: 'sha384' },
+  RS512: { type: 'RSA', hash: 'sha512' },
+  PS256: { type: 'RSA', hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { type: 'RSA', hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { type: 'RSA', hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { type: 'EC', hash: 'sha256' },
+  ES384: { type: 'EC', hash: 'sha384' },
+  ES512: { type: 'EC', hash: 'sha512' }
+};
+
+class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+function decodeSegment(segment, what) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    value = null;
+  }
+  if (!value || typeof value !== 'object') {
+    throw new AuthenticationError(`Malformed token ${what}`);
+  }
+  return value;
+}
+
+// Turn a JWKS into verification keys. HMAC keys stay buffers; the others
+// become KeyObjects.
+function importJwks(jwks) {
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new Error('JWKS must be an object with a "keys" array');
+  }
+  return jwks.keys
+    .filter(jwk => !jwk.use || jwk.use === 'sig')
+    .map(jwk => ({
+      kid: jwk.kid,
+      alg: jwk.alg,
+      type: jwk.kty === 'oct' ? 'hmac' : jwk.kty,
+      key: jwk.kty === 'oct'
+        ? Buffer.from(jwk.k, 'base64url')
+        : crypto.createPublicKey({ key: jwk, format: 'jwk' })
+    }));
+}
+
+function verifySignature(algorithm, key, signingInput, signature) {
+  try {
+    return checkSignature(algorithm, key, signingInput, signature);
+  } catch (error) {
+    // A signature that does not fit the key, for instance
+    return false;
+  }
+}
+
+function checkSignature(algorithm, key, signingInput, signature) {
+  if (algorithm.type === 'hmac') {
+    const expected = crypto.createHmac(algorithm.hash, key).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  const options = { key };
+  if (algorithm.padding) {
+    options.padding = algorithm.padding;
+    options.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  // JWS carries ECDSA signatures as raw r || s
+  if (algorithm.type === 'EC') options.dsaEncoding = 'ieee-p1363';
+  return crypto.verify(algorithm.hash, Buffer.from(signingInput), options, signature);
+}
+
+function parseRoles(value) {
+  const roles = Array.isArray(value)
+    ? value
+    : typeof value === 'string' ? value.split(' ') : [];
+  const known = roles.filter(role => ROLES.includes(role));
+  return known.length > 0 ? known : ['customer'];
+}
+
+function createAuthenticator({
+  secret,
+  jwks,
+  issuer,
+  audience,
+  clockToleranceSec = 30,
+  rolesClaim = 'roles'
+} = {}) {
+  const keys = jwks ? importJwks(jwks) : [];
+  if (secret) keys.push({ type: 'hmac', key: Buffer.from(secret) });
+
+  // Keys that may verify a token, matched on kid and key type
+  function candidateKeys(header, algorithm) {
+    return keys.filter(entry =>
+      entry.type === algorithm.type &&
+      (!entry.alg || entry.alg === header.alg) &&
+      (!header.kid || !entry.kid || entry.kid === header.kid));
+  }
+
+  function checkClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number') {
+      throw new AuthenticationError('Token has no expiry');
+    }
+    if (claims.exp + clockToleranceSec < now) {
+      throw new AuthenticationError('Token has expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - clockToleranceSec > now) {
+      throw new AuthenticationError('Token is not valid yet');
+    }
+    if (issuer && claims.iss !== issuer) {
+      throw new AuthenticationError('Token issuer is not accepted');
+    }
+    if (audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(audience)) {
+        throw new AuthenticationError('Token audience is not accepted');
+      }
+    }
+    if (!claims.sub) {
+      throw new AuthenticationError('Token has no subject');
+    }
+  }
+
+  return {
+    enabled: keys.length > 0,
+
+    // Verify a compact JWT and return its claims. Throws AuthenticationError.
+    verify(token) {
+      const parts = String(token).split('.');
+      if (parts.length !== 3) {
+        throw new AuthenticationError('Malformed token');
+      }
+
+      const header = decodeSegment(parts[0], 'header');
+      const algorithm = ALGORITHMS[header.alg];
+      if (!algorithm) {
+        throw new AuthenticationError(`Unsupported token algorithm: ${header.alg}`);
+      }
+
+      const signingInput = `${parts[0]}.${parts[1]}`;
+      const signature = Buffer.from(parts[2], 'base64url');
+      const verified = candidateKeys(header, algorithm)
+        .some(entry => verifySignature(algorithm, entry.key, signingInput, signature));
+      if (!verified) {
+        throw new AuthenticationError('Invalid token signature');
+      }
+
+      const claims = decodeSegment(parts[1], 'payload');
+      checkClaims(claims);
+      return claims;
+    },
+
+    // The user a token's claims describe
+    userFromClaims(claims) {
+      return {
+        id: String(claims.sub),
+        email: typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : null,
+        roles: parseRoles(claims[rolesClaim])
+      };
+    }
+  };
+}
+
+// Express middleware that sets req.user from a bearer token. Requests
+// without a token pass through anonymously; invalid tokens get 401.
+function authenticate({ authenticator, logger }) {
+  return (req, res, next) => {
+    const header = req.get('Authorization');
+    if (!header) return next();
+
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    if (!match) {
+      return sendProblem(res, { type: 'unauthorized', detail: 'Authorization header must be "Bearer <token>"' });
+    }
+    if (!authenticator.enabled) {
+      return sendProblem(res, { type: 'unavailable', detail: 'Authentication is not configured' });
+    }
+
+    let claims;
+    try {
+      claims = authenticator.verify(match[1]);
+    } catch (error) {
+      if (!(error instanceof AuthenticationError)) throw error;
+      logger.warn({ msg: 'Rejected bearer token', reason: error.message });
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return sendProblem(res, { type: 'unauthorized', detail: error.message });
+    }
+
+    req.user = authenticator.userFromClaims(claims);
+    next();
+  };
+}
+
+// Express middleware allowing only authenticated users with one of the roles
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendProblem(res, { type: 'unauthorized', detail: 'Authentication required' });
+    }
+    if (!req.user.roles.some(role => roles.includes(role))) {
+      return sendProblem(res, { type: 'forbidden', detail: `Requires one of the roles: ${roles.join(', ')}` });
+    }
+    next();
+  };
+}
+
+// Authenticator settings from JWT_* variables
+function loadAuthOptions(env = process.env) {
+  let jwks = null;
+  if (env.JWT_JWKS) {
+    jwks = JSON.parse(env.JWT_JWKS);
+  } else if (env.JWT_JWKS_FILE) {
+    jwks = JSON.parse(fs.readFileSync(env.JWT_JWKS_FILE, 'utf8'));
+  }
+
+  return {
+    secret: env.JWT_SECRET || null,
+    jwks,
+    issuer: env.JWT_ISSUER || null,
+    audience: env.JWT_AUDIENCE || null,
+    clockToleranceSec: parseInt(env.JWT_CLOCK_TOLERANCE_S || '30', 10),
+    rolesClaim: env.JWT_ROLES_CLAIM || 'roles'
+  };
+}
+
+module.exports = {
+  ROLES,
+  AuthenticationError,
+  createAuthenticator,
+  authenticate,
+  requireRole,
+  loadAuthOptions
+};
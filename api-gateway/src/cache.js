@@ -0,0 +1,137 @@
+// Read-through cache for GET responses
+//
+// Successful JSON responses are kept for a per-route TTL, keyed on the path
+// and query string, and served from memory until they expire or are
+// invalidated. Each entry has an ETag computed from its body; Express answers
+// 304 Not Modified to requests whose If-None-Match matches it.
+//
+// Entries carry tags, such as `product:<id>`, so a change to one product can
+// drop every response that contains it. The cache is local to this gateway
+// instance.
+const crypto = require('crypto');
+const { trace } = require('@opentelemetry/api');
+
+function createResponseCache({ maxEntries = 1000 } = {}) {
+  // Map iteration order is insertion order; hits are moved to the end, so the
+  // first entry is the least recently used
+  const entries = new Map();
+  // Bumped by every invalidation. A response fetched while it changed may
+  // be stale, so it is not stored.
+  let generation = 0;
+
+  return {
+    get generation() {
+      return generation;
+    },
+
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    // Store a response fetched during `fetchedIn` (a generation). Returns the
+    // entry, stored or not.
+    set(key, { payload, tags = [], ttlMs, fetchedIn = generation }) {
+      const entry = {
+        payload,
+        tags,
+        etag: `"${crypto.createHash('sha256').update(payload).digest('base64url').slice(0, 27)}"`,
+        storedAt: Date.now(),
+        expiresAt: Date.now() + ttlMs
+      };
+      if (fetchedIn !== generation) return entry;
+
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return entry;
+    },
+
+    // Drop the entries carrying any of the tags. Returns how many were dropped.
+    invalidate(tags) {
+      generation++;
+      let dropped = 0;
+      for (const [key, entry] of entries) {
+        if (entry.tags.some(tag => tags.includes(tag))) {
+          entries.delete(key);
+          dropped++;
+        }
+      }
+      return dropped;
+    },
+
+    clear() {
+      generation++;
+      const dropped = entries.size;
+      entries.clear();
+      return dropped;
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+// Query parameters in a fixed order, so ?a=1&b=2 and ?b=2&a=1 share an entry
+function cacheKey(req) {
+  const params = new URLSearchParams();
+  for (const name of Object.keys(req.query).sort()) {
+    for (const value of [].concat(req.query[name])) params.append(name, String(value));
+  }
+  const query = params.toString();
+  return query ? `${req.path}?${query}` : req.path;
+}
+
+// Express middleware caching a route's 200 responses. `tags(req, body)`
+// returns the tags of a response. A TTL of 0 turns caching off.
+function cached({ cache, route, ttlMs, tags = () => [] }) {
+  return (req, res, next) => {
+    if (ttlMs <= 0) return next();
+
+    const key = cacheKey(req);
+    const hit = cache.get(key);
+    const span = trace.getActiveSpan();
+    if (span) {
+      span.setAttributes({ 'cache.route': route, 'cache.hit': Boolean(hit) });
+    }
+
+    if (hit) {
+      res.set({
+        'ETag': hit.etag,
+        'Age': String(Math.floor((Date.now() - hit.storedAt) / 1000)),
+        'X-Cache': 'HIT'
+      });
+      // res.send answers 304 when If-None-Match matches the ETag
+      return res.type('json').send(hit.payload);
+    }
+
+    res.set('X-Cache', 'MISS');
+    const fetchedIn = cache.generation;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode !== 200) return json(body);
+
+      const payload = JSON.stringify(body);
+      const entry = cache.set(key, { payload, tags: tags(req, body), ttlMs, fetchedIn });
+      res.set('ETag', entry.etag);
+      return res.type('json').send(payload);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  createResponseCache,
+  cached
+};
@@ -0,0 +1,91 @@
+// In-memory shopping cart store for the API Gateway
+//
+// A cart created by a signed-in user belongs to that user. An anonymous cart
+// is claimed by the first signed-in user who uses it. Other users cannot see,
+// change or check out a cart that belongs to someone.
+const crypto = require('crypto');
+
+// Carts that have not been touched for this long are dropped by the sweep,
+// or on the next access
+const CART_TTL_MS = parseInt(process.env.CART_TTL_MS || '86400000', 10);
+
+const carts = new Map();
+
+function isExpired(cart) {
+  return Date.now() - Date.parse(cart.updatedAt) > CART_TTL_MS;
+}
+
+// Create an empty cart, owned by `userId` when given
+function createCart(userId) {
+  const now = new Date().toISOString();
+  const cart = {
+    id: crypto.randomUUID(),
+    ownerId: userId || null,
+    items: [],
+    createdAt: now,
+    updatedAt: now
+  };
+  carts.set(cart.id, cart);
+  return cart;
+}
+
+// Get a cart by ID for `userId` (undefined when anonymous), or null if it
+// does not exist, has expired or belongs to another user
+function getCart(cartId, userId) {
+  const cart = carts.get(cartId);
+  if (!cart) return null;
+
+  if (isExpired(cart)) {
+    carts.delete(cartId);
+    return null;
+  }
+  if (cart.ownerId && cart.ownerId !== userId) return null;
+  if (!cart.ownerId && userId) cart.ownerId = userId;
+  return cart;
+}
+
+// Set the quantity of a product in the cart, adding the line if needed
+function setItem(cartId, userId, productId, quantity) {
+  const cart = getCart(cartId, userId);
+  if (!cart) return null;
+
+  const existing = cart.items.find(item => item.productId === productId);
+  if (existing) {
+    existing.quantity = quantity;
+  } else {
+    cart.items.push({ productId, quantity });
+  }
+  cart.updatedAt = new Date().toISOString();
+  return cart;
+}
+
+// Remove a product line from the cart
+function removeItem(cartId, userId, productId) {
+  const cart = getCart(cartId, userId);
+  if (!cart) return null;
+
+  cart.items = cart.items.filter(item => item.productId !== productId);
+  cart.updatedAt = new Date().toISOString();
+  return cart;
+}
+
+// Delete a cart, e.g. once it has been checked out
+function deleteCart(cartId) {
+  return carts.delete(cartId);
+}
+
+// Drop expired carts, so abandoned ones do not pile up in memory
+function sweep() {
+  for (const [cartId, cart] of carts) {
+    if (isExpired(cart)) carts.delete(cartId);
+  }
+}
+
+module.exports = {
+  createCart,
+  getCart,
+  setItem,
+  removeItem,
+  deleteCart,
+  sweep
+};
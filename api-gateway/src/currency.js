@@ -0,0 +1,107 @@
+// Exchange rates and rounding for showing and charging prices in other currencies
+//
+// The rate table is read as JSON from FX_RATES or from the file named by
+// FX_RATES_FILE:
+//
+//   {
+//     "base": "USD",
+//     "rates": { "USD": 1, "EUR": 0.92, "JPY": 151.5 },
+//     "rounding": { "JPY": { "decimals": 0 }, "CHF": { "increment": 0.05 } }
+//   }
+//
+// `rates` gives how much of each currency one unit of `base` buys. Order
+// base amounts are reported in `base`. Rounding rules set the `decimals`
+// (default 2), an optional cash `increment` and the `mode` ('half_up',
+// 'up' or 'down'; default 'half_up') per currency.
+const fs = require('fs');
+
+const DEFAULT_TABLE = {
+  base: 'USD',
+  rates: { USD: 1, EUR: 0.92, GBP: 0.79, JPY: 151.5, CAD: 1.37, AUD: 1.52, CHF: 0.88 },
+  rounding: {
+    JPY: { decimals: 0 },
+    CHF: { decimals: 2, increment: 0.05 }
+  }
+};
+
+// Each mode rounds a count of increments. The nudges absorb floating point
+// error, such as 2.675 being stored as 2.67499...
+const ROUNDING_MODES = {
+  half_up: units => Math.round(units + 1e-9),
+  up: units => Math.ceil(units - 1e-9),
+  down: units => Math.floor(units + 1e-9)
+};
+
+class UnsupportedCurrencyError extends Error {
+  constructor(currency, supported) {
+    super(`Unsupported currency: ${currency}. Supported currencies: ${supported.join(', ')}`);
+    this.name = 'UnsupportedCurrencyError';
+    this.currency = currency;
+  }
+}
+
+function compileRounding(currency, rule = {}) {
+  const decimals = rule.decimals === undefined ? 2 : rule.decimals;
+  const increment = rule.increment || 10 ** -decimals;
+  const roundUnits = ROUNDING_MODES[rule.mode || 'half_up'];
+  if (!roundUnits) {
+    throw new Error(`Unknown rounding mode for ${currency}: ${rule.mode}`);
+  }
+
+  // Fixing the decimals drops tails like 1.1500000000000001
+  return amount => Number((roundUnits(amount / increment) * increment).toFixed(decimals));
+}
+
+function createFxTable({ base, rates, rounding = {} } = DEFAULT_TABLE) {
+  if (!rates || rates[base] !== 1) {
+    throw new Error(`Exchange rate table must list its base currency ${base} with a rate of 1`);
+  }
+
+  const currencies = Object.keys(rates);
+  const rounders = new Map(currencies.map(code => [code, compileRounding(code, rounding[code])]));
+
+  function assertSupported(currency) {
+    if (!rounders.has(currency)) {
+      throw new UnsupportedCurrencyError(currency, currencies);
+    }
+  }
+
+  return {
+    base,
+    currencies,
+
+    supports(currency) {
+      return rounders.has(currency);
+    },
+
+    // Round an amount by the currency's rounding rule
+    round(amount, currency) {
+      assertSupported(currency);
+      return rounders.get(currency)(amount);
+    },
+
+    // Convert an amount between currencies and round it for `to`
+    convert(amount, from, to) {
+      assertSupported(from);
+      assertSupported(to);
+      if (from === to) return rounders.get(to)(amount);
+      return rounders.get(to)(amount / rates[from] * rates[to]);
+    }
+  };
+}
+
+function loadFxTable(env = process.env) {
+  if (env.FX_RATES) {
+    return createFxTable(JSON.parse(env.FX_RATES));
+  }
+  if (env.FX_RATES_FILE) {
+    return createFxTable(JSON.parse(fs.readFileSync(env.FX_RATES_FILE, 'utf8')));
+  }
+  return createFxTable(DEFAULT_TABLE);
+}
+
+module.exports = {
+  UnsupportedCurrencyError,
+  createFxTable,
+  loadFxTable
+};
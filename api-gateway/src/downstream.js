@@ -0,0 +1,205 @@
+// HTTP clients for the services behind the gateway
+//
+// Each downstream gets its own client with:
+//
+//   - a timeout on every request
+//   - retries with jittered exponential backoff, for GETs only: other methods
+//     may have had an effect even when the response was lost
+//   - a circuit breaker. After `failureThreshold` failures in a row the
+//     circuit opens and requests fail at once with CircuitOpenError. After
+//     `resetTimeoutMs` one probe request is let through (half-open); its
+//     success closes the circuit, its failure opens it again.
+//
+// Failures are network errors, timeouts and 5xx responses. 4xx responses are
+// the downstream working as it should.
+//
+// Settings come from <PREFIX>_TIMEOUT_MS, <PREFIX>_RETRIES,
+// <PREFIX>_BREAKER_THRESHOLD and <PREFIX>_BREAKER_RESET_MS, where PREFIX is
+// the one of the service's URL variable (CATALOG_SVC, ORDER_SVC).
+const axios = require('axios');
+const { trace } = require('@opentelemetry/api');
+
+// Server errors worth another try; others will most likely fail again
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+class CircuitOpenError extends Error {
+  constructor(downstream, retryAfterMs) {
+    super(`${downstream} is unavailable`);
+    this.name = 'CircuitOpenError';
+    this.downstream = downstream;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function addSpanEvent(name, attributes) {
+  const span = trace.getActiveSpan();
+  if (span) span.addEvent(name, attributes);
+}
+
+function createCircuitBreaker({ name, failureThreshold = 5, resetTimeoutMs = 30000, logger }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let probing = false;
+
+  function transition(to) {
+    const from = state;
+    state = to;
+    logger.warn({ msg: `Circuit breaker for ${name} is now ${to}`, downstream: name, from, to });
+    addSpanEvent('circuit_breaker.state_change', {
+      'circuit_breaker.name': name,
+      'circuit_breaker.state': to,
+      'circuit_breaker.previous_state': from
+    });
+  }
+
+  function open() {
+    openedAt = Date.now();
+    probing = false;
+    transition('open');
+  }
+
+  return {
+    // Ask to send a request. Throws CircuitOpenError when the circuit is
+    // open, or half-open with its probe already on the way.
+    acquire() {
+      if (state === 'open' && Date.now() - openedAt >= resetTimeoutMs) {
+        transition('half_open');
+      }
+      if (state === 'closed') return;
+      if (state === 'half_open' && !probing) {
+        probing = true;
+        return;
+      }
+
+      const retryAfterMs = Math.max(0, openedAt + resetTimeoutMs - Date.now());
+      addSpanEvent('circuit_breaker.rejected', {
+        'circuit_breaker.name': name,
+        'circuit_breaker.state': state
+      });
+      throw new CircuitOpenError(name, retryAfterMs);
+    },
+
+    success() {
+      failures = 0;
+      if (state === 'half_open') {
+        probing = false;
+        openedAt = null;
+        transition('closed');
+      }
+    },
+
+    failure() {
+      failures++;
+      if (state === 'half_open' || (state === 'closed' && failures >= failureThreshold)) {
+        open();
+      }
+    },
+
+    snapshot() {
+      return {
+        state,
+        consecutiveFailures: failures,
+        ...(openedAt && { openedAt: new Date(openedAt).toISOString() }),
+        ...(state === 'open' && { retryAt: new Date(openedAt + resetTimeoutMs).toISOString() })
+      };
+    }
+  };
+}
+
+// A response or its absence that counts against the circuit
+function isFailure(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+function isRetryable(error) {
+  return !error.response || RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+// Full jitter: anywhere between 0 and the exponential backoff
+function backoffDelay(attempt, baseMs, maxMs) {
+  return Math.random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createDownstream({
+  name,
+  baseURL,
+  timeoutMs = 5000,
+  retries = 2,
+  backoffBaseMs = 100,
+  backoffMaxMs = 2000,
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+  logger
+}) {
+  const client = axios.create({ baseURL, timeout: timeoutMs });
+  const breaker = createCircuitBreaker({ name, failureThreshold, resetTimeoutMs, logger });
+
+  async function request(config) {
+    const method = (config.method || 'get').toLowerCase();
+    const attempts = method === 'get' ? retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      breaker.acquire();
+      try {
+        const response = await client.request(config);
+        breaker.success();
+        return response;
+      } catch (error) {
+        if (isFailure(error)) {
+          breaker.failure();
+        } else {
+          breaker.success();
+        }
+        if (attempt >= attempts || !isRetryable(error)) throw error;
+
+        const delay = backoffDelay(attempt, backoffBaseMs, backoffMaxMs);
+        logger.warn({
+          msg: `Retrying ${method.toUpperCase()} ${config.url} on ${name}`,
+          attempt,
+          delay_ms: Math.round(delay),
+          error: error.message
+        });
+        addSpanEvent('http.retry', {
+          'peer.service': name,
+          'http.retry_count': attempt,
+          'http.retry_delay_ms': Math.round(delay)
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    name,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+    put: (url, data, config = {}) => request({ ...config, method: 'put', url, data }),
+    patch: (url, data, config = {}) => request({ ...config, method: 'patch', url, data }),
+    // Circuit breaker state, for /health
+    health: () => breaker.snapshot()
+  };
+}
+
+// Client settings from <prefix>_* variables
+function loadDownstreamOptions(prefix, defaults = {}, env = process.env) {
+  const number = (key, fallback) => (env[`${prefix}_${key}`] !== undefined
+    ? parseInt(env[`${prefix}_${key}`], 10)
+    : fallback);
+
+  return {
+    timeoutMs: number('TIMEOUT_MS', defaults.timeoutMs),
+    retries: number('RETRIES', defaults.retries),
+    failureThreshold: number('BREAKER_THRESHOLD', defaults.failureThreshold),
+    resetTimeoutMs: number('BREAKER_RESET_MS', defaults.resetTimeoutMs)
+  };
+}
+
+module.exports = {
+  CircuitOpenError,
+  createCircuitBreaker,
+  createDownstream,
+  loadDownstreamOptions
+};
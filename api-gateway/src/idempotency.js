@@ -0,0 +1,149 @@
+// Idempotency-Key support for non-idempotent endpoints
+//
+// The first request with a given key is processed normally and its response
+// stored together with a fingerprint of the request. Repeating the key:
+//   - with the same request replays the stored response
+//   - with a different request is rejected with 422
+//   - while the first request is still running is rejected with 409
+// Server errors (5xx) are not stored, so the client can retry them.
+const crypto = require('crypto');
+const { sendProblem } = require('@mini-shop/validation');
+
+const KEY_TTL_MS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS || '86400000', 10);
+// A request still marked in progress after this long is assumed to have died
+const IN_PROGRESS_TIMEOUT_MS = 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Serialize with sorted object keys so property order does not change the fingerprint
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function fingerprintRequest(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+}
+
+// In-memory key store, local to this gateway instance
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    // Claim a key. Resolves to { claimed: true } for a new key, or to
+    // { claimed: false, record } when the key is already known.
+    async claim(key, fingerprint) {
+      const existing = records.get(key);
+      const now = Date.now();
+
+      const reclaimable = !existing ||
+        existing.expiresAt <= now ||
+        (existing.state === 'in_progress' && now - existing.createdAt > IN_PROGRESS_TIMEOUT_MS);
+
+      if (!reclaimable) {
+        return { claimed: false, record: existing };
+      }
+
+      records.set(key, {
+        fingerprint,
+        state: 'in_progress',
+        createdAt: now,
+        expiresAt: now + KEY_TTL_MS
+      });
+      return { claimed: true };
+    },
+
+    async complete(key, response) {
+      const record = records.get(key);
+      if (record) {
+        Object.assign(record, { state: 'completed', ...response });
+      }
+    },
+
+    async release(key) {
+      records.delete(key);
+    },
+
+    // Drop expired records
+    sweep() {
+      const now = Date.now();
+      for (const [key, record] of records) {
+        if (record.expiresAt <= now) records.delete(key);
+      }
+    }
+  };
+}
+
+// Express middleware honoring the Idempotency-Key header
+function idempotency({ store, logger }) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return sendProblem(res, { detail: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    // Keys are per user, so one user's key never replays another's response
+    const user = req.user ? req.user.id : '';
+    const scopedKey = `${user} ${req.method} ${req.path} ${key}`;
+    const fingerprint = fingerprintRequest(req);
+
+    let claim;
+    try {
+      claim = await store.claim(scopedKey, fingerprint);
+    } catch (error) {
+      logger.error({ msg: 'Failed to claim idempotency key', error: error.message });
+      return sendProblem(res, { type: 'unavailable', detail: 'Idempotency key store unavailable' });
+    }
+
+    if (!claim.claimed) {
+      const { record } = claim;
+      if (record.fingerprint !== fingerprint) {
+        return sendProblem(res, {
+          type: 'idempotency-key-reused',
+          detail: 'Idempotency-Key has already been used with a different request'
+        });
+      }
+      if (record.state === 'in_progress') {
+        return sendProblem(res, { type: 'conflict', detail: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      logger.info({ msg: 'Replaying stored response for idempotency key', idempotency_key: key });
+      res.set('Idempotent-Replayed', 'true');
+      if (record.contentType) res.set('Content-Type', record.contentType);
+      return res.status(record.statusCode).json(record.body);
+    }
+
+    req.idempotencyKey = key;
+    // Services behind the gateway get a key that is per user as well
+    req.downstreamIdempotencyKey = crypto.createHash('sha256').update(scopedKey).digest('hex');
+
+    // Store the response as it is sent
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const done = res.statusCode >= 500
+        ? store.release(scopedKey)
+        : store.complete(scopedKey, { statusCode: res.statusCode, contentType: res.get('Content-Type'), body });
+      done.catch((error) => {
+        logger.error({ msg: 'Failed to store idempotent response', error: error.message });
+      });
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  idempotency
+};
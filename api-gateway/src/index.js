@@ -1,10 +1,27 @@
 // Initialize instrumentation first
 require('./instrumentation');
-const { trace, context, propagation } = require('./instrumentation');
+const { trace, context, propagation, metrics } = require('./instrumentation');
 
+const crypto = require('crypto');
 const express = require('express');
-const axios = require('axios');
 const pino = require('pino');
+const Redis = require('ioredis');
+const carts = require('./carts');
+const { createMemoryStore, idempotency } = require('./idempotency');
+const { UnsupportedCurrencyError, loadFxTable } = require('./currency');
+const { verifyUnsubscribeToken } = require('./unsubscribe');
+const { createAuthenticator, authenticate, requireRole, loadAuthOptions } = require('./auth');
+const {
+  createMemoryBucketStore,
+  createRedisBucketStore,
+  loadRateLimitPolicies,
+  loadApiKeys,
+  createRateLimiter
+} = require('./rate-limit');
+const { CircuitOpenError, createDownstream, loadDownstreamOptions } = require('./downstream');
+const { createResponseCache, cached } = require('./cache');
+const { PROBLEM_CONTENT_TYPE, sendProblem, requestValidator, isProblemResponse } = require('@mini-shop/validation');
+const { ROUTES } = require('./api-schema');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -13,6 +30,18 @@ const ORDER_SVC_URL = process.env.ORDER_SVC_URL || 'http://order-svc:8081';
 const GIT_SHA = process.env.GIT_SHA || '1'//require('child_process').execSync('git rev-parse --short HEAD').toString().trim();
 const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'api-gateway';
 const SERVICE_VERSION = process.env.SERVICE_VERSION || '0.1.0';
+// Shared with email-worker, which signs the unsubscribe links in emails
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET;
+// Set to share rate limit buckets between gateway instances
+const RATE_LIMIT_REDIS_URL = process.env.RATE_LIMIT_REDIS_URL;
+// Proxies in front of the gateway whose X-Forwarded-For is believed: a hop
+// count, `true`, or addresses and subnets (see Express' `trust proxy`)
+const TRUST_PROXY = process.env.TRUST_PROXY;
+// How long product responses are cached; 0 turns caching off
+const PRODUCT_LIST_CACHE_TTL_MS = parseInt(process.env.PRODUCT_LIST_CACHE_TTL_MS || '30000', 10);
+const PRODUCT_CACHE_TTL_MS = parseInt(process.env.PRODUCT_CACHE_TTL_MS || '300000', 10);
+// Shared with catalog-svc, which reports product changes with it
+const CATALOG_CHANGES_TOKEN = process.env.CATALOG_CHANGES_TOKEN;
 
 const tracer = trace.getTracer('api-gateway-tracer');
 
@@ -47,8 +76,121 @@ const logger = pino({
   }
 });
 
+// Exchange rates for display and checkout currencies
+const fx = loadFxTable();
+
+// Clients for the services behind the gateway, with timeouts, retries and
+// circuit breakers (see downstream.js). Checkout waits on payment-svc through
+// order-svc, so order-svc gets longer.
+const catalog = createDownstream({
+  name: 'catalog-svc',
+  baseURL: CATALOG_SVC_URL,
+  ...loadDownstreamOptions('CATALOG_SVC', { timeoutMs: 2000 }),
+  logger
+});
+const orders = createDownstream({
+  name: 'order-svc',
+  baseURL: ORDER_SVC_URL,
+  ...loadDownstreamOptions('ORDER_SVC', { timeoutMs: 10000 }),
+  logger
+});
+
+// Answer at once when a downstream's circuit is open
+function sendUnavailable(res, error) {
+  const retryAfter = Math.max(1, Math.ceil(error.retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return sendProblem(res, {
+    type: 'unavailable',
+    detail: `${error.downstream} is unavailable; try again later`,
+    downstream: error.downstream,
+    retryAfter
+  });
+}
+
+// Send a downstream's problem document on, as an error of this request
+function forwardProblem(res, response) {
+  const problem = { ...response.data, instance: res.req.baseUrl + res.req.path };
+  return res.status(response.status).type(PROBLEM_CONTENT_TYPE).json(problem);
+}
+
+// A downstream error that is not a problem document: a bad response from the
+// service, or no response at all
+function sendDownstreamFailure(res, error, detail) {
+  return sendProblem(res, { type: error.response ? 'bad-gateway' : 'internal', detail });
+}
+
+// A currency missing from the rate table, as an invalid `currency` field
+function sendUnsupportedCurrency(res, error, location) {
+  return sendProblem(res, {
+    detail: error.message,
+    errors: [{ in: location, field: 'currency', message: `must be one of: ${fx.currencies.join(', ')}` }]
+  });
+}
+
+// Request schemas per route, see api-schema.js
+const validate = requestValidator(ROUTES);
+
+// Verifies bearer tokens, see auth.js
+const authenticator = createAuthenticator(loadAuthOptions());
+
+// Token buckets per client, see rate-limit.js. Without Redis each instance
+// limits on its own.
+function createRateLimitStore() {
+  if (!RATE_LIMIT_REDIS_URL) {
+    const store = createMemoryBucketStore();
+    setInterval(() => store.sweep(), 60 * 1000).unref();
+    return store;
+  }
+
+  // Fail fast while Redis is down; the limiter then lets requests through
+  const redis = new Redis(RATE_LIMIT_REDIS_URL, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+  // Log each outage once, not every reconnect attempt
+  let redisDown = false;
+  redis.on('error', (error) => {
+    if (!redisDown) logger.warn({ msg: 'Rate limit Redis unavailable', error: error.message });
+    redisDown = true;
+  });
+  redis.on('ready', () => {
+    if (redisDown) logger.info({ msg: 'Rate limit Redis available again' });
+    redisDown = false;
+  });
+  return createRedisBucketStore(redis);
+}
+
+const rateLimiter = createRateLimiter({
+  store: createRateLimitStore(),
+  policies: loadRateLimitPolicies(),
+  apiKeys: loadApiKeys(),
+  logger,
+  meter: metrics.getMeter('api-gateway')
+});
+
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+
 // Middleware
 app.use(express.json());
+app.use(authenticate({ authenticator, logger }));
+// Every route but the health check and service-to-service calls takes from
+// the client's `default` bucket
+const defaultRateLimit = rateLimiter.limit('default');
+app.use((req, res, next) => (req.path === '/health' || req.path.startsWith('/internal/')
+  ? next()
+  : defaultRateLimit(req, res, next)));
+
+// Product responses, see cache.js. Lists are dropped on any product change,
+// single products on changes to that product.
+const responseCache = createResponseCache({
+  maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '1000', 10)
+});
+
+// Idempotency keys seen by this instance; expired ones are swept periodically
+const idempotencyStore = createMemoryStore();
+setInterval(() => idempotencyStore.sweep(), 60 * 1000).unref();
+
+// Carts expire after CART_TTL_MS without changes
+setInterval(() => carts.sweep(), 60 * 1000).unref();
 
 // Add trace context to all requests
 // app.use((req, res, next) => {
@@ -68,13 +210,14 @@ app.use(express.json());
 //   );
 // });
 
-// Log all requests
+// Log all requests. Unsubscribe tokens are credentials and stay out of logs.
 app.use((req, res, next) => {
+  const url = req.url.replace(/([?&]token=)[^&]*/, '$1[REDACTED]');
   logger.info({
-    msg: `Incoming request: ${req.method} ${req.url}`,
+    msg: `Incoming request: ${req.method} ${url}`,
     http: {
       method: req.method,
-      url: req.url,
+      url,
       user_agent: req.headers['user-agent']
     }
   });
@@ -89,114 +232,403 @@ function injectTraceContext(config) {
   return config;
 }
 
-// GET /products - List all products
-app.get('/products', async (req, res) => {
+// Identify the authenticated user to downstream services. Only the gateway
+// sets these headers; services behind it trust them.
+function withUser(req, config = {}) {
+  if (!req.user) return config;
+  config.headers = {
+    ...config.headers,
+    'X-User-Id': req.user.id,
+    'X-User-Roles': req.user.roles.join(',')
+  };
+  return config;
+}
+
+// Requested display currency, defaulting to the base currency of the rate table
+function resolveCurrency(requested) {
+  const currency = typeof requested === 'string' && requested ? requested.toUpperCase() : fx.base;
+  if (!fx.supports(currency)) {
+    throw new UnsupportedCurrencyError(currency, fx.currencies);
+  }
+  return currency;
+}
+
+// Add the product price converted to the display currency. Products without
+// a currency are priced in the base currency.
+function withDisplayPrice(product, currency) {
+  return {
+    ...product,
+    displayPrice: fx.convert(product.price, product.currency || fx.base, currency),
+    displayCurrency: currency
+  };
+}
+
+// GET /products - Search and list products
+// Search, filter, sort and pagination parameters are passed through to catalog-svc.
+// `currency` picks the display currency.
+app.get('/products', validate('GET /products'), cached({
+  cache: responseCache,
+  route: '/products',
+  ttlMs: PRODUCT_LIST_CACHE_TTL_MS,
+  tags: () => ['products']
+}), async (req, res) => {
   try {
-    const response = await axios.get(
-      `${CATALOG_SVC_URL}/products`,
-      injectTraceContext({})
+    const { currency: requestedCurrency, ...params } = req.query;
+    const currency = resolveCurrency(requestedCurrency);
+    // Lists go out as repeated parameters, as clients may send them
+    const response = await catalog.get(
+      '/products',
+      injectTraceContext({ params, paramsSerializer: { indexes: null } })
     );
-    res.json(response.data);
+    res.json({
+      ...response.data,
+      products: response.data.products.map(product => withDisplayPrice(product, currency))
+    });
   } catch (error) {
+    if (error instanceof UnsupportedCurrencyError) {
+      return sendUnsupportedCurrency(res, error, 'query');
+    }
+    if (error instanceof CircuitOpenError) {
+      return sendUnavailable(res, error);
+    }
     logger.error({
       msg: 'Error fetching products',
       error: error.message
     });
-    res.status(500).json({ error: 'Failed to fetch products' });
+    if (isProblemResponse(error.response)) {
+      return forwardProblem(res, error.response);
+    }
+    sendDownstreamFailure(res, error, 'Failed to fetch products');
   }
 });
 
 // GET /products/:id - Get a specific product
-app.get('/products/:id', async (req, res) => {
+app.get('/products/:id', validate('GET /products/:id'), cached({
+  cache: responseCache,
+  route: '/products/:id',
+  ttlMs: PRODUCT_CACHE_TTL_MS,
+  tags: req => [`product:${req.params.id}`]
+}), async (req, res) => {
   try {
-    const response = await axios.get(
-      `${CATALOG_SVC_URL}/product/${req.params.id}`,
+    const currency = resolveCurrency(req.query.currency);
+    const response = await catalog.get(
+      `/products/${req.params.id}`,
       injectTraceContext({})
     );
-    res.json(response.data);
+    res.json(withDisplayPrice(response.data, currency));
   } catch (error) {
+    if (error instanceof UnsupportedCurrencyError) {
+      return sendUnsupportedCurrency(res, error, 'query');
+    }
+    if (error instanceof CircuitOpenError) {
+      return sendUnavailable(res, error);
+    }
     logger.error({
       msg: `Error fetching product ${req.params.id}`,
       error: error.message
     });
-    if (error.response && error.response.status === 404) {
-      return res.status(404).json({ error: 'Product not found' });
+    if (isProblemResponse(error.response)) {
+      return forwardProblem(res, error.response);
+    }
+    sendDownstreamFailure(res, error, 'Failed to fetch product details');
+  }
+});
+
+function requireCatalogChangesToken(req, res, next) {
+  if (!CATALOG_CHANGES_TOKEN) {
+    return sendProblem(res, { type: 'unavailable', detail: 'Catalog change notifications are not configured' });
+  }
+  const expected = Buffer.from(CATALOG_CHANGES_TOKEN);
+  const actual = Buffer.from(req.get('X-Catalog-Changes-Token') || '');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return sendProblem(res, { type: 'unauthorized', detail: 'Invalid catalog changes token' });
+  }
+  next();
+}
+
+// POST /internal/catalog-changes - catalog-svc reports changed products so
+// their cached responses are dropped: {"productIds": ["1", "2"]}, or
+// {"all": true} after bulk changes. Authenticated with the
+// X-Catalog-Changes-Token header.
+app.post('/internal/catalog-changes', requireCatalogChangesToken, validate('POST /internal/catalog-changes'), (req, res) => {
+  const { productIds, all } = req.body;
+  const dropped = all === true
+    ? responseCache.clear()
+    : responseCache.invalidate(['products', ...productIds.map(id => `product:${id}`)]);
+  logger.info({
+    msg: 'Dropped cached product responses',
+    product_ids: all === true ? 'all' : productIds,
+    dropped
+  });
+  res.json({ dropped });
+});
+
+// Fetch catalog prices for a list of cart items and compute line and order
+// totals in `currency`. The same total in the base currency is returned as
+// `baseAmount`.
+async function priceItems(items, currency = fx.base) {
+  const priced = await Promise.all(items.map(async (item) => {
+    const productResponse = await catalog.get(
+      `/products/${item.productId}`,
+      injectTraceContext({})
+    );
+    const product = productResponse.data;
+    const productCurrency = product.currency || fx.base;
+    const unitPrice = fx.convert(product.price, productCurrency, currency);
+    const baseUnitPrice = fx.convert(product.price, productCurrency, fx.base);
+
+    return {
+      line: {
+        productId: item.productId,
+        productName: product.name,
+        quantity: item.quantity,
+        unitPrice,
+        lineTotal: fx.round(unitPrice * item.quantity, currency)
+      },
+      baseLineTotal: fx.round(baseUnitPrice * item.quantity, fx.base)
+    };
+  }));
+
+  const lines = priced.map(({ line }) => line);
+  return {
+    items: lines,
+    currency,
+    total: fx.round(lines.reduce((sum, line) => sum + line.lineTotal, 0), currency),
+    baseCurrency: fx.base,
+    baseAmount: fx.round(priced.reduce((sum, { baseLineTotal }) => sum + baseLineTotal, 0), fx.base)
+  };
+}
+
+// The customer's locale: an explicit `locale` in the body (checked by
+// order-svc), otherwise the first language in Accept-Language if it is valid
+function resolveLocale(req) {
+  if (req.body.locale !== undefined) return req.body.locale;
+  const accepted = (req.headers['accept-language'] || '').split(',')[0].split(';')[0].trim();
+  try {
+    return accepted && accepted !== '*' ? Intl.getCanonicalLocales(accepted)[0] : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// POST /cart - Create an empty cart
+app.post('/cart', (req, res) => {
+  const cart = carts.createCart(req.user?.id);
+  logger.info({
+    msg: 'Cart created',
+    cart: { id: cart.id }
+  });
+  res.status(201).json(cart);
+});
+
+// GET /cart/:id - Get a cart with current catalog prices, in `currency` when given
+app.get('/cart/:id', validate('GET /cart/:id'), async (req, res) => {
+  const cart = carts.getCart(req.params.id, req.user?.id);
+  if (!cart) {
+    return sendProblem(res, { type: 'not-found', detail: 'Cart not found' });
+  }
+
+  try {
+    const priced = await priceItems(cart.items, resolveCurrency(req.query.currency));
+    res.json({ ...cart, items: priced.items, currency: priced.currency, total: priced.total });
+  } catch (error) {
+    if (error instanceof UnsupportedCurrencyError) {
+      return sendUnsupportedCurrency(res, error, 'query');
+    }
+    if (error instanceof CircuitOpenError) {
+      return sendUnavailable(res, error);
+    }
+    logger.error({
+      msg: `Error pricing cart ${cart.id}`,
+      error: error.message
+    });
+    if (error.response?.status === 404) {
+      return sendProblem(res, { type: 'not-found', detail: 'Product not found' });
+    }
+    sendDownstreamFailure(res, error, 'Failed to fetch cart');
+  }
+});
+
+// PUT /cart/:id/items - Add a product to the cart or change its quantity
+app.put('/cart/:id/items', validate('PUT /cart/:id/items'), async (req, res) => {
+  const { productId, quantity } = req.body;
+
+  if (!carts.getCart(req.params.id, req.user?.id)) {
+    return sendProblem(res, { type: 'not-found', detail: 'Cart not found' });
+  }
+
+  try {
+    // Make sure the product exists before adding it
+    await catalog.get(
+      `/products/${productId}`,
+      injectTraceContext({})
+    );
+  } catch (error) {
+    if (error instanceof CircuitOpenError) {
+      return sendUnavailable(res, error);
+    }
+    logger.error({
+      msg: `Error fetching product ${productId} for cart ${req.params.id}`,
+      error: error.message
+    });
+    if (error.response?.status === 404) {
+      return sendProblem(res, { type: 'not-found', detail: 'Product not found' });
     }
-    res.status(500).json({ error: 'Failed to fetch product details' });
+    return sendDownstreamFailure(res, error, 'Failed to update cart');
   }
+
+  const cart = carts.setItem(req.params.id, req.user?.id, productId, quantity);
+  if (!cart) {
+    return sendProblem(res, { type: 'not-found', detail: 'Cart not found' });
+  }
+  res.json(cart);
+});
+
+// DELETE /cart/:id/items/:productId - Remove a product from the cart
+app.delete('/cart/:id/items/:productId', validate('DELETE /cart/:id/items/:productId'), (req, res) => {
+  const cart = carts.removeItem(req.params.id, req.user?.id, req.params.productId);
+  if (!cart) {
+    return sendProblem(res, { type: 'not-found', detail: 'Cart not found' });
+  }
+  res.json(cart);
 });
 
+// Resolve the items to check out: one of the user's carts, an inline item
+// list, or a single productId/quantity pair
+function resolveCheckoutItems(body, userId) {
+  if (body.cartId) {
+    const cart = carts.getCart(body.cartId, userId);
+    return cart ? cart.items : null;
+  }
+  if (Array.isArray(body.items)) {
+    return body.items;
+  }
+  if (body.productId) {
+    return [{ productId: body.productId, quantity: body.quantity }];
+  }
+  return [];
+}
+
 // POST /checkout - Process order checkout
-app.post('/checkout', async (req, res) => {
+// Customers check out as themselves: the email comes from their token.
+app.post('/checkout', requireRole('customer'), rateLimiter.limit('checkout'), validate('POST /checkout'), idempotency({ store: idempotencyStore, logger }), async (req, res) => {
   return tracer.startActiveSpan('checkout', async (span) => {
     try {
-      // Validate request
-      const { productId, quantity, customerEmail } = req.body;
-      
-      if (!productId || !quantity || !customerEmail) {
-        logger.warn({
-          msg: 'Invalid checkout request',
-          request: { ...req.body }
-        });
-        span.setStatus({ code: 1, message: 'Invalid request parameters' });
+      span.setAttribute('enduser.id', req.user.id);
+      span.setAttribute('enduser.role', req.user.roles.join(','));
+
+      const customerEmail = req.user.email;
+      if (!customerEmail) {
+        span.setStatus({ code: 1, message: 'Token has no email claim' });
         span.end();
-        return res.status(400).json({ error: 'Missing required parameters' });
+        return sendProblem(res, { type: 'forbidden', detail: 'Token has no email claim' });
+      }
+      if (req.body.customerEmail && req.body.customerEmail.trim().toLowerCase() !== customerEmail) {
+        span.setStatus({ code: 1, message: 'customerEmail does not match the token' });
+        span.end();
+        return sendProblem(res, { type: 'forbidden', detail: 'customerEmail does not match the authenticated customer' });
+      }
+
+      const { cartId, cardToken } = req.body;
+      const items = resolveCheckoutItems(req.body, req.user.id);
+      const currency = resolveCurrency(req.body.currency);
+      const locale = resolveLocale(req);
+
+      if (items === null) {
+        span.setStatus({ code: 1, message: 'Cart not found' });
+        span.end();
+        return sendProblem(res, { type: 'not-found', detail: 'Cart not found' });
+      }
+
+      if (items.length === 0) {
+        span.setStatus({ code: 1, message: 'Cart is empty' });
+        span.end();
+        return sendProblem(res, { errors: [{ in: 'body', field: 'cartId', message: 'must be a cart with items' }] });
       }
 
       // Fetch product information
       logger.info({
-        msg: `Fetching product ${productId} for checkout`
+        msg: `Fetching ${items.length} products for checkout`
       });
 
-      const productResponse = await axios.get(
-        `${CATALOG_SVC_URL}/products/${productId}`,
-        injectTraceContext({})
-      );
-      
-      const product = productResponse.data;
-      const totalAmount = product.price * quantity;
+      const {
+        items: lineItems,
+        total: totalAmount,
+        baseCurrency,
+        baseAmount
+      } = await priceItems(items, currency);
 
-      span.setAttribute('order.product_id', productId);
+      if (cartId) span.setAttribute('cart.id', cartId);
+      if (req.idempotencyKey) span.setAttribute('http.idempotency_key', req.idempotencyKey);
+      span.setAttribute('order.item_count', lineItems.length);
+      span.setAttribute('order.product_ids', lineItems.map(item => item.productId));
       span.setAttribute('order.amount', totalAmount);
+      span.setAttribute('order.currency', currency);
+      span.setAttribute('order.base_amount', baseAmount);
       span.setAttribute('order.customer_email', customerEmail);
 
       // Create order
       logger.info({
         msg: 'Creating order',
         order: {
-          product_id: productId,
+          product_ids: lineItems.map(item => item.productId),
           amount: totalAmount,
+          currency,
           email: customerEmail
         }
       });
 
-      const orderResponse = await axios.post(
-        `${ORDER_SVC_URL}/order`,
+      const orderResponse = await orders.post(
+        '/order',
         {
-          productId,
-          productName: product.name,
-          quantity,
+          items: lineItems,
           amount: totalAmount,
-          customerEmail
+          currency,
+          baseAmount,
+          baseCurrency,
+          customerEmail,
+          locale,
+          cardToken
         },
-        injectTraceContext({})
+        // order-svc and payment-svc dedupe retried checkouts on the same key
+        injectTraceContext(withUser(req, req.idempotencyKey
+          ? { headers: { 'Idempotency-Key': req.downstreamIdempotencyKey } }
+          : {}))
       );
 
       const orderData = orderResponse.data;
-      
+
+      // The cart has become an order
+      if (cartId) carts.deleteCart(cartId);
+
       span.setAttribute('order.id', orderData.id);
       span.setStatus({ code: 0 }); // Success
       span.end();
       
-      res.status(201).json({
+      // Payments held by the fraud check wait for POST /orders/:id/review
+      const held = orderData.status === 'payment_review';
+      res.status(held ? 202 : 201).json({
         success: true,
-        message: 'Order created successfully',
+        message: held ? 'Order created; the payment is held for review' : 'Order created successfully',
         orderId: orderData.id,
         amount: totalAmount,
+        currency,
+        items: orderData.items,
         status: orderData.status
       });
       
     } catch (error) {
+      if (error instanceof UnsupportedCurrencyError) {
+        span.setStatus({ code: 1, message: error.message });
+        span.end();
+        return sendUnsupportedCurrency(res, error, 'body');
+      }
+      if (error instanceof CircuitOpenError) {
+        span.setStatus({ code: 1, message: error.message });
+        span.end();
+        return sendUnavailable(res, error);
+      }
+
       logger.error({
         msg: 'Checkout process failed',
         error: error.message,
@@ -206,18 +638,299 @@ app.post('/checkout', async (req, res) => {
       span.recordException(error);
       span.setStatus({ code: 1, message: error.message });
       span.end();
-      
-      const status = error.response?.status || 500;
-      const message = error.response?.data?.error || 'Checkout process failed';
-      
-      res.status(status).json({ error: message });
+
+      // Problems such as insufficient stock carry what the client needs to
+      // adjust the cart
+      if (isProblemResponse(error.response)) {
+        return forwardProblem(res, error.response);
+      }
+      sendDownstreamFailure(res, error, 'Checkout process failed');
     }
   })
 });
 
+// Order management. Customers see and cancel their own orders; support staff
+// see, cancel and refund any order; admins can also set any status and
+// manage the order-svc event outbox.
+
+// Forward an order-svc error
+function forwardOrderError(res, error, msg) {
+  if (error instanceof CircuitOpenError) {
+    return sendUnavailable(res, error);
+  }
+  if (isProblemResponse(error.response)) {
+    return forwardProblem(res, error.response);
+  }
+  logger.error({ msg, error: error.message });
+  sendDownstreamFailure(res, error, msg);
+}
+
+// Load the order for an order route and check the user may act on it.
+// Customers get 404 for orders that are not theirs, so order ids cannot be
+// probed.
+async function loadAccessibleOrder(req, res) {
+  try {
+    const response = await orders.get(
+      `/order/${encodeURIComponent(req.params.id)}`,
+      injectTraceContext(withUser(req))
+    );
+    const order = response.data;
+    const staff = req.user.roles.some(role => role === 'support' || role === 'admin');
+    if (!staff && (!req.user.email || order.customerEmail !== req.user.email)) {
+      sendProblem(res, { type: 'not-found', detail: 'Order not found' });
+      return null;
+    }
+    return order;
+  } catch (error) {
+    forwardOrderError(res, error, 'Failed to fetch order');
+    return null;
+  }
+}
+
+// GET /orders/:id - An order with its status history
+app.get('/orders/:id', requireRole('customer', 'support', 'admin'), validate('GET /orders/:id'), async (req, res) => {
+  const order = await loadAccessibleOrder(req, res);
+  if (order) res.json(order);
+});
+
+// POST /orders/:id/cancel - Cancel an order and give the payment back
+app.post('/orders/:id/cancel', requireRole('customer', 'support', 'admin'), validate('POST /orders/:id/cancel'), async (req, res) => {
+  const order = await loadAccessibleOrder(req, res);
+  if (!order) return;
+
+  try {
+    const response = await orders.post(
+      `/order/${encodeURIComponent(req.params.id)}/cancel`,
+      { reason: req.body.reason },
+      injectTraceContext(withUser(req))
+    );
+    res.json(response.data);
+  } catch (error) {
+    forwardOrderError(res, error, 'Failed to cancel order');
+  }
+});
+
+// POST /orders/:id/refund - Refund a paid order
+app.post('/orders/:id/refund', requireRole('support', 'admin'), validate('POST /orders/:id/refund'), async (req, res) => {
+  try {
+    const response = await orders.post(
+      `/order/${encodeURIComponent(req.params.id)}/refund`,
+      { reason: req.body.reason },
+      injectTraceContext(withUser(req))
+    );
+    res.json(response.data);
+  } catch (error) {
+    forwardOrderError(res, error, 'Failed to refund order');
+  }
+});
+
+// POST /orders/:id/review - Approve or decline a payment held for review
+app.post('/orders/:id/review', requireRole('support', 'admin'), validate('POST /orders/:id/review'), async (req, res) => {
+  try {
+    const response = await orders.post(
+      `/order/${encodeURIComponent(req.params.id)}/review`,
+      { approve: req.body.approve, reason: req.body.reason },
+      injectTraceContext(withUser(req))
+    );
+    res.json(response.data);
+  } catch (error) {
+    forwardOrderError(res, error, 'Failed to resolve payment review');
+  }
+});
+
+// PATCH /orders/:id/status - Move an order to fulfilled, shipped or delivered
+app.patch('/orders/:id/status', requireRole('admin'), validate('PATCH /orders/:id/status'), async (req, res) => {
+  try {
+    const response = await orders.patch(
+      `/order/${encodeURIComponent(req.params.id)}/status`,
+      { status: req.body.status, reason: req.body.reason },
+      injectTraceContext(withUser(req))
+    );
+    res.json(response.data);
+  } catch (error) {
+    forwardOrderError(res, error, 'Failed to update order status');
+  }
+});
+
+// GET /admin/outbox - Order events that have not been published
+app.get('/admin/outbox', requireRole('admin'), validate('GET /admin/outbox'), async (req, res) => {
+  try {
+    const response = await orders.get(
+      `/outbox`,
+      injectTraceContext(withUser(req, {
+        params: { status: req.query.status && req.query.status.join(','), size: req.query.size }
+      }))
+    );
+    res.json(response.data);
+  } catch (error) {
+    forwardOrderError(res, error, 'Failed to list outbox events');
+  }
+});
+
+// POST /admin/outbox/:eventId/replay - Publish an order event again
+app.post('/admin/outbox/:eventId/replay', requireRole('admin'), validate('POST /admin/outbox/:eventId/replay'), async (req, res) => {
+  try {
+    const response = await orders.post(
+      `/outbox/${encodeURIComponent(req.params.eventId)}/replay`,
+      {},
+      injectTraceContext(withUser(req))
+    );
+    res.status(response.status).json(response.data);
+  } catch (error) {
+    forwardOrderError(res, error, 'Failed to replay outbox event');
+  }
+});
+
+// Resolve the customer from the signed `token` query parameter of an
+// unsubscribe link. Signed-in customers can leave the token out.
+function requireUnsubscribeToken(req, res, next) {
+  if (req.query.token === undefined && req.user && req.user.email) {
+    req.customerEmail = req.user.email;
+    return next();
+  }
+  if (!UNSUBSCRIBE_SECRET) {
+    return sendProblem(res, { type: 'unavailable', detail: 'Notification preferences are not configured' });
+  }
+
+  const email = verifyUnsubscribeToken(req.query.token, UNSUBSCRIBE_SECRET);
+  if (!email) {
+    return sendProblem(res, { type: 'unauthorized', detail: 'Invalid or missing unsubscribe token' });
+  }
+  req.customerEmail = email;
+  next();
+}
+
+function preferencesUrl(email) {
+  return `/preferences/${encodeURIComponent(email)}`;
+}
+
+// GET /preferences?token=... - Notification types the customer receives
+app.get('/preferences', validate('GET /preferences'), requireUnsubscribeToken, async (req, res) => {
+  try {
+    const response = await orders.get(preferencesUrl(req.customerEmail), injectTraceContext({}));
+    res.json(response.data);
+  } catch (error) {
+    forwardOrderError(res, error, 'Failed to read notification preferences');
+  }
+});
+
+// PUT /preferences?token=... - Turn notification types on or off:
+// {"notifications": {"order-shipped": false}}
+app.put('/preferences', validate('PUT /preferences'), requireUnsubscribeToken, async (req, res) => {
+  try {
+    const response = await orders.put(
+      preferencesUrl(req.customerEmail),
+      { notifications: req.body.notifications },
+      injectTraceContext({})
+    );
+    res.json(response.data);
+  } catch (error) {
+    forwardOrderError(res, error, 'Failed to update notification preferences');
+  }
+});
+
+// Types an unsubscribe link turns off: its `type`, or all of them
+function unsubscribeTypes(req, notifications) {
+  return req.query.type ? [req.query.type] : Object.keys(notifications);
+}
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+function unsubscribeSubject(req) {
+  return req.query.type ? `${escapeHtml(req.query.type)} emails` : 'all emails';
+}
+
+function unsubscribePage(body) {
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Unsubscribe</title></head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// GET /unsubscribe?token=...&type=... - The link in email footers. Only
+// shows what unsubscribing turns off: link scanners and mail clients that
+// prefetch links follow it too. Browsers get a page whose button POSTs the
+// same URL; other clients get the types and the current preferences.
+app.get('/unsubscribe', validate('GET /unsubscribe'), requireUnsubscribeToken, async (req, res) => {
+  try {
+    const response = await orders.get(preferencesUrl(req.customerEmail), injectTraceContext({}));
+    const types = unsubscribeTypes(req, response.data.notifications);
+
+    res.format({
+      json: () => res.json({ unsubscribe: types, ...response.data }),
+      html: () => res.send(unsubscribePage(
+        `<p>Stop sending ${unsubscribeSubject(req)} to ${escapeHtml(req.customerEmail)}?</p>
+<form method="post" action="${escapeHtml(req.originalUrl)}"><button type="submit">Unsubscribe</button></form>`
+      ))
+    });
+  } catch (error) {
+    forwardOrderError(res, error, 'Failed to read notification preferences');
+  }
+});
+
+// POST /unsubscribe?token=...&type=... - Turns off one notification type,
+// or all of them without `type`. Serves the confirmation page's button and
+// the one-click unsubscribe of the List-Unsubscribe-Post header (RFC 8058).
+app.post('/unsubscribe', validate('POST /unsubscribe'), requireUnsubscribeToken, async (req, res) => {
+  try {
+    const current = await orders.get(preferencesUrl(req.customerEmail), injectTraceContext({}));
+    const types = unsubscribeTypes(req, current.data.notifications);
+    const notifications = Object.fromEntries(types.map(type => [type, false]));
+
+    const response = await orders.put(
+      preferencesUrl(req.customerEmail),
+      { notifications },
+      injectTraceContext({})
+    );
+
+    logger.info({ msg: 'Customer unsubscribed', notification_types: types });
+    res.format({
+      json: () => res.json({ unsubscribed: types, ...response.data }),
+      html: () => res.send(unsubscribePage(
+        `<p>${escapeHtml(req.customerEmail)} is unsubscribed from ${unsubscribeSubject(req)}.</p>`
+      ))
+    });
+  } catch (error) {
+    forwardOrderError(res, error, 'Failed to unsubscribe');
+  }
+});
+
+// Bodies that are not JSON are invalid requests like any other
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  sendProblem(res, { errors: [{ in: 'body', field: '', message: 'must be valid JSON' }] });
+});
+
 // Health check endpoint
+// The gateway is DEGRADED while any downstream circuit is not closed
 app.get('/health', (req, res) => {
-  res.json({ status: 'UP', version: process.env.SERVICE_VERSION || '0.1.0' });
+  const downstreams = {
+    [catalog.name]: catalog.health(),
+    [orders.name]: orders.health()
+  };
+  const degraded = Object.values(downstreams).some(health => health.state !== 'closed');
+  res.json({
+    status: degraded ? 'DEGRADED' : 'UP',
+    version: process.env.SERVICE_VERSION || '0.1.0',
+    downstreams
+  });
+});
+
+// Routes that do not exist, and errors no route handled
+app.use((req, res) => {
+  sendProblem(res, { type: 'not-found', detail: `No route for ${req.method} ${req.path}` });
+});
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.too.large') {
+    return sendProblem(res, { type: 'payload-too-large', detail: `Request body is larger than ${err.limit} bytes` });
+  }
+  logger.error({ msg: `Unhandled error in ${req.method} ${req.path}`, error: err.message, stack: err.stack });
+  sendProblem(res, { type: 'internal' });
 });
 
 async function startServer() {
@@ -1,14 +1,15 @@
 // OpenTelemetry instrumentation for the API Gateway
 const process = require('process');
-const { NodeSDK } = require('@opentelemetry/sdk-node');
+const { NodeSDK, metrics: sdkMetrics } = require('@opentelemetry/sdk-node');
 const { getNodeAutoInstrumentations } = require('@opentelemetry/auto-instrumentations-node');
 const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { OTLPMetricExporter } = require('@opentelemetry/exporter-metrics-otlp-http');
 const { Resource } = require('@opentelemetry/resources');
 const { SemanticResourceAttributes } = require('@opentelemetry/semantic-conventions');
 const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
 const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
 const { W3CTraceContextPropagator, W3CBaggagePropagator, CompositePropagator } = require('@opentelemetry/core');
-const { trace, context, propagation } = require('@opentelemetry/api');
+const { trace, context, propagation, metrics } = require('@opentelemetry/api');
 
 const serviceName = process.env.OTEL_SERVICE_NAME || 'api-gateway';
 const serviceVersion = process.env.SERVICE_VERSION || '0.1.0';
@@ -22,6 +23,14 @@ const traceExporter = new OTLPTraceExporter({
   headers: {},
 });
 
+// Metrics go to the same collector every 15 seconds
+const metricReader = new sdkMetrics.PeriodicExportingMetricReader({
+  exporter: new OTLPMetricExporter({
+    url: `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://host.docker.internal:4318'}/v1/metrics`,
+  }),
+  exportIntervalMillis: 15000,
+});
+
 // Initialize the SDK
 const sdk = new NodeSDK({
  resource: new Resource({
@@ -30,6 +39,7 @@ const sdk = new NodeSDK({
      'deployment.environment': environment,
    }),
   traceExporter,
+  metricReader,
   instrumentations: [
     // Add Express and HTTP instrumentations
     new HttpInstrumentation(),
@@ -61,5 +71,5 @@ process.on('SIGTERM', () => {
 
 console.log(`OpenTelemetry instrumentation initialized for ${serviceName} (${serviceVersion})`);
 
-// Export the trace API for manual instrumentation
-module.exports = { trace, context, propagation };
+// Export the trace and metrics APIs for manual instrumentation
+module.exports = { trace, context, propagation, metrics };
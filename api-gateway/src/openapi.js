@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+'use strict';
+
+// Print the gateway's OpenAPI document, generated from the request schemas
+//
+//   npm run --silent openapi > openapi.json
+
+const { ROUTES } = require('./api-schema');
+const { openApiDocument } = require('@mini-shop/validation');
+const { version } = require('../package.json');
+
+const document = openApiDocument({
+  info: {
+    title: 'mini-shop API',
+    version,
+    description: 'Public API of mini-shop, served by api-gateway. Errors in requests are answered with RFC 7807 problem documents.'
+  },
+  routes: ROUTES,
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  }
+});
+
+console.log(JSON.stringify(document, null, 2));
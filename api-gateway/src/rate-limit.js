@@ -0,0 +1,228 @@
+// Token-bucket rate limiting
+//
+// Each policy gives every client a bucket of `limit` tokens that refills at
+// `limit` tokens per `window` seconds. A request takes one token; a request
+// that finds the bucket empty gets 429 with a Retry-After header. Clients
+// can burst up to `limit` requests and then keep the average rate.
+//
+// Policies are read as JSON from RATE_LIMITS or from the file named by
+// RATE_LIMITS_FILE and override the defaults below by name:
+//
+//   {
+//     "default": { "limit": 300, "window": 60, "key": "client" },
+//     "checkout": { "limit": 5, "window": 60, "key": "user" }
+//   }
+//
+// `key` says whose bucket a request takes from:
+//
+//   ip       the client address (see TRUST_PROXY)
+//   user     the authenticated user id
+//   apiKey   the client named by the X-API-Key header (API_KEYS)
+//   client   the user id, else the API key client, else the address
+//
+// Requests without the identity a policy asks for fall back to their address.
+//
+// Buckets live in a store: in memory, local to one gateway instance, or in
+// Redis, shared by all of them.
+const fs = require('fs');
+const { trace } = require('@opentelemetry/api');
+const { sendProblem } = require('@mini-shop/validation');
+
+const KEY_TYPES = ['ip', 'user', 'apiKey', 'client'];
+
+const DEFAULT_POLICIES = {
+  // Every route
+  default: { limit: 120, window: 60, key: 'client' },
+  // Each checkout fans out into catalog, order and payment calls
+  checkout: { limit: 10, window: 60, key: 'user' }
+};
+
+// Refill the bucket for the time since it was last used, then take a token.
+// Runs in Redis so replicas cannot race; Redis' clock is used so their
+// clocks do not have to agree.
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'at')
+local tokens = tonumber(state[1]) or capacity
+local at = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - at) * refillPerMs)
+
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'at', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refillPerMs) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+// Buckets in this process
+function createMemoryBucketStore() {
+  const buckets = new Map();
+
+  return {
+    // Take a token from a bucket. Resolves to { allowed, tokens }, tokens
+    // being what is left.
+    async take(key, { capacity, refillPerMs }) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: capacity, at: now };
+
+      bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.at) * refillPerMs);
+      bucket.at = now;
+      const allowed = bucket.tokens >= 1;
+      if (allowed) bucket.tokens -= 1;
+      bucket.fullAt = now + (capacity - bucket.tokens) / refillPerMs;
+
+      buckets.set(key, bucket);
+      return { allowed, tokens: bucket.tokens };
+    },
+
+    // Drop buckets that have refilled; they are the same as no bucket
+    sweep() {
+      const now = Date.now();
+      for (const [key, bucket] of buckets) {
+        if (bucket.fullAt <= now) buckets.delete(key);
+      }
+    }
+  };
+}
+
+// Buckets in Redis, shared by every gateway instance using the same server.
+// `redis` is an ioredis client.
+function createRedisBucketStore(redis, { prefix = 'ratelimit:' } = {}) {
+  redis.defineCommand('takeRateLimitToken', { numberOfKeys: 1, lua: TAKE_TOKEN_SCRIPT });
+
+  return {
+    async take(key, { capacity, refillPerMs }) {
+      const [allowed, tokens] = await redis.takeRateLimitToken(`${prefix}${key}`, capacity, refillPerMs);
+      return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+    },
+
+    // Redis expires buckets once they would be full
+    sweep() {}
+  };
+}
+
+function validatePolicy(name, policy) {
+  if (!Number.isInteger(policy.limit) || policy.limit < 1) {
+    throw new Error(`Rate limit policy "${name}": limit must be a positive integer`);
+  }
+  if (typeof policy.window !== 'number' || !(policy.window > 0)) {
+    throw new Error(`Rate limit policy "${name}": window must be a positive number of seconds`);
+  }
+  if (!KEY_TYPES.includes(policy.key)) {
+    throw new Error(`Rate limit policy "${name}": key must be one of ${KEY_TYPES.join(', ')}`);
+  }
+  return policy;
+}
+
+// Policies from RATE_LIMITS or RATE_LIMITS_FILE merged over the defaults
+function loadRateLimitPolicies(env = process.env) {
+  let overrides = {};
+  if (env.RATE_LIMITS) {
+    overrides = JSON.parse(env.RATE_LIMITS);
+  } else if (env.RATE_LIMITS_FILE) {
+    overrides = JSON.parse(fs.readFileSync(env.RATE_LIMITS_FILE, 'utf8'));
+  }
+
+  const policies = {};
+  for (const name of new Set([...Object.keys(DEFAULT_POLICIES), ...Object.keys(overrides)])) {
+    policies[name] = validatePolicy(name, { ...DEFAULT_POLICIES[name], ...overrides[name] });
+  }
+  return policies;
+}
+
+// API_KEYS is a comma-separated list of <client name>:<key> pairs. Returns a
+// map of key to client name.
+function loadApiKeys(env = process.env) {
+  const apiKeys = new Map();
+  for (const entry of (env.API_KEYS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator > 0 && separator < entry.length - 1) {
+      apiKeys.set(entry.slice(separator + 1).trim(), entry.slice(0, separator).trim());
+    }
+  }
+  return apiKeys;
+}
+
+// Whose bucket a request takes from
+function identifyClient(req, keyType, apiKeys) {
+  if ((keyType === 'user' || keyType === 'client') && req.user) {
+    return { type: 'user', id: req.user.id };
+  }
+  if (keyType === 'apiKey' || keyType === 'client') {
+    const name = apiKeys.get(req.get('X-API-Key'));
+    if (name) return { type: 'api_key', id: name };
+  }
+  return { type: 'ip', id: req.ip };
+}
+
+function createRateLimiter({ store, policies, apiKeys = new Map(), logger, meter }) {
+  const rejected = meter.createCounter('gateway.rate_limit.rejected', {
+    description: 'Requests rejected by the rate limiter',
+    unit: '{request}'
+  });
+
+  return {
+    // Express middleware enforcing the named policy
+    limit(name) {
+      const policy = policies[name];
+      if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${name}`);
+      }
+      const capacity = policy.limit;
+      const refillPerMs = policy.limit / (policy.window * 1000);
+
+      return async (req, res, next) => {
+        const client = identifyClient(req, policy.key, apiKeys);
+
+        let result;
+        try {
+          result = await store.take(`${name}:${client.type}:${client.id}`, { capacity, refillPerMs });
+        } catch (error) {
+          // An unavailable store lets requests through rather than taking
+          // the gateway down with it
+          logger.warn({ msg: 'Rate limit store unavailable, request not limited', policy: name, error: error.message });
+          return next();
+        }
+
+        res.set({
+          'RateLimit-Limit': String(capacity),
+          'RateLimit-Remaining': String(Math.floor(result.tokens)),
+          'RateLimit-Reset': String(Math.ceil((capacity - result.tokens) / refillPerMs / 1000)),
+          'RateLimit-Policy': `${capacity};w=${policy.window}`
+        });
+        if (result.allowed) return next();
+
+        const retryAfter = Math.max(1, Math.ceil((1 - result.tokens) / refillPerMs / 1000));
+        const span = trace.getActiveSpan();
+        if (span) {
+          span.setAttributes({
+            'rate_limit.rejected': true,
+            'rate_limit.policy': name,
+            'rate_limit.client_type': client.type
+          });
+        }
+        rejected.add(1, { policy: name, client_type: client.type });
+        logger.warn({ msg: 'Rate limit exceeded', policy: name, client_type: client.type, client: client.id, path: req.path });
+
+        res.set('Retry-After', String(retryAfter));
+        sendProblem(res, { type: 'too-many-requests', detail: `Try again in ${retryAfter} seconds`, retryAfter });
+      };
+    }
+  };
+}
+
+module.exports = {
+  createMemoryBucketStore,
+  createRedisBucketStore,
+  loadRateLimitPolicies,
+  loadApiKeys,
+  createRateLimiter
+};
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+'use strict';
+
+// Issue a development JWT signed with JWT_SECRET
+//
+//   node src/token.js --sub <user id> [--email <address>] [--roles customer,support,admin] [--ttl <seconds>]
+//
+// For local testing only: production tokens come from the identity
+// provider. JWT_ISSUER and JWT_AUDIENCE are added as `iss` and `aud` when set.
+
+const crypto = require('crypto');
+const { ROLES } = require('./auth');
+
+const USAGE = `Usage:
+  node src/token.js --sub <user id> [--email <address>] [--roles ${ROLES.join(',')}] [--ttl <seconds>]`;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.sub) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (!process.env.JWT_SECRET) {
+    console.error('JWT_SECRET must be set');
+    return 1;
+  }
+
+  const roles = (args.roles || 'customer').split(',');
+  const unknown = roles.filter(role => !ROLES.includes(role));
+  if (unknown.length > 0) {
+    console.error(`Unknown roles: ${unknown.join(', ')}`);
+    return 2;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    sub: args.sub,
+    ...(args.email && { email: args.email }),
+    roles,
+    iat: now,
+    exp: now + parseInt(args.ttl || '3600', 10),
+    ...(process.env.JWT_ISSUER && { iss: process.env.JWT_ISSUER }),
+    ...(process.env.JWT_AUDIENCE && { aud: process.env.JWT_AUDIENCE })
+  };
+
+  const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', process.env.JWT_SECRET)
+    .update(signingInput)
+    .digest('base64url');
+
+  console.log(`${signingInput}.${signature}`);
+  return 0;
+}
+
+process.exit(main());
@@ -0,0 +1,44 @@
+// Signed unsubscribe tokens
+//
+// email-worker puts a token in the footer of every email; it lets whoever
+// holds it read and change the notification preferences of that address,
+// without logging in. A token is the address and an HMAC-SHA256 of it,
+// both base64url encoded:
+//
+//   <base64url(email)>.<base64url(hmac)>
+//
+// Both services sign with UNSUBSCRIBE_SECRET. Tokens do not expire, so old
+// emails keep working; rotating the secret invalidates every link.
+const crypto = require('crypto');
+
+function signature(email, secret) {
+  return crypto.createHmac('sha256', secret).update(`unsubscribe:${email}`).digest();
+}
+
+function createUnsubscribeToken(email, secret) {
+  const normalized = String(email).trim().toLowerCase();
+  return `${Buffer.from(normalized).toString('base64url')}.${signature(normalized, secret).toString('base64url')}`;
+}
+
+// The email address a token was issued for, or null when it is malformed or
+// its signature does not match
+function verifyUnsubscribeToken(token, secret) {
+  if (typeof token !== 'string') return null;
+
+  const [encodedEmail, encodedSignature, ...rest] = token.split('.');
+  if (!encodedEmail || !encodedSignature || rest.length > 0) return null;
+
+  const email = Buffer.from(encodedEmail, 'base64url').toString('utf8');
+  const expected = signature(email, secret);
+  const actual = Buffer.from(encodedSignature, 'base64url');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  return email;
+}
+
+module.exports = {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken
+};
@@ -0,0 +1,150 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { AuthenticationError, createAuthenticator } = require('../src/auth');
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+
+// Sign a compact JWT. `key` is an HMAC secret or a private KeyObject.
+function sign(header, claims, key) {
+  const signingInput = `${encode(header)}.${encode(claims)}`;
+  const hash = `sha${header.alg.slice(2)}`;
+  let signature;
+  if (header.alg.startsWith('HS')) {
+    signature = crypto.createHmac(hash, key).update(signingInput).digest();
+  } else {
+    signature = crypto.sign(hash, Buffer.from(signingInput), {
+      key,
+      ...(header.alg.startsWith('PS') && {
+        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+      }),
+      ...(header.alg.startsWith('ES') && { dsaEncoding: 'ieee-p1363' })
+    });
+  }
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+const validClaims = (claims = {}) => ({ sub: 'user-1', exp: now() + 60, ...claims });
+
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const jwks = {
+  keys: [
+    { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1' },
+    { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1' }
+  ]
+};
+
+function assertRejected(authenticator, token, message) {
+  assert.throws(() => authenticator.verify(token), error =>
+    error instanceof AuthenticationError && error.message === message);
+}
+
+describe('createAuthenticator', () => {
+  const hmac = createAuthenticator({ secret: 'secret' });
+  const keySet = createAuthenticator({ jwks });
+
+  it('accepts tokens signed with the shared secret', () => {
+    for (const alg of ['HS256', 'HS384', 'HS512']) {
+      const claims = hmac.verify(sign({ alg }, validClaims(), 'secret'));
+      assert.equal(claims.sub, 'user-1');
+    }
+  });
+
+  it('accepts RSA, RSA-PSS and ECDSA tokens verified against the JWKS', () => {
+    for (const alg of ['RS256', 'PS256']) {
+      assert.equal(keySet.verify(sign({ alg, kid: 'rsa-1' }, validClaims(), rsa.privateKey)).sub, 'user-1');
+    }
+    assert.equal(keySet.verify(sign({ alg: 'ES256', kid: 'ec-1' }, validClaims(), ec.privateKey)).sub, 'user-1');
+  });
+
+  it('rejects a bad signature', () => {
+    assertRejected(hmac, sign({ alg: 'HS256' }, validClaims(), 'other secret'), 'Invalid token signature');
+
+    const [header, , signature] = sign({ alg: 'HS256' }, validClaims(), 'secret').split('.');
+    const tampered = `${header}.${encode(validClaims({ sub: 'admin' }))}.${signature}`;
+    assertRejected(hmac, tampered, 'Invalid token signature');
+  });
+
+  it('rejects unsupported algorithms, including none', () => {
+    const unsigned = `${encode({ alg: 'none' })}.${encode(validClaims())}.`;
+    assertRejected(hmac, unsigned, 'Unsupported token algorithm: none');
+  });
+
+  it('rejects a token signed with a key of the wrong kid', () => {
+    const token = sign({ alg: 'RS256', kid: 'ec-1' }, validClaims(), rsa.privateKey);
+    assertRejected(keySet, token, 'Invalid token signature');
+  });
+
+  it('does not verify HMAC tokens with a public key', () => {
+    // The public key is no secret, so an HS256 token signed with it must
+    // not pass for one signed by the identity provider
+    const publicPem = rsa.publicKey.export({ type: 'spki', format: 'pem' });
+    const both = createAuthenticator({ secret: 'secret', jwks });
+    const forged = [
+      sign({ alg: 'HS256', kid: 'rsa-1' }, validClaims(), publicPem),
+      sign({ alg: 'HS256' }, validClaims(), JSON.stringify(jwks.keys[0]))
+    ];
+    for (const authenticator of [keySet, both]) {
+      for (const token of forged) {
+        assertRejected(authenticator, token, 'Invalid token signature');
+      }
+    }
+  });
+
+  it('does not verify an ECDSA token with the RSA key', () => {
+    const token = sign({ alg: 'ES256' }, validClaims(), ec.privateKey);
+    const rsaOnly = createAuthenticator({ jwks: { keys: [jwks.keys[0]] } });
+    assertRejected(rsaOnly, token, 'Invalid token signature');
+  });
+
+  it('rejects tokens without an expiry or past it', () => {
+    assertRejected(hmac, sign({ alg: 'HS256' }, { sub: 'user-1' }, 'secret'), 'Token has no expiry');
+    assertRejected(hmac, sign({ alg: 'HS256' }, validClaims({ exp: now() - 120 }), 'secret'), 'Token has expired');
+  });
+
+  it('allows clock skew up to the tolerance', () => {
+    const token = sign({ alg: 'HS256' }, validClaims({ exp: now() - 10, nbf: now() + 10 }), 'secret');
+    assert.equal(hmac.verify(token).sub, 'user-1');
+
+    const strict = createAuthenticator({ secret: 'secret', clockToleranceSec: 0 });
+    assertRejected(strict, token, 'Token has expired');
+  });
+
+  it('rejects tokens that are not valid yet', () => {
+    const token = sign({ alg: 'HS256' }, validClaims({ nbf: now() + 120 }), 'secret');
+    assertRejected(hmac, token, 'Token is not valid yet');
+  });
+
+  it('checks the audience and issuer when configured', () => {
+    const authenticator = createAuthenticator({ secret: 'secret', issuer: 'https://idp', audience: 'mini-shop' });
+    const token = claims => sign({ alg: 'HS256' }, validClaims({ iss: 'https://idp', ...claims }), 'secret');
+
+    assert.equal(authenticator.verify(token({ aud: 'mini-shop' })).sub, 'user-1');
+    assert.equal(authenticator.verify(token({ aud: ['other', 'mini-shop'] })).sub, 'user-1');
+    assertRejected(authenticator, token({ aud: 'other' }), 'Token audience is not accepted');
+    assertRejected(authenticator, token({}), 'Token audience is not accepted');
+    assertRejected(authenticator, token({ aud: 'mini-shop', iss: 'https://evil' }), 'Token issuer is not accepted');
+  });
+
+  it('rejects tokens without a subject', () => {
+    assertRejected(hmac, sign({ alg: 'HS256' }, { exp: now() + 60 }, 'secret'), 'Token has no subject');
+  });
+
+  it('rejects malformed tokens', () => {
+    assertRejected(hmac, 'not-a-token', 'Malformed token');
+    assertRejected(hmac, 'x.y.z', 'Malformed token header');
+  });
+
+  it('takes the user from the claims', () => {
+    assert.deepEqual(
+      hmac.userFromClaims({ sub: 7, email: ' User@Example.com ', roles: 'support admin unknown' }),
+      { id: '7', email: 'user@example.com', roles: ['support', 'admin'] }
+    );
+    assert.deepEqual(hmac.userFromClaims({ sub: 'u' }).roles, ['customer']);
+  });
+});
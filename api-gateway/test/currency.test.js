@@ -0,0 +1,59 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { UnsupportedCurrencyError, createFxTable, loadFxTable } = require('../src/currency');
+
+describe('createFxTable', () => {
+  const fx = loadFxTable({});
+
+  it('converts through the rates and rounds for the target currency', () => {
+    assert.equal(fx.convert(10, 'USD', 'EUR'), 9.2);
+    assert.equal(fx.convert(9.2, 'EUR', 'USD'), 10);
+    assert.equal(fx.convert(10, 'USD', 'JPY'), 1515);
+    assert.equal(fx.convert(1.99, 'USD', 'USD'), 1.99);
+  });
+
+  it('rounds half up without floating point surprises', () => {
+    assert.equal(fx.round(2.675, 'USD'), 2.68);
+    assert.equal(fx.round(1.005, 'USD'), 1.01);
+    assert.equal(fx.round(0.1 + 0.2, 'USD'), 0.3);
+  });
+
+  it('rounds to cash increments', () => {
+    assert.equal(fx.round(1.12, 'CHF'), 1.1);
+    assert.equal(fx.round(1.13, 'CHF'), 1.15);
+    assert.equal(fx.round(1.149999, 'CHF'), 1.15);
+  });
+
+  it('applies the rounding modes', () => {
+    const table = createFxTable({
+      base: 'USD',
+      rates: { USD: 1, SEK: 10 },
+      rounding: { USD: { mode: 'up' }, SEK: { decimals: 0, mode: 'down' } }
+    });
+    assert.equal(table.round(1.001, 'USD'), 1.01);
+    assert.equal(table.round(1.01, 'USD'), 1.01);
+    assert.equal(table.round(10.99, 'SEK'), 10);
+  });
+
+  it('rejects currencies missing from the table', () => {
+    assert.equal(fx.supports('XXX'), false);
+    assert.throws(() => fx.convert(1, 'USD', 'XXX'), error =>
+      error instanceof UnsupportedCurrencyError && error.currency === 'XXX');
+    assert.throws(() => fx.round(1, 'XXX'), UnsupportedCurrencyError);
+  });
+
+  it('rejects tables without their base currency at 1', () => {
+    assert.throws(() => createFxTable({ base: 'EUR', rates: { USD: 1 } }), /base currency EUR/);
+    assert.throws(() => createFxTable({ base: 'USD', rates: { USD: 1 }, rounding: { USD: { mode: 'even' } } }),
+      /Unknown rounding mode for USD: even/);
+  });
+
+  it('reads the table from FX_RATES', () => {
+    const table = loadFxTable({ FX_RATES: JSON.stringify({ base: 'EUR', rates: { EUR: 1, USD: 1.1 } }) });
+    assert.equal(table.base, 'EUR');
+    assert.deepEqual(table.currencies, ['EUR', 'USD']);
+    assert.equal(table.convert(10, 'EUR', 'USD'), 11);
+  });
+});
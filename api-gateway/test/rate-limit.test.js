@@ -0,0 +1,131 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const {
+  createMemoryBucketStore,
+  loadRateLimitPolicies,
+  loadApiKeys,
+  createRateLimiter
+} = require('../src/rate-limit');
+
+const silentLogger = { warn() {} };
+const meter = { createCounter: () => ({ add() {} }) };
+
+describe('createMemoryBucketStore', () => {
+  it('lets a client burst up to the capacity, then refills over time', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const store = createMemoryBucketStore();
+    const bucket = { capacity: 2, refillPerMs: 1 / 1000 };
+
+    assert.deepEqual(await store.take('a', bucket), { allowed: true, tokens: 1 });
+    assert.deepEqual(await store.take('a', bucket), { allowed: true, tokens: 0 });
+    assert.equal((await store.take('a', bucket)).allowed, false);
+    assert.equal((await store.take('b', bucket)).allowed, true);
+
+    now += 1000;
+    assert.deepEqual(await store.take('a', bucket), { allowed: true, tokens: 0 });
+  });
+
+  it('sweeps buckets once they have refilled', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const store = createMemoryBucketStore();
+    const bucket = { capacity: 1, refillPerMs: 1 / 1000 };
+
+    await store.take('a', bucket);
+    now += 1000;
+    store.sweep();
+    // A swept bucket starts full again, not from the refilled state
+    assert.deepEqual(await store.take('a', bucket), { allowed: true, tokens: 0 });
+  });
+});
+
+describe('loadRateLimitPolicies', () => {
+  it('merges overrides over the defaults by name', () => {
+    const policies = loadRateLimitPolicies({
+      RATE_LIMITS: JSON.stringify({ checkout: { limit: 3 }, search: { limit: 50, window: 10, key: 'ip' } })
+    });
+    assert.deepEqual(policies.checkout, { limit: 3, window: 60, key: 'user' });
+    assert.deepEqual(policies.search, { limit: 50, window: 10, key: 'ip' });
+    assert.equal(policies.default.limit, 120);
+  });
+
+  it('rejects invalid policies', () => {
+    const load = overrides => () => loadRateLimitPolicies({ RATE_LIMITS: JSON.stringify(overrides) });
+    assert.throws(load({ default: { limit: 0 } }), /limit must be a positive integer/);
+    assert.throws(load({ default: { window: -1 } }), /window must be a positive number/);
+    assert.throws(load({ default: { key: 'session' } }), /key must be one of/);
+  });
+});
+
+describe('loadApiKeys', () => {
+  it('maps each key to its client name and skips malformed entries', () => {
+    const apiKeys = loadApiKeys({ API_KEYS: 'partner:abc, mobile : def ,broken,:nokey,noname:' });
+    assert.deepEqual([...apiKeys], [['abc', 'partner'], ['def', 'mobile']]);
+  });
+});
+
+describe('createRateLimiter', () => {
+  async function request(app, headers = {}) {
+    const server = app.listen(0);
+    try {
+      const response = await fetch(`http://localhost:${server.address().port}/limited`, { headers });
+      return { status: response.status, headers: response.headers, body: await response.json() };
+    } finally {
+      server.close();
+    }
+  }
+
+  function limitedApp(policy, options = {}) {
+    const limiter = createRateLimiter({
+      store: createMemoryBucketStore(),
+      policies: { test: policy },
+      logger: silentLogger,
+      meter,
+      ...options
+    });
+    const app = express();
+    app.get('/limited', limiter.limit('test'), (req, res) => res.json({ ok: true }));
+    return app;
+  }
+
+  it('answers 429 with a problem document once the bucket is empty', async () => {
+    const app = limitedApp({ limit: 1, window: 60, key: 'ip' });
+
+    const first = await request(app);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '1');
+    assert.equal(first.headers.get('ratelimit-remaining'), '0');
+
+    const second = await request(app);
+    assert.equal(second.status, 429);
+    assert.equal(second.headers.get('retry-after'), '60');
+    assert.match(second.headers.get('content-type'), /^application\/problem\+json/);
+    assert.equal(second.body.type, 'urn:mini-shop:problem:too-many-requests');
+    assert.equal(second.body.retryAfter, 60);
+  });
+
+  it('gives each API key client its own bucket', async () => {
+    const app = limitedApp({ limit: 1, window: 60, key: 'apiKey' }, { apiKeys: new Map([['k1', 'a'], ['k2', 'b']]) });
+
+    assert.equal((await request(app, { 'X-API-Key': 'k1' })).status, 200);
+    assert.equal((await request(app, { 'X-API-Key': 'k2' })).status, 200);
+    assert.equal((await request(app, { 'X-API-Key': 'k1' })).status, 429);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const store = { take: async () => { throw new Error('Redis is down'); } };
+    const app = limitedApp({ limit: 1, window: 60, key: 'ip' }, { store });
+
+    assert.equal((await request(app)).status, 200);
+    assert.equal((await request(app)).status, 200);
+  });
+
+  it('refuses unknown policies', () => {
+    const limiter = createRateLimiter({ store: createMemoryBucketStore(), policies: {}, logger: silentLogger, meter });
+    assert.throws(() => limiter.limit('missing'), /Unknown rate limit policy: missing/);
+  });
+});
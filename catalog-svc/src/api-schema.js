@@ -0,0 +1,159 @@
+'use strict';
+
+// Request schemas of the catalog-svc routes, keyed by "<METHOD> <path>"
+//
+// index.js validates requests against them (see shared/validation) and
+// openapi.js documents the API from them.
+
+const { productSchema, newProductSchema, productPatchSchema } = require('./product-schema');
+const { SORTS, MAX_PAGE_SIZE, MAX_RESULT_WINDOW } = require('./product-query');
+const { FORMATS } = require('./product-io');
+
+const adminAuth = [{ adminAuth: [] }];
+const productParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: { ...productSchema.properties.id, description: 'Product ID' } }
+};
+const reservationParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: { type: 'string', format: 'uuid', description: 'Reservation ID' } }
+};
+const formatQuery = {
+  type: 'object',
+  properties: { format: { type: 'string', enum: Object.keys(FORMATS) } }
+};
+const versionResponses = {
+  404: 'No such product',
+  412: 'If-Match does not match the current version',
+  428: 'If-Match is missing'
+};
+
+const ROUTES = {
+  'GET /health': {
+    summary: 'Service health',
+    responses: { 200: 'UP' }
+  },
+  'GET /products': {
+    summary: 'Search, filter and page through products',
+    query: {
+      type: 'object',
+      properties: {
+        q: { type: 'string', maxLength: 256, description: 'Full-text search on name, description and tags' },
+        category: { type: 'array', items: { type: 'string', maxLength: 64 }, description: 'Categories, comma-separated' },
+        tags: { type: 'array', items: { type: 'string', maxLength: 64 }, description: 'Tags, comma-separated' },
+        minPrice: { type: 'number', minimum: 0 },
+        maxPrice: { type: 'number', minimum: 0 },
+        sort: {
+          type: 'string',
+          enum: Object.keys(SORTS),
+          description: 'Defaults to relevance with q, name_asc without'
+        },
+        from: { type: 'integer', minimum: 0, maximum: MAX_RESULT_WINDOW },
+        size: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE },
+        cursor: { type: 'string', pattern: '^[A-Za-z0-9_-]+$', description: 'nextCursor of the previous page' }
+      }
+    },
+    responses: { 200: 'A page of products with category and tag facets' }
+  },
+  'POST /products/import': {
+    summary: 'Import products from CSV or NDJSON',
+    description: 'The format comes from `format` or the Content-Type. Each row is validated like a created product.',
+    security: adminAuth,
+    query: formatQuery,
+    consumes: Object.values(FORMATS),
+    responses: { 200: 'How many rows were imported, with the errors of the others', 415: 'Unsupported format' }
+  },
+  'GET /products/export': {
+    summary: 'Stream the whole catalog as CSV or NDJSON',
+    security: adminAuth,
+    query: formatQuery,
+    responses: { 200: 'The products' }
+  },
+  'GET /products/:id': {
+    summary: 'Get a product',
+    params: productParams,
+    responses: { 200: 'The product, with its version as ETag', 404: 'No such product' }
+  },
+  'POST /products': {
+    summary: 'Create a product',
+    description: 'Products sent without an id get a generated one.',
+    security: adminAuth,
+    body: newProductSchema,
+    responses: { 201: 'The product, with its version as ETag', 409: 'A product with the id exists' }
+  },
+  'PUT /products/:id': {
+    summary: 'Replace a product',
+    description: 'Requires If-Match with the version being replaced.',
+    security: adminAuth,
+    params: productParams,
+    body: newProductSchema,
+    responses: { 200: 'The product, with its new version as ETag', ...versionResponses }
+  },
+  'PATCH /products/:id': {
+    summary: 'Update some fields of a product',
+    description: 'Requires If-Match with the version being updated.',
+    security: adminAuth,
+    params: productParams,
+    body: productPatchSchema,
+    responses: { 200: 'The product, with its new version as ETag', ...versionResponses }
+  },
+  'DELETE /products/:id': {
+    summary: 'Delete a product',
+    description: 'Requires If-Match with the version being deleted.',
+    security: adminAuth,
+    params: productParams,
+    responses: { 204: 'Deleted', ...versionResponses }
+  },
+  'POST /inventory/reservations': {
+    summary: 'Reserve stock for a set of items',
+    body: {
+      type: 'object',
+      required: ['items'],
+      additionalProperties: false,
+      properties: {
+        orderId: { type: 'string', maxLength: 64, description: 'Order the stock is reserved for' },
+        items: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 50,
+          items: {
+            type: 'object',
+            required: ['productId', 'quantity'],
+            additionalProperties: false,
+            properties: {
+              productId: productSchema.properties.id,
+              quantity: { type: 'integer', minimum: 1 }
+            }
+          }
+        }
+      }
+    },
+    responses: { 201: 'The reservation', 404: 'Unknown product', 409: 'Insufficient stock' }
+  },
+  'GET /inventory/reservations/:id': {
+    summary: 'Get a reservation',
+    params: reservationParams,
+    responses: { 200: 'The reservation', 404: 'No such reservation' }
+  },
+  'POST /inventory/reservations/:id/commit': {
+    summary: 'Keep reserved stock sold once the order is paid',
+    params: reservationParams,
+    responses: { 200: 'The reservation', 404: 'No such reservation', 409: 'The reservation is not held' }
+  },
+  'POST /inventory/reservations/:id/release': {
+    summary: 'Release a reservation that was not committed and put the stock back',
+    params: reservationParams,
+    responses: { 200: 'The reservation', 404: 'No such reservation', 409: 'The reservation is already committed' }
+  },
+  'POST /inventory/reservations/:id/cancel': {
+    summary: 'Put back the reserved or sold stock of a cancelled order',
+    params: reservationParams,
+    responses: { 200: 'The reservation', 404: 'No such reservation' }
+  }
+};
+
+module.exports = {
+  ROUTES
+};
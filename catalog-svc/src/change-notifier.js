@@ -0,0 +1,82 @@
+'use strict';
+
+// Product change notifications
+//
+// api-gateway caches product responses. After products are created, changed,
+// deleted or imported, catalog-svc posts their IDs to each URL in
+// CATALOG_CHANGES_URLS (comma-separated, one per gateway instance),
+// with CATALOG_CHANGES_TOKEN in the X-Catalog-Changes-Token header:
+//
+//   {"productIds": ["1", "2"]}    or    {"all": true}
+//
+// Notifications are best effort: failures are logged and the write they
+// follow still succeeds. Gateways then serve the old product until their
+// cache entry expires. Stock movements from reservations are not reported.
+
+const { trace, SpanStatusCode } = require('@opentelemetry/api');
+
+const NOTIFY_TIMEOUT_MS = 2000;
+
+const tracer = trace.getTracer('catalog-svc-tracer');
+
+function createChangeNotifier({ urls, token, logger }) {
+  async function post(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Catalog-Changes-Token': token },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`${url} answered ${response.status}`);
+    }
+  }
+
+  function notify(body) {
+    if (urls.length === 0) return Promise.resolve();
+
+    return tracer.startActiveSpan('notify_product_change', async (span) => {
+      span.setAttribute('product.change.all', body.all === true);
+      if (body.productIds) span.setAttribute('product.ids', body.productIds);
+
+      const results = await Promise.allSettled(urls.map(url => post(url, body)));
+      const failures = results.filter(result => result.status === 'rejected');
+      for (const failure of failures) {
+        span.recordException(failure.reason);
+        logger.warn({
+          message: 'Failed to report product change',
+          product: { ids: body.productIds || 'all' },
+          error: { message: failure.reason.message }
+        });
+      }
+
+      span.setStatus({ code: failures.length > 0 ? SpanStatusCode.ERROR : SpanStatusCode.OK });
+      span.end();
+    });
+  }
+
+  return {
+    // Report changed products. Never rejects.
+    productsChanged(productIds) {
+      return notify({ productIds });
+    },
+
+    // Report changes to products that are not listed, such as an import
+    allProductsChanged() {
+      return notify({ all: true });
+    }
+  };
+}
+
+// Notifier settings from CATALOG_CHANGES_* variables
+function loadChangeNotifierOptions(env = process.env) {
+  return {
+    urls: (env.CATALOG_CHANGES_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+    token: env.CATALOG_CHANGES_TOKEN || ''
+  };
+}
+
+module.exports = {
+  createChangeNotifier,
+  loadChangeNotifierOptions
+};
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+'use strict';
+
+// Command line tool for bulk product import and export
+//
+//   node src/cli.js import <file> [--format csv|ndjson]
+//   node src/cli.js export [--format csv|ndjson] [--out <file>]
+//
+// Talks to Elasticsearch directly using ELASTICSEARCH_URL.
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Client } = require('@elastic/elasticsearch');
+const { resolveFormat } = require('./product-io');
+const { importProducts, exportProducts } = require('./product-bulk');
+
+const ELASTICSEARCH_URL = process.env.ELASTICSEARCH_URL || 'http://elasticsearch:9200';
+
+const USAGE = `Usage:
+  node src/cli.js import <file> [--format csv|ndjson]
+  node src/cli.js export [--format csv|ndjson] [--out <file>]`;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+async function runImport(esClient, args) {
+  const file = args._[1];
+  if (!file) throw new Error(USAGE);
+
+  const format = resolveFormat(args.format || path.extname(file).slice(1));
+  if (!format) throw new Error('Cannot determine import format; pass --format csv|ndjson');
+
+  const report = await importProducts(esClient, fs.readFileSync(file, 'utf8'), format);
+
+  for (const rowError of report.errors) {
+    const fields = rowError.errors.map(e => (e.field ? `${e.field} ${e.message}` : e.message)).join('; ');
+    console.error(`line ${rowError.line}${rowError.id ? ` (id ${rowError.id})` : ''}: ${fields}`);
+  }
+  console.error(`Imported ${report.imported} of ${report.total} products, ${report.failed} failed`);
+
+  return report.failed > 0 ? 1 : 0;
+}
+
+async function runExport(esClient, args) {
+  const format = resolveFormat(args.format || (args.out ? path.extname(args.out).slice(1) : 'ndjson'));
+  if (!format) throw new Error('Unsupported export format; pass --format csv|ndjson');
+
+  const out = args.out ? fs.createWriteStream(args.out) : process.stdout;
+  await pipeline(Readable.from(exportProducts(esClient, format)), out);
+  return 0;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const commands = { import: runImport, export: runExport };
+  const command = commands[args._[0]];
+
+  if (!command) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const esClient = new Client({ node: ELASTICSEARCH_URL });
+  try {
+    return await command(esClient, args);
+  } finally {
+    await esClient.close();
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
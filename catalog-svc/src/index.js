@@ -3,11 +3,26 @@
 // Load OpenTelemetry instrumentation first
 require('./instrumentation');
 
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const express = require('express');
 const { Client } = require('@elastic/elasticsearch');
 const { trace, context, SpanStatusCode } = require('@opentelemetry/api');
 const pino = require('pino');
 const pinoHttp = require('pino-http');
+const {
+  QueryValidationError,
+  parseProductQuery,
+  buildSearchBody,
+  formatSearchResult
+} = require('./product-query');
+const { sendProblem, requestValidator } = require('@mini-shop/validation');
+const { ROUTES } = require('./api-schema');
+const { FORMATS, resolveFormat } = require('./product-io');
+const { importProducts, exportProducts } = require('./product-bulk');
+const inventory = require('./inventory');
+const { createChangeNotifier, loadChangeNotifierOptions } = require('./change-notifier');
 
 // Environment variables
 const PORT = process.env.PORT || 8080;
@@ -15,6 +30,9 @@ const ELASTICSEARCH_URL = process.env.ELASTICSEARCH_URL || 'http://elasticsearch
 const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'catalog-svc';
 const SERVICE_VERSION = process.env.SERVICE_VERSION || '0.1.0';
 const ES_INDEX = 'catalog';
+const CATALOG_ADMIN_TOKEN = process.env.CATALOG_ADMIN_TOKEN || '';
+const IMPORT_MAX_BYTES = process.env.IMPORT_MAX_BYTES || '50mb';
+const RESERVATION_SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS || '60000', 10);
 
 // Initialize tracer
 const tracer = trace.getTracer('catalog-svc-tracer');
@@ -54,11 +72,29 @@ function addTraceContext(span, log = {}) {
   return log;
 }
 
+// Run an Elasticsearch call inside its own span, recording failures
+async function withEsSpan(name, attributes, fn) {
+  return tracer.startActiveSpan(name, { attributes }, async (esSpan) => {
+    try {
+      return await fn(esSpan);
+    } catch (err) {
+      esSpan.recordException(err);
+      esSpan.setStatus({ code: SpanStatusCode.ERROR });
+      throw err;
+    } finally {
+      esSpan.end();
+    }
+  });
+}
+
 // Initialize Elasticsearch client
 const esClient = new Client({
   node: ELASTICSEARCH_URL
 })
 
+// Tells api-gateway which cached products to drop, see change-notifier.js
+const productChanges = createChangeNotifier({ ...loadChangeNotifierOptions(), logger });
+
 // Sample product data for seeding
 const sampleProducts = [
   {
@@ -66,6 +102,7 @@ const sampleProducts = [
     name: 'Windsurf Laptop Pro',
     description: 'Powerful laptop for developers with the latest specs',
     price: 1299.99,
+    currency: 'USD',
     category: 'electronics',
     imageUrl: 'https://example.com/images/laptop.jpg',
     tags: ['laptop', 'development', 'high-performance'],
@@ -76,6 +113,7 @@ const sampleProducts = [
     name: 'Cascade AI Assistant',
     description: 'Smart AI assistant for your home',
     price: 249.99,
+    currency: 'USD',
     category: 'electronics',
     imageUrl: 'https://example.com/images/ai-assistant.jpg',
     tags: ['ai', 'smart-home', 'assistant'],
@@ -86,6 +124,7 @@ const sampleProducts = [
     name: 'OpenTelemetry Guide Book',
     description: 'Comprehensive guide to OpenTelemetry observability',
     price: 39.99,
+    currency: 'USD',
     category: 'books',
     imageUrl: 'https://example.com/images/otel-book.jpg',
     tags: ['book', 'observability', 'monitoring'],
@@ -96,6 +135,7 @@ const sampleProducts = [
     name: 'Elastic APM T-Shirt',
     description: 'Comfortable t-shirt with Elastic APM logo',
     price: 19.99,
+    currency: 'USD',
     category: 'clothing',
     imageUrl: 'https://example.com/images/elastic-tshirt.jpg',
     tags: ['clothing', 'apparel', 'swag'],
@@ -106,6 +146,7 @@ const sampleProducts = [
     name: 'Observability Platform - 1 Year License',
     description: 'Enterprise license for the full observability platform',
     price: 3999.99,
+    currency: 'USD',
     category: 'software',
     imageUrl: 'https://example.com/images/obs-platform.jpg',
     tags: ['software', 'enterprise', 'license'],
@@ -143,6 +184,9 @@ app.use(pinoHttp({
   }
 }));
 
+// Request schemas per route, see api-schema.js
+const validate = requestValidator(ROUTES);
+
 // Check Elasticsearch connectivity and create index/seed data if needed
 async function setupElasticsearch() {
   return tracer.startActiveSpan('setup_elasticsearch', async (span) => {
@@ -190,9 +234,10 @@ async function setupElasticsearch() {
                 mappings: {
                   properties: {
                     id: { type: 'keyword' },
-                    name: { type: 'text' },
+                    name: { type: 'text', fields: { raw: { type: 'keyword' } } },
                     description: { type: 'text' },
                     price: { type: 'float' },
+                    currency: { type: 'keyword' },
                     category: { type: 'keyword' },
                     imageUrl: { type: 'keyword' },
                     tags: { type: 'keyword' },
@@ -232,6 +277,18 @@ async function setupElasticsearch() {
         }
       }
       
+      await tracer.startActiveSpan('ES /inventory-reservations', async (reservationsSpan) => {
+        try {
+          await inventory.ensureReservationsIndex(esClient);
+        } catch (err) {
+          reservationsSpan.recordException(err);
+          reservationsSpan.setStatus({ code: SpanStatusCode.ERROR });
+          throw err;
+        } finally {
+          reservationsSpan.end();
+        }
+      });
+      
       span.setStatus({ code: SpanStatusCode.OK });
     } catch (err) {
       span.recordException(err);
@@ -312,26 +369,40 @@ app.get('/health', (req, res) => {
   });
 });
 
-// List all products
-app.get('/products', async (req, res) => {
+// Search, filter and page through products
+app.get('/products', validate('GET /products'), async (req, res) => {
   await tracer.startActiveSpan('list_products', async (span) => {
     try {
+      let params;
+      try {
+        params = parseProductQuery(req.query);
+      } catch (err) {
+        if (err instanceof QueryValidationError) {
+          span.setStatus({ code: SpanStatusCode.ERROR, message: err.message });
+          return sendProblem(res, { errors: [{ in: 'query', field: err.parameter, message: err.reason }] });
+        }
+        throw err;
+      }
+
+      span.setAttribute('search.query', params.q);
+      span.setAttribute('search.sort', params.sort);
+      span.setAttribute('search.size', params.size);
       logger.info(addTraceContext(span, {
-        message: 'Listing all products'
+        message: 'Searching products',
+        search: {
+          query: params.q,
+          categories: params.categories,
+          tags: params.tags,
+          sort: params.sort
+        }
       }));
       
       const result = await tracer.startActiveSpan('ES /catalog/_search', async (searchSpan) => {
         try {
-          // Prepare search query
-          const query = {
-            query: { match_all: {} },
-            size: 100
-          };
-          
           // Perform search
           const searchRes = await esClient.search({
             index: ES_INDEX,
-            body: query
+            body: buildSearchBody(params)
           });
           
           return searchRes;
@@ -345,10 +416,11 @@ app.get('/products', async (req, res) => {
       });
       
       // Transform response
-      const products = result.hits.hits.map(hit => hit._source);
+      const body = formatSearchResult(params, result);
+      span.setAttribute('search.total_hits', body.total);
       
       span.setStatus({ code: SpanStatusCode.OK });
-      res.json({ products });
+      res.json(body);
     } catch (err) {
       span.recordException(err);
       span.setStatus({ code: SpanStatusCode.ERROR });
@@ -356,7 +428,75 @@ app.get('/products', async (req, res) => {
         message: 'Failed to list products',
         error: { message: err.message, stack: err.stack }
       }));
-      res.status(500).json({ error: 'Failed to query products' });
+      sendProblem(res, { type: 'internal', detail: 'Failed to query products' });
+    } finally {
+      span.end();
+    }
+  });
+});
+
+// Bulk import products from CSV or NDJSON
+// Registered before /products/:id so "import" and "export" are not taken as IDs
+app.post('/products/import', requireAdmin, validate('POST /products/import'), express.text({
+  type: ['text/csv', 'application/x-ndjson', 'application/ndjson'],
+  limit: IMPORT_MAX_BYTES
+}), async (req, res) => {
+  const format = resolveFormat(req.query.format, req.headers['content-type']);
+  if (!format) {
+    return sendProblem(res, {
+      type: 'unsupported-media-type',
+      detail: `Unsupported import format; use one of: ${Object.keys(FORMATS).join(', ')}`
+    });
+  }
+  if (typeof req.body !== 'string') {
+    return sendProblem(res, { type: 'unsupported-media-type', detail: `Content-Type must be ${FORMATS[format]}` });
+  }
+
+  try {
+    const report = await importProducts(esClient, req.body, format);
+
+    logger.info({
+      message: `Imported ${report.imported} of ${report.total} products`,
+      import: { format, total: report.total, imported: report.imported, failed: report.failed }
+    });
+    if (report.imported > 0) productChanges.allProductsChanged();
+
+    res.json(report);
+  } catch (err) {
+    logger.error({
+      message: 'Failed to import products',
+      error: { message: err.message, stack: err.stack }
+    });
+    sendProblem(res, { type: 'internal', detail: 'Failed to import products' });
+  }
+});
+
+// Stream the whole catalog as CSV or NDJSON
+app.get('/products/export', requireAdmin, validate('GET /products/export'), async (req, res) => {
+  const format = req.query.format || 'ndjson';
+
+  await tracer.startActiveSpan('export_products', async (span) => {
+    try {
+      span.setAttribute('export.format', format);
+
+      res.set('Content-Type', FORMATS[format]);
+      res.set('Content-Disposition', `attachment; filename="catalog.${format}"`);
+      await pipeline(Readable.from(exportProducts(esClient, format)), res);
+
+      span.setStatus({ code: SpanStatusCode.OK });
+    } catch (err) {
+      span.recordException(err);
+      span.setStatus({ code: SpanStatusCode.ERROR });
+      logger.error(addTraceContext(span, {
+        message: 'Failed to export products',
+        error: { message: err.message, stack: err.stack }
+      }));
+      // Once streaming has started the only way to signal failure is to cut the response
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        sendProblem(res, { type: 'internal', detail: 'Failed to export products' });
+      }
     } finally {
       span.end();
     }
@@ -364,7 +504,7 @@ app.get('/products', async (req, res) => {
 });
 
 // Get a product by ID
-app.get('/products/:id', async (req, res) => {
+app.get('/products/:id', validate('GET /products/:id'), async (req, res) => {
   const { id } = req.params;
   
   await tracer.startActiveSpan('get_product_by_id', async (span) => {
@@ -402,10 +542,11 @@ app.get('/products/:id', async (req, res) => {
           message: `Product with ID ${id} not found`,
           product: { id }
         }));
-        return res.status(404).json({ error: 'Product not found' });
+        return sendProblem(res, { type: 'not-found', detail: 'Product not found' });
       }
       
       span.setStatus({ code: SpanStatusCode.OK });
+      res.set('ETag', formatVersion(result));
       res.json(result._source);
     } catch (err) {
       span.recordException(err);
@@ -415,17 +556,413 @@ app.get('/products/:id', async (req, res) => {
         product: { id },
         error: { message: err.message, stack: err.stack }
       }));
-      res.status(500).json({ error: 'Failed to retrieve product' });
+      sendProblem(res, { type: 'internal', detail: 'Failed to retrieve product' });
     } finally {
       span.end();
     }
   });
 });
 
+// Product administration
+//
+// Write endpoints require `Authorization: Bearer <CATALOG_ADMIN_TOKEN>`.
+// Updates and deletes require an `If-Match` header carrying the ETag returned
+// by a previous read or write; it maps onto Elasticsearch's
+// if_seq_no/if_primary_term so concurrent edits fail instead of overwriting.
+
+function requireAdmin(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  if (!CATALOG_ADMIN_TOKEN) {
+    return sendProblem(res, { type: 'unavailable', detail: 'Product administration is not configured' });
+  }
+
+  const expected = Buffer.from(CATALOG_ADMIN_TOKEN);
+  const actual = Buffer.from(token);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return sendProblem(res, { type: 'unauthorized', detail: 'Invalid or missing admin token' });
+  }
+  next();
+}
+
+// ETag for a document version: "<seq_no>-<primary_term>"
+function formatVersion(doc) {
+  return `"${doc._seq_no}-${doc._primary_term}"`;
+}
+
+function parseIfMatch(header) {
+  const match = /^"?(\d+)-(\d+)"?$/.exec(header || '');
+  if (!match) return null;
+  return { if_seq_no: Number(match[1]), if_primary_term: Number(match[2]) };
+}
+
+// Resolve the If-Match precondition or send the matching error response
+function requireVersion(req, res) {
+  if (!req.headers['if-match']) {
+    sendProblem(res, { type: 'precondition-required', detail: 'If-Match header is required' });
+    return null;
+  }
+  const version = parseIfMatch(req.headers['if-match']);
+  if (!version) {
+    sendProblem(res, { detail: 'If-Match header is not a valid product version' });
+    return null;
+  }
+  return version;
+}
+
+// Map Elasticsearch write failures onto HTTP responses
+function handleWriteError(err, res, span, id, action) {
+  const statusCode = err.meta && err.meta.statusCode;
+
+  if (statusCode === 404) {
+    return sendProblem(res, { type: 'not-found', detail: 'Product not found' });
+  }
+  if (statusCode === 409) {
+    logger.warn(addTraceContext(span, {
+      message: `Version conflict while trying to ${action} product ${id}`,
+      product: { id }
+    }));
+    return action === 'create'
+      ? sendProblem(res, { type: 'conflict', detail: 'Product already exists' })
+      : sendProblem(res, { type: 'precondition-failed', detail: 'Product has been modified; fetch it again and retry' });
+  }
+
+  span.recordException(err);
+  span.setStatus({ code: SpanStatusCode.ERROR });
+  logger.error(addTraceContext(span, {
+    message: `Failed to ${action} product ${id}`,
+    product: { id },
+    error: { message: err.message, stack: err.stack }
+  }));
+  return sendProblem(res, { type: 'internal', detail: `Failed to ${action} product` });
+}
+
+// Create a product
+app.post('/products', requireAdmin, validate('POST /products'), async (req, res) => {
+  const product = { ...req.body, id: req.body.id || crypto.randomUUID() };
+
+  await tracer.startActiveSpan('create_product', async (span) => {
+    try {
+      span.setAttribute('product.id', product.id);
+
+      const result = await withEsSpan('ES /catalog/_create', { 'product.id': product.id }, () =>
+        esClient.create({
+          index: ES_INDEX,
+          id: product.id,
+          document: product,
+          refresh: 'wait_for'
+        })
+      );
+
+      logger.info(addTraceContext(span, {
+        message: `Created product ${product.id}`,
+        product: { id: product.id }
+      }));
+
+      span.setStatus({ code: SpanStatusCode.OK });
+      productChanges.productsChanged([product.id]);
+      res.set('ETag', formatVersion(result));
+      res.status(201).json(product);
+    } catch (err) {
+      handleWriteError(err, res, span, product.id, 'create');
+    } finally {
+      span.end();
+    }
+  });
+});
+
+// Replace a product
+app.put('/products/:id', requireAdmin, validate('PUT /products/:id'), async (req, res) => {
+  const { id } = req.params;
+  const product = { ...req.body, id };
+
+  await tracer.startActiveSpan('replace_product', async (span) => {
+    try {
+      span.setAttribute('product.id', id);
+
+      if (req.body.id !== undefined && req.body.id !== id) {
+        return sendProblem(res, { errors: [{ in: 'body', field: 'id', message: 'must match the product ID in the path' }] });
+      }
+      const version = requireVersion(req, res);
+      if (!version) return;
+
+      // op_type index would create a missing document, so check first
+      const exists = await withEsSpan('ES /catalog/_doc', { 'product.id': id }, () =>
+        esClient.exists({ index: ES_INDEX, id })
+      );
+      if (!exists) {
+        return sendProblem(res, { type: 'not-found', detail: 'Product not found' });
+      }
+
+      const result = await withEsSpan('ES /catalog/_doc', { 'product.id': id }, () =>
+        esClient.index({
+          index: ES_INDEX,
+          id,
+          document: product,
+          ...version,
+          refresh: 'wait_for'
+        })
+      );
+
+      logger.info(addTraceContext(span, {
+        message: `Replaced product ${id}`,
+        product: { id }
+      }));
+
+      span.setStatus({ code: SpanStatusCode.OK });
+      productChanges.productsChanged([id]);
+      res.set('ETag', formatVersion(result));
+      res.json(product);
+    } catch (err) {
+      handleWriteError(err, res, span, id, 'replace');
+    } finally {
+      span.end();
+    }
+  });
+});
+
+// Update some fields of a product
+app.patch('/products/:id', requireAdmin, validate('PATCH /products/:id'), async (req, res) => {
+  const { id } = req.params;
+
+  await tracer.startActiveSpan('update_product', async (span) => {
+    try {
+      span.setAttribute('product.id', id);
+
+      if (req.body.id !== undefined && req.body.id !== id) {
+        return sendProblem(res, { errors: [{ in: 'body', field: 'id', message: 'cannot be changed' }] });
+      }
+      const version = requireVersion(req, res);
+      if (!version) return;
+
+      const result = await withEsSpan('ES /catalog/_update', { 'product.id': id }, () =>
+        esClient.update({
+          index: ES_INDEX,
+          id,
+          doc: req.body,
+          ...version,
+          refresh: 'wait_for',
+          _source: true
+        })
+      );
+
+      logger.info(addTraceContext(span, {
+        message: `Updated product ${id}`,
+        product: { id, fields: Object.keys(req.body) }
+      }));
+
+      span.setStatus({ code: SpanStatusCode.OK });
+      productChanges.productsChanged([id]);
+      res.set('ETag', formatVersion(result));
+      res.json(result.get._source);
+    } catch (err) {
+      handleWriteError(err, res, span, id, 'update');
+    } finally {
+      span.end();
+    }
+  });
+});
+
+// Delete a product
+app.delete('/products/:id', requireAdmin, validate('DELETE /products/:id'), async (req, res) => {
+  const { id } = req.params;
+
+  await tracer.startActiveSpan('delete_product', async (span) => {
+    try {
+      span.setAttribute('product.id', id);
+
+      const version = requireVersion(req, res);
+      if (!version) return;
+
+      await withEsSpan('ES /catalog/_doc', { 'product.id': id }, () =>
+        esClient.delete({
+          index: ES_INDEX,
+          id,
+          ...version,
+          refresh: 'wait_for'
+        })
+      );
+
+      logger.info(addTraceContext(span, {
+        message: `Deleted product ${id}`,
+        product: { id }
+      }));
+
+      span.setStatus({ code: SpanStatusCode.OK });
+      productChanges.productsChanged([id]);
+      res.status(204).end();
+    } catch (err) {
+      handleWriteError(err, res, span, id, 'delete');
+    } finally {
+      span.end();
+    }
+  });
+});
+
+// Inventory reservations
+//
+// order-svc reserves stock before charging, then commits the reservation when
+// the payment is approved or releases it when the payment fails. Cancelled
+// orders cancel their reservation, which also puts sold stock back.
+
+// Map inventory errors onto HTTP responses
+function sendInventoryError(err, res, span, action) {
+  if (err instanceof inventory.InsufficientStockError) {
+    logger.warn(addTraceContext(span, {
+      message: err.message,
+      product: { id: err.productId },
+      inventory: { requested: err.requested, available: err.available }
+    }));
+    return sendProblem(res, {
+      type: 'insufficient-stock',
+      detail: err.message,
+      productId: err.productId,
+      requested: err.requested,
+      available: err.available
+    });
+  }
+  if (err instanceof inventory.ProductNotFoundError) {
+    return sendProblem(res, { type: 'not-found', detail: 'Product not found', productId: err.productId });
+  }
+  if (err instanceof inventory.ReservationNotFoundError) {
+    return sendProblem(res, { type: 'not-found', detail: 'Reservation not found' });
+  }
+  if (err instanceof inventory.ReservationStateError) {
+    return sendProblem(res, { type: 'conflict', detail: err.message, reservationStatus: err.status });
+  }
+
+  logger.error(addTraceContext(span, {
+    message: `Failed to ${action} inventory reservation`,
+    error: { message: err.message, stack: err.stack }
+  }));
+  return sendProblem(res, { type: 'internal', detail: `Failed to ${action} inventory reservation` });
+}
+
+// Reserve stock for a set of items
+app.post('/inventory/reservations', validate('POST /inventory/reservations'), async (req, res) => {
+  const { orderId, items } = req.body;
+
+  const span = trace.getActiveSpan();
+  try {
+    const reservation = await inventory.reserveStock(esClient, { orderId, items });
+    logger.info(addTraceContext(span, {
+      message: `Reserved stock for ${reservation.items.length} products`,
+      order: { id: orderId },
+      inventory: { reservation_id: reservation.id }
+    }));
+    res.status(201).json(reservation);
+  } catch (err) {
+    sendInventoryError(err, res, span, 'create');
+  }
+});
+
+// Get a reservation
+app.get('/inventory/reservations/:id', validate('GET /inventory/reservations/:id'), async (req, res) => {
+  try {
+    res.json(await inventory.getReservation(esClient, req.params.id));
+  } catch (err) {
+    sendInventoryError(err, res, trace.getActiveSpan(), 'get');
+  }
+});
+
+// Commit a reservation once the order is paid
+app.post('/inventory/reservations/:id/commit', validate('POST /inventory/reservations/:id/commit'), async (req, res) => {
+  const span = trace.getActiveSpan();
+  try {
+    const reservation = await inventory.commitReservation(esClient, req.params.id);
+    logger.info(addTraceContext(span, {
+      message: `Committed inventory reservation ${req.params.id}`,
+      inventory: { reservation_id: req.params.id }
+    }));
+    res.json(reservation);
+  } catch (err) {
+    sendInventoryError(err, res, span, 'commit');
+  }
+});
+
+// Release a reservation and put the stock back
+app.post('/inventory/reservations/:id/release', validate('POST /inventory/reservations/:id/release'), async (req, res) => {
+  const span = trace.getActiveSpan();
+  try {
+    const reservation = await inventory.releaseReservation(esClient, req.params.id);
+    logger.info(addTraceContext(span, {
+      message: `Released inventory reservation ${req.params.id}`,
+      inventory: { reservation_id: req.params.id }
+    }));
+    res.json(reservation);
+  } catch (err) {
+    sendInventoryError(err, res, span, 'release');
+  }
+});
+
+// Put back the stock of a cancelled order, whether it was sold or only reserved
+app.post('/inventory/reservations/:id/cancel', validate('POST /inventory/reservations/:id/cancel'), async (req, res) => {
+  const span = trace.getActiveSpan();
+  try {
+    const reservation = await inventory.cancelReservation(esClient, req.params.id);
+    logger.info(addTraceContext(span, {
+      message: `Cancelled inventory reservation ${req.params.id}`,
+      inventory: { reservation_id: req.params.id }
+    }));
+    res.json(reservation);
+  } catch (err) {
+    sendInventoryError(err, res, span, 'cancel');
+  }
+});
+
+// Bodies that are not JSON are invalid requests like any other
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  sendProblem(res, { errors: [{ in: 'body', field: '', message: 'must be valid JSON' }] });
+});
+
+// Routes that do not exist, and errors no route handled
+app.use((req, res) => {
+  sendProblem(res, { type: 'not-found', detail: `No route for ${req.method} ${req.path}` });
+});
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.too.large') {
+    return sendProblem(res, { type: 'payload-too-large', detail: `Request body is larger than ${err.limit} bytes` });
+  }
+  logger.error({
+    message: `Unhandled error in ${req.method} ${req.path}`,
+    error: { message: err.message, stack: err.stack }
+  });
+  sendProblem(res, { type: 'internal' });
+});
+
 // Start the server
 async function startServer() {
   try {
     await setupElasticsearch();
+
+    // Put back stock held by orders that never finished checkout
+    setInterval(() => {
+      inventory.sweepExpiredReservations(esClient)
+        .then((released) => {
+          if (released.length > 0) {
+            logger.info({
+              message: `Released ${released.length} expired inventory reservations`,
+              inventory: { reservation_ids: released }
+            });
+          }
+        })
+        .catch((err) => {
+          logger.error({
+            message: 'Failed to release expired inventory reservations',
+            error: { message: err.message, stack: err.stack }
+          });
+        });
+    }, RESERVATION_SWEEP_INTERVAL_MS).unref();
+
+    if (!CATALOG_ADMIN_TOKEN) {
+      logger.warn({
+        message: 'CATALOG_ADMIN_TOKEN is not set; product write endpoints are disabled'
+      });
+    }
     
     app.listen(PORT, () => {
       logger.info({
@@ -0,0 +1,340 @@
+'use strict';
+
+// Inventory reservations
+//
+// Reserving stock decrements `inventory` on each product right away with a
+// guarded script update, so concurrent checkouts can never take it below
+// zero. The reservation document then records what was taken:
+//
+//   reserved  --commit--> committed   (order paid, stock stays sold)
+//   reserved  --release-> released    (payment failed, stock is put back)
+//   reserved  --cancel--> released    (order cancelled before payment)
+//   committed --cancel--> released    (paid order cancelled, stock is put back)
+//
+// Reservations that are neither committed nor released before `expiresAt`
+// are released by sweepExpiredReservations(). Only cancelling puts sold stock
+// back, so a reservation committed while the sweeper runs stays sold.
+
+const crypto = require('crypto');
+const { trace, SpanStatusCode } = require('@opentelemetry/api');
+
+const CATALOG_INDEX = 'catalog';
+const RESERVATIONS_INDEX = 'inventory-reservations';
+const RESERVATION_TTL_MS = parseInt(process.env.RESERVATION_TTL_MS || '900000', 10);
+
+const tracer = trace.getTracer('catalog-svc-tracer');
+
+const reservationsMapping = {
+  properties: {
+    id: { type: 'keyword' },
+    orderId: { type: 'keyword' },
+    items: {
+      properties: {
+        productId: { type: 'keyword' },
+        quantity: { type: 'integer' }
+      }
+    },
+    status: { type: 'keyword' },
+    createdAt: { type: 'date' },
+    updatedAt: { type: 'date' },
+    expiresAt: { type: 'date' }
+  }
+};
+
+// Take stock only when enough is left; otherwise leave the document untouched
+const DECREMENT_SCRIPT = `
+  if (ctx._source.inventory == null || ctx._source.inventory < params.quantity) {
+    ctx.op = 'noop';
+  } else {
+    ctx._source.inventory -= params.quantity;
+  }
+`;
+
+const INCREMENT_SCRIPT = `
+  ctx._source.inventory = (ctx._source.inventory == null ? 0 : ctx._source.inventory) + params.quantity;
+`;
+
+// Move a reservation between states only from an allowed state
+const TRANSITION_SCRIPT = `
+  if (params.from.contains(ctx._source.status)) {
+    ctx._source.status = params.to;
+    ctx._source.updatedAt = params.now;
+  } else {
+    ctx.op = 'noop';
+  }
+`;
+
+class InsufficientStockError extends Error {
+  constructor(productId, requested, available) {
+    super(`Insufficient stock for product ${productId}`);
+    this.name = 'InsufficientStockError';
+    this.productId = productId;
+    this.requested = requested;
+    this.available = available;
+  }
+}
+
+class ProductNotFoundError extends Error {
+  constructor(productId) {
+    super(`Product not found: ${productId}`);
+    this.name = 'ProductNotFoundError';
+    this.productId = productId;
+  }
+}
+
+class ReservationNotFoundError extends Error {
+  constructor(reservationId) {
+    super(`Reservation not found: ${reservationId}`);
+    this.name = 'ReservationNotFoundError';
+    this.reservationId = reservationId;
+  }
+}
+
+class ReservationStateError extends Error {
+  constructor(reservationId, status, action) {
+    super(`Cannot ${action} reservation ${reservationId} in status ${status}`);
+    this.name = 'ReservationStateError';
+    this.reservationId = reservationId;
+    this.status = status;
+  }
+}
+
+function isNotFound(err) {
+  return Boolean(err.meta && err.meta.statusCode === 404);
+}
+
+async function ensureReservationsIndex(esClient) {
+  const exists = await esClient.indices.exists({ index: RESERVATIONS_INDEX });
+  if (!exists) {
+    await esClient.indices.create({
+      index: RESERVATIONS_INDEX,
+      mappings: reservationsMapping
+    });
+  }
+}
+
+async function decrementStock(esClient, productId, quantity) {
+  try {
+    const res = await esClient.update({
+      index: CATALOG_INDEX,
+      id: productId,
+      script: { source: DECREMENT_SCRIPT, params: { quantity } },
+      retry_on_conflict: 5,
+      _source: ['inventory']
+    });
+
+    if (res.result === 'noop') {
+      throw new InsufficientStockError(productId, quantity, res.get._source.inventory || 0);
+    }
+  } catch (err) {
+    if (isNotFound(err)) throw new ProductNotFoundError(productId);
+    throw err;
+  }
+}
+
+async function incrementStock(esClient, productId, quantity) {
+  try {
+    await esClient.update({
+      index: CATALOG_INDEX,
+      id: productId,
+      script: { source: INCREMENT_SCRIPT, params: { quantity } },
+      retry_on_conflict: 5
+    });
+  } catch (err) {
+    // A product deleted in the meantime has no stock to give back
+    if (!isNotFound(err)) throw err;
+  }
+}
+
+// Sum quantities per product so each document is updated once
+function mergeItems(items) {
+  const quantities = new Map();
+  for (const item of items) {
+    quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+  }
+  return [...quantities].map(([productId, quantity]) => ({ productId, quantity }));
+}
+
+// Reserve stock for all items, or for none of them
+async function reserveStock(esClient, { orderId, items }) {
+  return tracer.startActiveSpan('inventory_reserve', async (span) => {
+    const taken = [];
+    try {
+      if (orderId) span.setAttribute('order.id', orderId);
+      const merged = mergeItems(items);
+      span.setAttribute('inventory.item_count', merged.length);
+
+      for (const item of merged) {
+        await decrementStock(esClient, item.productId, item.quantity);
+        taken.push(item);
+      }
+
+      const now = new Date();
+      const reservation = {
+        id: crypto.randomUUID(),
+        orderId: orderId || null,
+        items: merged,
+        status: 'reserved',
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + RESERVATION_TTL_MS).toISOString()
+      };
+
+      await esClient.index({
+        index: RESERVATIONS_INDEX,
+        id: reservation.id,
+        document: reservation,
+        op_type: 'create',
+        refresh: 'wait_for'
+      });
+
+      span.setAttribute('inventory.reservation_id', reservation.id);
+      span.setStatus({ code: SpanStatusCode.OK });
+      return reservation;
+    } catch (err) {
+      // Give back whatever was already taken before failing
+      await Promise.all(taken.map(item => incrementStock(esClient, item.productId, item.quantity)));
+
+      span.recordException(err);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: err.message });
+      throw err;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// Move a reservation to `to` if it is currently in one of `from`.
+// Returns { reservation, changed }; repeating a transition is a no-op.
+async function transition(esClient, reservationId, from, to, action) {
+  let res;
+  try {
+    res = await esClient.update({
+      index: RESERVATIONS_INDEX,
+      id: reservationId,
+      script: {
+        source: TRANSITION_SCRIPT,
+        params: { from, to, now: new Date().toISOString() }
+      },
+      retry_on_conflict: 5,
+      refresh: 'wait_for',
+      _source: true
+    });
+  } catch (err) {
+    if (isNotFound(err)) throw new ReservationNotFoundError(reservationId);
+    throw err;
+  }
+
+  const reservation = res.get._source;
+  if (res.result === 'noop' && reservation.status !== to) {
+    throw new ReservationStateError(reservationId, reservation.status, action);
+  }
+  return { reservation, changed: res.result !== 'noop' };
+}
+
+// Keep the reserved stock sold
+async function commitReservation(esClient, reservationId) {
+  return tracer.startActiveSpan('inventory_commit', async (span) => {
+    try {
+      span.setAttribute('inventory.reservation_id', reservationId);
+      const { reservation } = await transition(esClient, reservationId, ['reserved'], 'committed', 'commit');
+      span.setStatus({ code: SpanStatusCode.OK });
+      return reservation;
+    } catch (err) {
+      span.recordException(err);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: err.message });
+      throw err;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// Move a reservation from one of `from` to released and put its stock back
+async function putBack(esClient, reservationId, from, action) {
+  return tracer.startActiveSpan(`inventory_${action}`, async (span) => {
+    try {
+      span.setAttribute('inventory.reservation_id', reservationId);
+      const { reservation, changed } = await transition(esClient, reservationId, from, 'released', action);
+
+      // Only the call that actually changed the status restocks, so repeated
+      // releases cannot add stock twice
+      if (changed) {
+        await Promise.all(reservation.items.map(item =>
+          incrementStock(esClient, item.productId, item.quantity)
+        ));
+      }
+
+      span.setStatus({ code: SpanStatusCode.OK });
+      return reservation;
+    } catch (err) {
+      span.recordException(err);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: err.message });
+      throw err;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// Put reserved stock back. Committed reservations are refused, their stock
+// is sold.
+async function releaseReservation(esClient, reservationId) {
+  return putBack(esClient, reservationId, ['reserved'], 'release');
+}
+
+// Put the reserved or sold stock of a cancelled order back
+async function cancelReservation(esClient, reservationId) {
+  return putBack(esClient, reservationId, ['reserved', 'committed'], 'cancel');
+}
+
+async function getReservation(esClient, reservationId) {
+  try {
+    const res = await esClient.get({ index: RESERVATIONS_INDEX, id: reservationId });
+    return res._source;
+  } catch (err) {
+    if (isNotFound(err)) throw new ReservationNotFoundError(reservationId);
+    throw err;
+  }
+}
+
+// Release reservations whose order never committed or released them
+async function sweepExpiredReservations(esClient) {
+  const res = await esClient.search({
+    index: RESERVATIONS_INDEX,
+    query: {
+      bool: {
+        filter: [
+          { term: { status: 'reserved' } },
+          { range: { expiresAt: { lt: 'now' } } }
+        ]
+      }
+    },
+    size: 100
+  });
+
+  const expired = res.hits.hits.map(hit => hit._source.id);
+  for (const reservationId of expired) {
+    try {
+      await releaseReservation(esClient, reservationId);
+    } catch (err) {
+      // Committed or released since the search ran
+      if (!(err instanceof ReservationStateError)) throw err;
+    }
+  }
+  return expired;
+}
+
+module.exports = {
+  InsufficientStockError,
+  ProductNotFoundError,
+  ReservationNotFoundError,
+  ReservationStateError,
+  ensureReservationsIndex,
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+  cancelReservation,
+  getReservation,
+  sweepExpiredReservations
+};
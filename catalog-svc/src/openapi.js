@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+'use strict';
+
+// Print the catalog-svc OpenAPI document, generated from the request schemas
+//
+//   npm run --silent openapi > openapi.json
+
+const { ROUTES } = require('./api-schema');
+const { openApiDocument } = require('@mini-shop/validation');
+const { version } = require('../package.json');
+
+const document = openApiDocument({
+  info: {
+    title: 'catalog-svc',
+    version,
+    description: 'Products, their search and administration, and inventory reservations.'
+  },
+  routes: ROUTES,
+  securitySchemes: {
+    adminAuth: { type: 'http', scheme: 'bearer', description: 'CATALOG_ADMIN_TOKEN' }
+  }
+});
+
+console.log(JSON.stringify(document, null, 2));
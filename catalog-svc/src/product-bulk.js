@@ -0,0 +1,122 @@
+'use strict';
+
+// Bulk product import and export against the catalog index, shared by the
+// HTTP endpoints and the command line tool
+
+const { trace, SpanStatusCode } = require('@opentelemetry/api');
+const { validateProduct } = require('./product-schema');
+const { parseProducts, csvHeader, toCsvLine, toNdjsonLine } = require('./product-io');
+
+const ES_INDEX = 'catalog';
+const BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE || '500', 10);
+
+const tracer = trace.getTracer('catalog-svc-tracer');
+
+// Send one batch of valid rows through _bulk and return per-row errors.
+// New ids are created from the whole row. Existing products get only the
+// fields the row sets, so live stock that reservations keep decrementing,
+// and fields edited since the spreadsheet was exported, stay unless the row
+// sets them.
+async function indexBatch(esClient, batch) {
+  return tracer.startActiveSpan('ES /catalog/_bulk', async (bulkSpan) => {
+    try {
+      bulkSpan.setAttribute('import.batch_size', batch.length);
+
+      const operations = batch.flatMap(row => [
+        { update: { _index: ES_INDEX, _id: row.product.id } },
+        { doc: row.product, upsert: row.product }
+      ]);
+      const res = await esClient.bulk({ operations, refresh: 'wait_for' });
+
+      if (!res.errors) return [];
+
+      return res.items.reduce((errors, item, i) => {
+        if (item.update.error) {
+          errors.push({
+            line: batch[i].line,
+            id: batch[i].product.id,
+            errors: [{ field: '', message: item.update.error.reason }]
+          });
+        }
+        return errors;
+      }, []);
+    } catch (err) {
+      bulkSpan.recordException(err);
+      bulkSpan.setStatus({ code: SpanStatusCode.ERROR });
+      throw err;
+    } finally {
+      bulkSpan.end();
+    }
+  });
+}
+
+// Validate and index an import payload. Returns a report with one entry per
+// rejected row; valid rows are indexed (created, or updated by id).
+async function importProducts(esClient, text, format) {
+  return tracer.startActiveSpan('import_products', async (span) => {
+    try {
+      span.setAttribute('import.format', format);
+
+      const rows = parseProducts(text, format);
+      const errors = [];
+      const valid = [];
+
+      for (const row of rows) {
+        if (row.error) {
+          errors.push({ line: row.line, errors: [{ field: '', message: row.error }] });
+          continue;
+        }
+        const rowErrors = validateProduct(row.product);
+        if (rowErrors.length > 0) {
+          errors.push({ line: row.line, id: row.product.id, errors: rowErrors });
+        } else {
+          valid.push(row);
+        }
+      }
+
+      for (let i = 0; i < valid.length; i += BATCH_SIZE) {
+        errors.push(...await indexBatch(esClient, valid.slice(i, i + BATCH_SIZE)));
+      }
+
+      errors.sort((a, b) => a.line - b.line);
+      const report = {
+        total: rows.length,
+        imported: rows.length - errors.length,
+        failed: errors.length,
+        errors
+      };
+
+      span.setAttribute('import.total', report.total);
+      span.setAttribute('import.failed', report.failed);
+      span.setStatus({ code: SpanStatusCode.OK });
+      return report;
+    } catch (err) {
+      span.recordException(err);
+      span.setStatus({ code: SpanStatusCode.ERROR });
+      throw err;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// Yield the whole catalog as CSV or NDJSON lines, scrolling through the index
+async function* exportProducts(esClient, format) {
+  if (format === 'csv') yield csvHeader();
+
+  const toLine = format === 'csv' ? toCsvLine : toNdjsonLine;
+  const documents = esClient.helpers.scrollDocuments({
+    index: ES_INDEX,
+    query: { match_all: {} },
+    size: BATCH_SIZE
+  });
+
+  for await (const product of documents) {
+    yield toLine(product);
+  }
+}
+
+module.exports = {
+  importProducts,
+  exportProducts
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+// CSV and NDJSON (de)serialization for product import and export
+
+// Column order used for CSV export; imports accept any order via the header row
+const CSV_COLUMNS = ['id', 'name', 'description', 'price', 'currency', 'category', 'imageUrl', 'tags', 'inventory'];
+// Tags are stored as a keyword array and flattened into one CSV cell
+const TAG_SEPARATOR = '|';
+
+const FORMATS = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+// Pick the format from an explicit ?format= value or the request content type
+function resolveFormat(format, contentType = '') {
+  if (format) return FORMATS[format] ? format : null;
+  if (contentType.includes('text/csv')) return 'csv';
+  if (contentType.includes('ndjson')) return 'ndjson';
+  return null;
+}
+
+// Split CSV text into records of cells (RFC 4180: quoted cells may contain
+// separators, doubled quotes and line breaks). Each record keeps the line
+// number it started on for error reporting.
+function parseCsvRecords(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    // Skip blank lines
+    if (cells.length > 1 || cells[0] !== '') {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || cells.length > 0) endRecord();
+
+  return records;
+}
+
+// Convert CSV cell strings into typed product fields. Values that do not
+// convert cleanly are kept as strings so schema validation reports them.
+function csvCellsToProduct(header, cells) {
+  const product = {};
+
+  header.forEach((column, i) => {
+    const raw = (cells[i] || '').trim();
+    if (raw === '') return;
+
+    switch (column) {
+      case 'price':
+      case 'inventory':
+        product[column] = Number.isNaN(Number(raw)) ? raw : Number(raw);
+        break;
+      case 'tags':
+        product.tags = raw.split(TAG_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+        break;
+      default:
+        product[column] = raw;
+    }
+  });
+
+  return product;
+}
+
+// Parse an import payload into rows of { line, product } or { line, error }
+function parseProducts(text, format) {
+  if (format === 'csv') {
+    const [headerRecord, ...records] = parseCsvRecords(text);
+    if (!headerRecord) return [];
+
+    const header = headerRecord.cells.map(column => column.trim());
+    return records.map(record => ({
+      line: record.line,
+      product: csvCellsToProduct(header, record.cells)
+    }));
+  }
+
+  return text.split(/\r?\n/).reduce((rows, content, i) => {
+    if (content.trim() === '') return rows;
+    try {
+      rows.push({ line: i + 1, product: JSON.parse(content) });
+    } catch (err) {
+      rows.push({ line: i + 1, error: `Invalid JSON: ${err.message}` });
+    }
+    return rows;
+  }, []);
+}
+
+function escapeCsvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join(TAG_SEPARATOR) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvHeader() {
+  return `${CSV_COLUMNS.join(',')}\n`;
+}
+
+function toCsvLine(product) {
+  return `${CSV_COLUMNS.map(column => escapeCsvCell(product[column])).join(',')}\n`;
+}
+
+function toNdjsonLine(product) {
+  return `${JSON.stringify(product)}\n`;
+}
+
+module.exports = {
+  FORMATS,
+  resolveFormat,
+  parseProducts,
+  csvHeader,
+  toCsvLine,
+  toNdjsonLine
+};
@@ -0,0 +1,182 @@
+'use strict';
+
+// Builds Elasticsearch search bodies for GET /products from query-string parameters
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Elasticsearch rejects from + size beyond index.max_result_window (10000 by default)
+const MAX_RESULT_WINDOW = 10000;
+const FACET_SIZE = 50;
+
+// Sort orders exposed to clients; `id` is always appended as a tiebreaker so
+// cursors stay stable between pages
+const SORTS = {
+  relevance: [{ _score: 'desc' }],
+  price_asc: [{ price: 'asc' }],
+  price_desc: [{ price: 'desc' }],
+  // unmapped_type keeps indexes created before name.raw existed sortable
+  name_asc: [{ 'name.raw': { order: 'asc', unmapped_type: 'keyword' } }],
+  name_desc: [{ 'name.raw': { order: 'desc', unmapped_type: 'keyword' } }]
+};
+
+class QueryValidationError extends Error {
+  constructor(parameter, message) {
+    super(`${parameter} ${message}`);
+    this.name = 'QueryValidationError';
+    this.parameter = parameter;
+    this.reason = message;
+  }
+}
+
+function parseNumber(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new QueryValidationError(name, 'must be a number');
+  }
+  return number;
+}
+
+function parseInteger(value, name, min, max) {
+  const number = parseNumber(value, name);
+  if (number === undefined) return undefined;
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new QueryValidationError(name, `must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseList(value) {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => v.trim()).filter(Boolean);
+}
+
+function encodeCursor(sortValues) {
+  return Buffer.from(JSON.stringify(sortValues)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const sortValues = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Array.isArray(sortValues)) return sortValues;
+  } catch (err) {
+    // Fall through to the validation error below
+  }
+  throw new QueryValidationError('cursor', 'is invalid');
+}
+
+// Parse and validate the supported query parameters
+function parseProductQuery(query) {
+  const params = {
+    q: query.q ? String(query.q).trim() : '',
+    categories: parseList(query.category),
+    tags: parseList(query.tags),
+    minPrice: parseNumber(query.minPrice, 'minPrice'),
+    maxPrice: parseNumber(query.maxPrice, 'maxPrice'),
+    sort: query.sort || (query.q ? 'relevance' : 'name_asc'),
+    from: parseInteger(query.from, 'from', 0, MAX_RESULT_WINDOW) || 0,
+    size: parseInteger(query.size, 'size', 1, MAX_PAGE_SIZE) || DEFAULT_PAGE_SIZE,
+    cursor: query.cursor ? decodeCursor(String(query.cursor)) : null
+  };
+
+  if (!SORTS[params.sort]) {
+    throw new QueryValidationError('sort', `must be one of: ${Object.keys(SORTS).join(', ')}`);
+  }
+  if (params.minPrice !== undefined && params.maxPrice !== undefined &&
+      params.minPrice > params.maxPrice) {
+    throw new QueryValidationError('minPrice', 'must not be greater than maxPrice');
+  }
+  if (params.cursor && params.from > 0) {
+    throw new QueryValidationError('from', 'cannot be combined with cursor');
+  }
+  if (params.from + params.size > MAX_RESULT_WINDOW) {
+    throw new QueryValidationError('size', `must not exceed ${MAX_RESULT_WINDOW} - from; use cursor to page further`);
+  }
+
+  return params;
+}
+
+// Build the search request body for parsed parameters
+function buildSearchBody(params) {
+  const must = [];
+  const filter = [];
+
+  if (params.q) {
+    must.push({
+      multi_match: {
+        query: params.q,
+        fields: ['name^3', 'description', 'tags^2'],
+        fuzziness: 'AUTO'
+      }
+    });
+  }
+  if (params.categories.length > 0) {
+    filter.push({ terms: { category: params.categories } });
+  }
+  if (params.tags.length > 0) {
+    filter.push({ terms: { tags: params.tags } });
+  }
+  if (params.minPrice !== undefined || params.maxPrice !== undefined) {
+    const range = {};
+    if (params.minPrice !== undefined) range.gte = params.minPrice;
+    if (params.maxPrice !== undefined) range.lte = params.maxPrice;
+    filter.push({ range: { price: range } });
+  }
+
+  const body = {
+    query: must.length === 0 && filter.length === 0
+      ? { match_all: {} }
+      : { bool: { must, filter } },
+    sort: [...SORTS[params.sort], { id: 'asc' }],
+    size: params.size,
+    track_total_hits: true,
+    aggs: {
+      categories: { terms: { field: 'category', size: FACET_SIZE } },
+      tags: { terms: { field: 'tags', size: FACET_SIZE } }
+    }
+  };
+
+  if (params.cursor) {
+    body.search_after = params.cursor;
+  } else {
+    body.from = params.from;
+  }
+
+  return body;
+}
+
+// Shape a search response into the API payload
+function formatSearchResult(params, searchRes) {
+  const hits = searchRes.hits.hits;
+  const total = typeof searchRes.hits.total === 'number'
+    ? searchRes.hits.total
+    : searchRes.hits.total.value;
+  const toFacet = agg => agg.buckets.map(bucket => ({ value: bucket.key, count: bucket.doc_count }));
+
+  // Only hand out a cursor when a full page came back
+  const lastHit = hits[hits.length - 1];
+  const nextCursor = hits.length === params.size && lastHit ? encodeCursor(lastHit.sort) : null;
+
+  return {
+    products: hits.map(hit => hit._source),
+    total,
+    from: params.cursor ? null : params.from,
+    size: params.size,
+    nextCursor,
+    facets: {
+      categories: toFacet(searchRes.aggregations.categories),
+      tags: toFacet(searchRes.aggregations.tags)
+    }
+  };
+}
+
+module.exports = {
+  SORTS,
+  MAX_PAGE_SIZE,
+  MAX_RESULT_WINDOW,
+  QueryValidationError,
+  parseProductQuery,
+  buildSearchBody,
+  formatSearchResult
+};
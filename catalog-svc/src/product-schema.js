@@ -0,0 +1,44 @@
+'use strict';
+
+// Product document schema, kept in line with the `catalog` index mapping
+
+const { validate } = require('@mini-shop/validation');
+
+const productSchema = {
+  type: 'object',
+  required: ['id', 'name', 'price', 'category'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' },
+    name: { type: 'string', minLength: 1, maxLength: 256 },
+    description: { type: 'string', maxLength: 4096 },
+    price: { type: 'number', minimum: 0 },
+    // ISO 4217 code the price is in; the gateway treats products without
+    // one as priced in its base currency
+    currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+    category: { type: 'string', minLength: 1, maxLength: 64 },
+    imageUrl: { type: 'string', maxLength: 2048 },
+    tags: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 64 } },
+    inventory: { type: 'integer', minimum: 0 }
+  }
+};
+
+// Request bodies: created products get an ID when they have none,
+// replacements take theirs from the path and updates set any of the fields
+const newProductSchema = {
+  ...productSchema,
+  required: productSchema.required.filter(field => field !== 'id')
+};
+const productPatchSchema = { ...productSchema, required: [] };
+
+// Validate a product document. Returns a list of { field, message } errors.
+function validateProduct(product) {
+  return validate(productSchema, product);
+}
+
+module.exports = {
+  productSchema,
+  newProductSchema,
+  productPatchSchema,
+  validateProduct
+};
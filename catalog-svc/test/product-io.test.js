@@ -0,0 +1,71 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveFormat, parseProducts, csvHeader, toCsvLine, toNdjsonLine } = require('../src/product-io');
+
+describe('resolveFormat', () => {
+  it('prefers an explicit format and falls back to the content type', () => {
+    assert.equal(resolveFormat('ndjson', 'text/csv'), 'ndjson');
+    assert.equal(resolveFormat('xml'), null);
+    assert.equal(resolveFormat(undefined, 'text/csv; charset=utf-8'), 'csv');
+    assert.equal(resolveFormat(undefined, 'application/x-ndjson'), 'ndjson');
+    assert.equal(resolveFormat(undefined, 'application/ndjson'), 'ndjson');
+    assert.equal(resolveFormat(undefined, 'application/json'), null);
+  });
+});
+
+describe('parseProducts', () => {
+  it('reads CSV columns in any order into typed fields', () => {
+    const rows = parseProducts('name,id,price,tags,inventory\nMug,1,9.5,kitchen| gifts ,3\n', 'csv');
+    assert.deepEqual(rows, [
+      { line: 2, product: { name: 'Mug', id: '1', price: 9.5, tags: ['kitchen', 'gifts'], inventory: 3 } }
+    ]);
+  });
+
+  it('leaves out empty cells and keeps numbers that do not parse as strings', () => {
+    const [row] = parseProducts('id,price,description\n1,cheap,\n', 'csv');
+    assert.deepEqual(row.product, { id: '1', price: 'cheap' });
+  });
+
+  it('handles quoted cells, CRLF line endings and blank lines', () => {
+    const csv = 'id,name,description\r\n1,"Mug, large","Says ""hi""\non two lines"\r\n\r\n2,Plate,\r\n';
+    const rows = parseProducts(csv, 'csv');
+    assert.deepEqual(rows.map(row => row.line), [2, 5]);
+    assert.deepEqual(rows[0].product, { id: '1', name: 'Mug, large', description: 'Says "hi"\non two lines' });
+    assert.deepEqual(rows[1].product, { id: '2', name: 'Plate' });
+  });
+
+  it('returns no rows for an empty CSV', () => {
+    assert.deepEqual(parseProducts('', 'csv'), []);
+  });
+
+  it('reads NDJSON and reports lines that are not JSON', () => {
+    const rows = parseProducts('{"id":"1"}\n\n{oops\n{"id":"2"}', 'ndjson');
+    assert.deepEqual(rows[0], { line: 1, product: { id: '1' } });
+    assert.equal(rows[1].line, 3);
+    assert.match(rows[1].error, /^Invalid JSON: /);
+    assert.deepEqual(rows[2], { line: 4, product: { id: '2' } });
+  });
+});
+
+describe('export', () => {
+  it('writes CSV lines in the header order, escaping where needed', () => {
+    assert.equal(csvHeader(), 'id,name,description,price,currency,category,imageUrl,tags,inventory\n');
+    assert.equal(
+      toCsvLine({ id: '1', name: 'Mug, "large"', price: 9.5, tags: ['a', 'b'], inventory: 0 }),
+      '1,"Mug, ""large""",,9.5,,,,a|b,0\n'
+    );
+  });
+
+  it('reads back what it exports', () => {
+    const product = {
+      id: '1', name: 'Mug, large', description: 'Two\nlines', price: 9.5, tags: ['a', 'b'], inventory: 2
+    };
+    const [row] = parseProducts(csvHeader() + toCsvLine(product), 'csv');
+    assert.deepEqual(row.product, product);
+
+    const [ndjsonRow] = parseProducts(toNdjsonLine(product), 'ndjson');
+    assert.deepEqual(ndjsonRow.product, product);
+  });
+});
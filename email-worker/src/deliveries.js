@@ -0,0 +1,299 @@
+"use strict";
+
+// Email delivery audit log
+//
+// Every send attempt is a document in the `email-deliveries` index. It is
+// written as `sending` before the email goes out and updated with the outcome:
+//
+//   sent             every recipient was accepted
+//   partially_sent   some recipients were rejected
+//   failed           the send failed; the message is retried or dead-lettered
+//   abandoned        a worker died mid-send and a later attempt took over
+//   skipped          not sent on purpose; `reason` says why, such as
+//                    "opted_out" when the customer turned the type off
+//
+// The log also makes sending idempotent: an order gets each email type at
+// most once. Before sending, a worker claims the order and type in the
+// `email-delivery-claims` index, with a document whose id is the delivery
+// key, created only if it does not exist. Of two workers handling the same
+// event only one gets the claim; the other skips the email if it was sent,
+// or waits while it is `sending`. A claim still `sending` after
+// EMAIL_SEND_TIMEOUT_MS belongs to a dead worker and is taken over,
+// conditionally on the version that was read, and the email is sent again.
+// That is the one case where a customer can get the same email twice, as
+// the log cannot tell whether the server accepted it.
+
+const INDEX = "email-deliveries";
+const CLAIMS_INDEX = "email-delivery-claims";
+const SEND_TIMEOUT_MS = parseInt(
+  process.env.EMAIL_SEND_TIMEOUT_MS || "120000",
+  10
+);
+
+const SENT_STATUSES = ["sent", "partially_sent"];
+
+function deliveryKey(type, orderId) {
+  return `${type}:${orderId}`;
+}
+
+function isConflict(err) {
+  return Boolean(err.meta && err.meta.statusCode === 409);
+}
+
+function errorFields(err) {
+  return {
+    message: err.message,
+    ...(err.code && { code: String(err.code) }),
+    ...(err.responseCode && { response_code: err.responseCode }),
+  };
+}
+
+const MAPPING = {
+  properties: {
+    deliveryKey: { type: "keyword" },
+    orderId: { type: "keyword" },
+    template: { type: "keyword" },
+    locale: { type: "keyword" },
+    recipient: { type: "keyword" },
+    subject: { type: "text" },
+    messageId: { type: "keyword" },
+    transport: { type: "keyword" },
+    status: { type: "keyword" },
+    reason: { type: "keyword" },
+    accepted: { type: "keyword" },
+    rejected: { type: "keyword" },
+    response: { type: "text" },
+    error: {
+      properties: {
+        message: { type: "text" },
+        code: { type: "keyword" },
+        response_code: { type: "integer" },
+      },
+    },
+    attempt: { type: "integer" },
+    startedAt: { type: "date" },
+    completedAt: { type: "date" },
+  },
+};
+
+// One claim per order and email type: `sending` while a worker holds it,
+// then `sent`, or `failed` or `skipped`, which a later attempt can claim
+const CLAIMS_MAPPING = {
+  properties: {
+    status: { type: "keyword" },
+    claimedAt: { type: "date" },
+    settledAt: { type: "date" },
+  },
+};
+
+function createDeliveryLog(esClient) {
+  // Take over a claim another attempt left, unless someone else does first.
+  // Resolves to false when the claim was not free.
+  async function takeOver(id, existing, claimedAt) {
+    const { status, claimedAt: since } = existing._source;
+    const stale = Date.now() - Date.parse(since) > SEND_TIMEOUT_MS;
+    if (status === "sending" && !stale) return false;
+    try {
+      await esClient.index({
+        index: CLAIMS_INDEX,
+        id,
+        document: { status: "sending", claimedAt },
+        if_seq_no: existing._seq_no,
+        if_primary_term: existing._primary_term,
+        refresh: "wait_for",
+      });
+      return true;
+    } catch (err) {
+      if (isConflict(err)) return false;
+      throw err;
+    }
+  }
+
+  async function settleClaim(key, status) {
+    await esClient.update({
+      index: CLAIMS_INDEX,
+      id: key,
+      doc: { status, settledAt: new Date().toISOString() },
+      refresh: "wait_for",
+    });
+  }
+
+  return {
+    // Create the indices, or add fields that are new since they were created
+    async setup() {
+      for (const [index, mappings] of [
+        [INDEX, MAPPING],
+        [CLAIMS_INDEX, CLAIMS_MAPPING],
+      ]) {
+        const exists = await esClient.indices.exists({ index });
+        if (exists) {
+          await esClient.indices.putMapping({ index, ...mappings });
+        } else {
+          await esClient.indices.create({ index, mappings });
+        }
+      }
+    },
+
+    // Claim the right to send an email. Resolves to
+    //   { action: "send" }                   claimed; the caller sends it
+    //   { action: "skip", delivery }         already sent
+    //   { action: "wait" }                   another attempt is in flight
+    // The claim is settled by succeed(), fail() or skip().
+    async claim(type, orderId) {
+      const key = deliveryKey(type, orderId);
+      const claimedAt = new Date().toISOString();
+      try {
+        await esClient.create({
+          index: CLAIMS_INDEX,
+          id: key,
+          document: { status: "sending", claimedAt },
+          refresh: "wait_for",
+        });
+      } catch (err) {
+        if (!isConflict(err)) throw err;
+        const existing = await esClient.get({ index: CLAIMS_INDEX, id: key });
+        if (existing._source.status === "sent") {
+          const delivery = await this.latest(type, orderId);
+          return { action: "skip", delivery: delivery || { status: "sent" } };
+        }
+        if (!(await takeOver(key, existing, claimedAt))) {
+          return { action: "wait" };
+        }
+      }
+
+      // Holding the claim, no one else is sending. Look at earlier attempts,
+      // including ones logged before claims existed.
+      const delivery = await this.latest(type, orderId);
+      if (delivery && SENT_STATUSES.includes(delivery.status)) {
+        await settleClaim(key, "sent");
+        return { action: "skip", delivery };
+      }
+      if (delivery && delivery.status === "sending") {
+        await esClient.update({
+          index: INDEX,
+          id: delivery.id,
+          doc: { status: "abandoned", completedAt: new Date().toISOString() },
+          refresh: "wait_for",
+        });
+      }
+      return { action: "send" };
+    },
+
+    // Give up a claim before an attempt was recorded, so a retry can take it
+    async release(type, orderId) {
+      await settleClaim(deliveryKey(type, orderId), "failed");
+    },
+
+    // The most recent attempt that was not a failure, or null
+    async latest(type, orderId) {
+      const res = await esClient.search({
+        index: INDEX,
+        size: 1,
+        query: {
+          bool: {
+            filter: [
+              { term: { deliveryKey: deliveryKey(type, orderId) } },
+              { terms: { status: [...SENT_STATUSES, "sending"] } },
+            ],
+          },
+        },
+        sort: [{ startedAt: { order: "desc" } }],
+      });
+      const hit = res.hits.hits[0];
+      return hit ? { id: hit._id, ...hit._source } : null;
+    },
+
+    // Record an attempt as `sending`. Resolves to the attempt's document id.
+    async start(attempt) {
+      const res = await esClient.index({
+        index: INDEX,
+        document: {
+          deliveryKey: deliveryKey(attempt.template, attempt.orderId),
+          ...attempt,
+          status: "sending",
+          startedAt: new Date().toISOString(),
+        },
+        refresh: "wait_for",
+      });
+      return res._id;
+    },
+
+    // Record an email that was deliberately not sent
+    async skip(attempt, reason) {
+      const now = new Date().toISOString();
+      const res = await esClient.index({
+        index: INDEX,
+        document: {
+          deliveryKey: deliveryKey(attempt.template, attempt.orderId),
+          ...attempt,
+          status: "skipped",
+          reason,
+          startedAt: now,
+          completedAt: now,
+        },
+        refresh: "wait_for",
+      });
+      await settleClaim(deliveryKey(attempt.template, attempt.orderId), "skipped");
+      return res._id;
+    },
+
+    async succeed(id, info) {
+      const res = await esClient.update({
+        index: INDEX,
+        id,
+        _source: ["deliveryKey"],
+        doc: {
+          status: info.rejected.length > 0 ? "partially_sent" : "sent",
+          messageId: info.messageId,
+          accepted: info.accepted.map(String),
+          rejected: info.rejected.map(String),
+          response: info.response,
+          completedAt: new Date().toISOString(),
+        },
+        refresh: "wait_for",
+      });
+      await settleClaim(res.get._source.deliveryKey, "sent");
+    },
+
+    async fail(id, err) {
+      const res = await esClient.update({
+        index: INDEX,
+        id,
+        _source: ["deliveryKey"],
+        doc: {
+          status: "failed",
+          error: errorFields(err),
+          ...(err.rejected && { rejected: err.rejected.map(String) }),
+          ...(err.response && { response: err.response }),
+          completedAt: new Date().toISOString(),
+        },
+        refresh: "wait_for",
+      });
+      await settleClaim(res.get._source.deliveryKey, "failed");
+    },
+
+    // Attempts matching the filters, newest first
+    async find({ recipient, orderId, template, statuses, limit = 50 } = {}) {
+      const filter = [];
+      if (recipient) filter.push({ term: { recipient } });
+      if (orderId) filter.push({ term: { orderId } });
+      if (template) filter.push({ term: { template } });
+      if (statuses) filter.push({ terms: { status: statuses } });
+
+      const res = await esClient.search({
+        index: INDEX,
+        size: limit,
+        query: { bool: { filter } },
+        sort: [{ startedAt: { order: "desc" } }],
+      });
+      return res.hits.hits.map((hit) => ({ id: hit._id, ...hit._source }));
+    },
+  };
+}
+
+module.exports = {
+  INDEX,
+  CLAIMS_INDEX,
+  SENT_STATUSES,
+  createDeliveryLog,
+};
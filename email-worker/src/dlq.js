@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+"use strict";
+
+// Command line tool for the dead-letter queues
+//
+//   node src/dlq.js inspect [--queue <name>] [--limit <n>]
+//   node src/dlq.js replay [--queue <name>] [--limit <n>]
+//   node src/dlq.js purge [--queue <name>]
+//
+// inspect prints dead-lettered messages with their failure headers and
+// leaves them in the queue. replay moves them back onto their work queue with
+// a fresh attempt count. purge drops every dead-lettered message.
+//
+// --queue picks one work queue, such as order.shipped; without it every
+// work queue's dead-letter queue is processed, and --limit applies to each.
+
+const amqp = require("amqplib");
+const {
+  HEADERS,
+  deadLetterQueueName,
+  assertRetryTopology,
+  sendToQueue,
+} = require("./retry");
+const { HANDLERS, findHandler } = require("./handlers");
+
+const RABBITMQ_URL = process.env.RABBITMQ_URL || "amqp://rabbitmq:5672";
+
+const USAGE = `Usage:
+  node src/dlq.js inspect [--queue <name>] [--limit <n>]
+  node src/dlq.js replay [--queue <name>] [--limit <n>]
+  node src/dlq.js purge [--queue <name>]
+
+Queues: ${HANDLERS.map((handler) => handler.routingKey).join(", ")}`;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function parseLimit(args) {
+  if (args.limit === undefined) return Infinity;
+  const limit = parseInt(args.limit, 10);
+  if (!(limit > 0)) throw new Error("--limit must be a positive number");
+  return limit;
+}
+
+// Fetch up to `limit` messages without acking them. Messages stay unacked
+// until the caller acks or nacks them, so none is fetched twice.
+async function fetchMessages(channel, queue, limit) {
+  const messages = [];
+  while (messages.length < limit) {
+    const msg = await channel.get(queue, { noAck: false });
+    if (!msg) break;
+    messages.push(msg);
+  }
+  return messages;
+}
+
+function describe(msg) {
+  const headers = msg.properties.headers || {};
+  let body = msg.content.toString();
+  try {
+    body = JSON.parse(body);
+  } catch (err) {
+    // Malformed bodies are printed as they are
+  }
+
+  return {
+    messageId: msg.properties.messageId,
+    orderId: headers["x-order-id"],
+    attempts: headers[HEADERS.attempts],
+    failureReason: headers[HEADERS.failureReason],
+    firstFailedAt: headers[HEADERS.firstFailedAt],
+    lastFailedAt: headers[HEADERS.lastFailedAt],
+    body,
+  };
+}
+
+async function runInspect(channel, queue, args) {
+  const deadLetterQueue = deadLetterQueueName(queue);
+  const messages = await fetchMessages(channel, deadLetterQueue, parseLimit(args));
+  for (const msg of messages) {
+    console.log(JSON.stringify({ queue, ...describe(msg) }));
+  }
+  for (const msg of messages) {
+    channel.nack(msg, false, true);
+  }
+  console.error(`${messages.length} message(s) in ${deadLetterQueue}`);
+}
+
+async function runReplay(channel, queue, args) {
+  const messages = await fetchMessages(channel, deadLetterQueueName(queue), parseLimit(args));
+  for (const msg of messages) {
+    const headers = { ...msg.properties.headers };
+    delete headers[HEADERS.attempts];
+    headers["x-replayed-at"] = new Date().toISOString();
+
+    await sendToQueue(channel, queue, msg, headers);
+    channel.ack(msg);
+  }
+  console.error(`Replayed ${messages.length} message(s) onto ${queue}`);
+}
+
+async function runPurge(channel, queue) {
+  const deadLetterQueue = deadLetterQueueName(queue);
+  const { messageCount } = await channel.purgeQueue(deadLetterQueue);
+  console.error(`Purged ${messageCount} message(s) from ${deadLetterQueue}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const commands = { inspect: runInspect, replay: runReplay, purge: runPurge };
+  const command = commands[args._[0]];
+  const queues = args.queue
+    ? [args.queue]
+    : HANDLERS.map((handler) => handler.routingKey);
+
+  if (!command || !queues.every(findHandler)) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const connection = await amqp.connect(RABBITMQ_URL);
+  try {
+    const channel = await connection.createConfirmChannel();
+    for (const queue of queues) {
+      await channel.assertQueue(queue, { durable: true });
+      await assertRetryTopology(channel, queue);
+      await command(channel, queue, args);
+    }
+    await channel.close();
+    return 0;
+  } finally {
+    await connection.close();
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,83 @@
+"use strict";
+
+// Order events email-worker handles
+//
+// Each routing key on the `orders` exchange gets a queue of the same name,
+// with its own retry and dead-letter queues (see retry.js), and a handler:
+//
+//   routingKey   event consumed, also the name of its queue
+//   template     email type rendered for it (templates/<template>/)
+//   view         optional; extra template values for the event, built from
+//                the order and the locale's formatters
+//
+// An order gets each email type at most once (see deliveries.js).
+
+// The latest status history entry for a status, {} if there is none
+function statusEntry(order, status) {
+  const history = order.statusHistory || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].status === status) return history[i];
+  }
+  return {};
+}
+
+const HANDLERS = [
+  {
+    routingKey: "order.confirmed",
+    template: "order-confirmed",
+  },
+  {
+    routingKey: "order.payment_failed",
+    template: "order-payment-failed",
+  },
+  {
+    routingKey: "order.cancelled",
+    template: "order-cancelled",
+    // Orders cancelled after payment have the payment refunded or the
+    // authorization released; pending ones were never charged
+    view(order, format) {
+      const entry = statusEntry(order, "cancelled");
+      return {
+        cancellation: {
+          date: format.date(entry.at),
+          paymentReturned: Boolean(entry.from) && entry.from !== "pending",
+        },
+      };
+    },
+  },
+  {
+    routingKey: "order.refunded",
+    template: "order-refunded",
+    view(order, format) {
+      return {
+        refund: {
+          date: format.date(statusEntry(order, "refunded").at),
+          amount: format.money(order.amount),
+        },
+      };
+    },
+  },
+  {
+    routingKey: "order.shipped",
+    template: "order-shipped",
+    view(order, format) {
+      return {
+        shipment: { date: format.date(statusEntry(order, "shipped").at) },
+      };
+    },
+  },
+];
+
+function findHandler(routingKey) {
+  return HANDLERS.find((handler) => handler.routingKey === routingKey) || null;
+}
+
+function handlerForTemplate(template) {
+  return HANDLERS.find((handler) => handler.template === template) || null;
+}
+
+module.exports = {
+  HANDLERS,
+  findHandler,
+  handlerForTemplate,
+};
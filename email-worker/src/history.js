@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+"use strict";
+
+// Look up emails in the delivery audit log
+//
+//   node src/history.js <email> [--order <id>] [--template <type>] [--status <status>] [--all] [--limit <n>] [--json]
+//   node src/history.js --order <id> [...]
+//
+// By default only emails the customer received (sent or partially_sent) are
+// listed; --all includes failed and in-flight attempts too.
+
+const { Client } = require("@elastic/elasticsearch");
+const { SENT_STATUSES, createDeliveryLog } = require("./deliveries");
+
+const ELASTICSEARCH_URL =
+  process.env.ELASTICSEARCH_URL || "http://elasticsearch:9200";
+
+const USAGE = `Usage:
+  node src/history.js <email> [--order <id>] [--template <type>] [--status <status>] [--all] [--limit <n>] [--json]
+  node src/history.js --order <id> [--template <type>] [--status <status>] [--all] [--limit <n>] [--json]`;
+
+const FLAGS = ["all", "json"];
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      const name = argv[i].slice(2);
+      if (FLAGS.includes(name)) {
+        args[name] = true;
+      } else {
+        args[name] = argv[i + 1];
+        i++;
+      }
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function formatDelivery(delivery) {
+  const line = [
+    delivery.completedAt || delivery.startedAt,
+    delivery.status.padEnd(14),
+    delivery.template,
+    delivery.locale || "-",
+    `order=${delivery.orderId}`,
+    `to=${delivery.recipient}`,
+    `message_id=${delivery.messageId || "-"}`,
+  ].join("  ");
+  return delivery.error ? `${line}  error=${JSON.stringify(delivery.error.message)}` : line;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const recipient = args._[0];
+
+  if (!recipient && !args.order) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const limit = args.limit === undefined ? 100 : parseInt(args.limit, 10);
+  if (!(limit > 0)) {
+    console.error("--limit must be a positive number");
+    return 2;
+  }
+
+  const deliveries = createDeliveryLog(new Client({ node: ELASTICSEARCH_URL }));
+  let found;
+  try {
+    found = await deliveries.find({
+      recipient,
+      orderId: args.order,
+      template: args.template,
+      statuses: args.status ? [args.status] : args.all ? undefined : SENT_STATUSES,
+      limit,
+    });
+  } catch (err) {
+    // Nothing has been sent yet
+    if (err.meta && err.meta.statusCode === 404) {
+      found = [];
+    } else {
+      throw err;
+    }
+  }
+
+  for (const delivery of found) {
+    console.log(args.json ? JSON.stringify(delivery) : formatDelivery(delivery));
+  }
+  console.error(`${found.length} email(s)`);
+  return 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
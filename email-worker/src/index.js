@@ -5,7 +5,6 @@ require("./instrumentation");
 
 const amqp = require("amqplib");
 const { Client } = require("@elastic/elasticsearch");
-const nodemailer = require("nodemailer");
 const {
   trace,
   context,
@@ -14,6 +13,18 @@ const {
   SpanKind,
 } = require("@opentelemetry/api");
 const pino = require("pino");
+const {
+  assertRetryTopology,
+  attemptsSoFar,
+  scheduleRetry,
+} = require("./retry");
+const { createTemplateRenderer } = require("./templates");
+const { renderOrderEmail } = require("./order-view");
+const { createMailer } = require("./mailer");
+const { createDeliveryLog } = require("./deliveries");
+const { HANDLERS } = require("./handlers");
+const { createPreferenceReader } = require("./preferences");
+const { UNSUBSCRIBE_SECRET } = require("./unsubscribe");
 
 // Environment variables
 const RABBITMQ_URL = process.env.RABBITMQ_URL || "amqp://rabbitmq:5672";
@@ -76,18 +87,14 @@ const esClient = new Client({
   node: ELASTICSEARCH_URL,
 });
 
-// Setup test email transport (for simulation only)
-const emailTransport = nodemailer.createTransport({
-  host: "localhost",
-  port: 25,
-  secure: false,
-  tls: {
-    rejectUnauthorized: false,
-  },
-  // This is a simulation - no actual emails will be sent
-  streamTransport: true,
-  newline: "unix",
-});
+// Mail transport, created on startup (see mailer.js)
+let mailer;
+
+// Audit log of send attempts, also used to never send an email twice
+const deliveries = createDeliveryLog(esClient);
+
+// Notification types customers turned off
+const preferences = createPreferenceReader(esClient);
 
 // Get order from Elasticsearch
 async function getOrderFromES(orderId, span) {
@@ -142,65 +149,169 @@ async function getOrderFromES(orderId, span) {
   });
 }
 
-// Simulate sending an email
-async function sendEmail(order, span) {
+// Email templates, see templates.js
+const templates = createTemplateRenderer();
+
+// Render and deliver the email for an order event, unless it was already
+// sent or the customer opted out of its type. Resolves to false when the
+// email was skipped.
+async function sendEmail(handler, order, attempt) {
+  const type = handler.template;
   return tracer.startActiveSpan(
-    "send_confirmation_email",
+    "send_email",
     async (emailSpan) => {
+      let deliveryId = null;
+      let claimed = false;
       try {
-        emailSpan.setAttribute("email.recipient", order.customerEmail);
-        emailSpan.setAttribute(
-          "email.subject",
-          `Your order #${order.id} has been confirmed`
-        );
+        emailSpan.setAttribute("email.template", type);
         emailSpan.setAttribute("order.id", order.id);
         emailSpan.setAttribute("order.amount", order.amount);
 
-        // Generate email content
+        // Redeliveries of an event, and other workers, must not email twice
+        const check = await deliveries.claim(type, order.id);
+        if (check.action === "skip") {
+          emailSpan.setAttribute("email.duplicate", true);
+          emailSpan.setAttribute("email.message_id", check.delivery.messageId);
+          logger.info(
+            addTraceContext(emailSpan, {
+              message: `Email ${type} for order ${order.id} was already sent, skipping`,
+              order: { id: order.id },
+              email: {
+                status: "duplicate",
+                template: type,
+                message_id: check.delivery.messageId,
+                sent_at: check.delivery.completedAt,
+              },
+            })
+          );
+          emailSpan.setStatus({ code: SpanStatusCode.OK });
+          return false;
+        }
+        if (check.action === "wait") {
+          throw new Error(
+            `Email ${type} for order ${order.id} is already being sent`
+          );
+        }
+        claimed = true;
+
+        // Honor opt-outs; the skipped send is recorded with its reason
+        if (!(await preferences.allows(order.customerEmail, type))) {
+          const skippedId = await deliveries.skip(
+            {
+              orderId: order.id,
+              template: type,
+              recipient: order.customerEmail,
+              transport: mailer.mode,
+              attempt,
+            },
+            "opted_out"
+          );
+          emailSpan.setAttribute("email.skipped_reason", "opted_out");
+          logger.info(
+            addTraceContext(emailSpan, {
+              message: `Customer opted out of ${type} emails, not emailing about order ${order.id}`,
+              order: { id: order.id },
+              email: {
+                status: "skipped",
+                reason: "opted_out",
+                delivery_id: skippedId,
+                recipient: order.customerEmail,
+                template: type,
+              },
+            })
+          );
+          emailSpan.setStatus({ code: SpanStatusCode.OK });
+          return false;
+        }
+
+        // Render the email in the customer's locale
+        const rendered = renderOrderEmail(templates, type, order, handler.view);
+
+        emailSpan.setAttribute("email.recipient", order.customerEmail);
+        emailSpan.setAttribute("email.subject", rendered.subject);
+        emailSpan.setAttribute("email.locale", rendered.locale);
+
+        // Generate email content. The Message-ID is stable per order and
+        // email type, so a resend after a crash can be recognized downstream.
         const emailContent = {
           from: '"Mini Shop" <noreply@minishop.example.com>',
           to: order.customerEmail,
-          subject: `Your order #${order.id} has been confirmed`,
-          text: `Thank you for your order #${order.id}!\n\nYour order for ${
-            order.quantity
-          }x ${
-            order.productName
-          } has been confirmed and paid.\nTotal: $${order.amount.toFixed(
-            2
-          )}\n\nThank you for shopping with us!\nMini Shop Team`,
-          html: `
-          <h1>Thank you for your order #${order.id}!</h1>
-          <p>Your order has been confirmed and paid:</p>
-          <ul>
-            <li><strong>Product:</strong> ${order.productName}</li>
-            <li><strong>Quantity:</strong> ${order.quantity}</li>
-            <li><strong>Total:</strong> $${order.amount.toFixed(2)}</li>
-          </ul>
-          <p>Thank you for shopping with us!</p>
-          <p>Mini Shop Team</p>
-        `,
+          subject: rendered.subject,
+          text: rendered.text,
+          html: rendered.html,
+          messageId: `<${type}.${order.id}@minishop.example.com>`,
         };
 
-        // Simulate email sending with small delay
-        await new Promise((resolve) => setTimeout(resolve, 50));
+        // Let mail clients offer their own unsubscribe button, including
+        // one-click unsubscribe (RFC 8058)
+        if (rendered.unsubscribeUrl) {
+          emailContent.list = { unsubscribe: rendered.unsubscribeUrl };
+          emailContent.headers = {
+            "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+          };
+        }
+
+        deliveryId = await deliveries.start({
+          orderId: order.id,
+          template: type,
+          locale: rendered.locale,
+          recipient: order.customerEmail,
+          subject: rendered.subject,
+          messageId: emailContent.messageId,
+          transport: mailer.mode,
+          attempt,
+        });
+        emailSpan.setAttribute("email.delivery_id", deliveryId);
+
+        // Deliver; nodemailer rejects when no recipient was accepted
+        const info = await mailer.transport.sendMail(emailContent);
+
+        // The email is out: failing to record that must not cause a resend
+        try {
+          await deliveries.succeed(deliveryId, info);
+        } catch (err) {
+          logger.error(
+            addTraceContext(emailSpan, {
+              message: `Failed to record delivery ${deliveryId} for order ${order.id}`,
+              order: { id: order.id },
+              error: { message: err.message, stack: err.stack },
+            })
+          );
+        }
+
+        emailSpan.setAttribute("email.message_id", info.messageId);
+        emailSpan.setAttribute("email.accepted", info.accepted.map(String));
+        emailSpan.setAttribute("email.rejected", info.rejected.map(String));
+        emailSpan.setAttribute("email.transport", mailer.mode);
 
-        // Log email sending (in production, you would actually send the email)
         const logInfo = {
-          message: `Sent email to ${order.customerEmail} for order ${order.id}`,
+          message: `Sent ${type} email to ${order.customerEmail} for order ${order.id}`,
           order: {
             id: order.id,
             amount: order.amount,
             email: order.customerEmail,
           },
           email: {
-            status: "sent",
+            status: info.rejected.length > 0 ? "partially_sent" : "sent",
+            delivery_id: deliveryId,
             recipient: order.customerEmail,
             subject: emailContent.subject,
+            template: type,
+            locale: rendered.locale,
             content_type: "text/html",
+            transport: mailer.mode,
+            message_id: info.messageId,
+            accepted: info.accepted.map(String),
+            rejected: info.rejected.map(String),
+            response: info.response,
           },
         };
 
-        logger.info(addTraceContext(emailSpan, logInfo));
+        if (info.rejected.length > 0) {
+          logger.warn(addTraceContext(emailSpan, logInfo));
+        } else {
+          logger.info(addTraceContext(emailSpan, logInfo));
+        }
 
         emailSpan.setStatus({
           code: SpanStatusCode.OK,
@@ -215,6 +326,28 @@ async function sendEmail(order, span) {
           message: err.message,
         });
 
+        if (deliveryId) {
+          await deliveries.fail(deliveryId, err).catch((recordErr) => {
+            logger.error(
+              addTraceContext(emailSpan, {
+                message: `Failed to record delivery ${deliveryId} for order ${order.id}`,
+                order: { id: order.id },
+                error: { message: recordErr.message },
+              })
+            );
+          });
+        } else if (claimed) {
+          await deliveries.release(type, order.id).catch((recordErr) => {
+            logger.error(
+              addTraceContext(emailSpan, {
+                message: `Failed to release the ${type} delivery claim for order ${order.id}`,
+                order: { id: order.id },
+                error: { message: recordErr.message },
+              })
+            );
+          });
+        }
+
         logger.error(
           addTraceContext(emailSpan, {
             message: `Failed to send email for order ${order.id}`,
@@ -231,8 +364,8 @@ async function sendEmail(order, span) {
   );
 }
 
-// Process order confirmed message
-async function processOrderConfirmed(msg, channel, parentContext = null) {
+// Process an order event message with its handler
+async function processOrderEvent(handler, msg, channel, parentContext = null) {
   // Prepare options for the span, including any links to the parent context
   const spanOptions = {
     kind: SpanKind.CONSUMER,
@@ -258,7 +391,7 @@ async function processOrderConfirmed(msg, channel, parentContext = null) {
   // Force a new context to break trace propagation
   return context.with(context.ROOT_CONTEXT, () => {
     return tracer.startActiveSpan(
-      "process_order_confirmed_message",
+      `process_${handler.routingKey.replace(".", "_")}_message`,
       spanOptions,
       async (span) => {
         try {
@@ -267,10 +400,12 @@ async function processOrderConfirmed(msg, channel, parentContext = null) {
           const order = JSON.parse(content);
 
           span.setAttribute("order.id", order.id);
+          span.setAttribute("messaging.attempt", attemptsSoFar(msg) + 1);
+          span.setAttribute("messaging.rabbitmq.routing_key", handler.routingKey);
 
           logger.info(
             addTraceContext(span, {
-              message: `Received order.confirmed message for order ${order.id}`,
+              message: `Received ${handler.routingKey} message for order ${order.id}`,
               order: { id: order.id },
             })
           );
@@ -288,20 +423,20 @@ async function processOrderConfirmed(msg, channel, parentContext = null) {
             return;
           }
 
-          // Send confirmation email
-          await sendEmail(orderDetails, span);
+          // Send the event's email
+          await sendEmail(handler, orderDetails, attemptsSoFar(msg) + 1);
 
           // Acknowledge the message
           channel.ack(msg);
 
           span.setStatus({
             code: SpanStatusCode.OK,
-            message: "Order confirmation processed successfully",
+            message: `${handler.routingKey} processed successfully`,
           });
 
           logger.info(
             addTraceContext(span, {
-              message: `Successfully processed order ${order.id}`,
+              message: `Successfully processed ${handler.routingKey} for order ${order.id}`,
               order: { id: order.id },
             })
           );
@@ -312,15 +447,14 @@ async function processOrderConfirmed(msg, channel, parentContext = null) {
             message: err.message,
           });
 
-          // Reject the message (requeue for retry)
-          channel.nack(msg, false, true);
-
           logger.error(
             addTraceContext(span, {
               message: "Failed to process message",
               error: { message: err.message, stack: err.stack },
             })
           );
+
+          await retryLater(handler.routingKey, msg, channel, err, span);
         } finally {
           span.end();
         }
@@ -329,6 +463,102 @@ async function processOrderConfirmed(msg, channel, parentContext = null) {
   });
 }
 
+// Hand a failed message to the retry queues or the dead-letter queue. If that
+// fails too, requeue it so it is not lost.
+async function retryLater(queue, msg, channel, err, span) {
+  try {
+    const retry = await scheduleRetry(channel, queue, msg, err);
+
+    span.setAttribute("messaging.attempts", retry.attempts);
+    span.setAttribute("messaging.retry.queue", retry.queue);
+
+    if (retry.deadLettered) {
+      logger.error(
+        addTraceContext(span, {
+          message: `Moved message to ${retry.queue} after ${retry.attempts} attempt(s)`,
+          messaging: { attempts: retry.attempts, queue: retry.queue },
+          error: { message: err.message },
+        })
+      );
+    } else {
+      logger.warn(
+        addTraceContext(span, {
+          message: `Retrying message in ${retry.delayMs}ms`,
+          messaging: {
+            attempts: retry.attempts,
+            queue: retry.queue,
+            delay_ms: retry.delayMs,
+          },
+        })
+      );
+    }
+  } catch (retryErr) {
+    logger.error(
+      addTraceContext(span, {
+        message: "Failed to schedule retry, requeueing message",
+        error: { message: retryErr.message, stack: retryErr.stack },
+      })
+    );
+    channel.nack(msg, false, true);
+  }
+}
+
+// Consume a handler's queue
+async function consumeOrderEvents(channel, handler) {
+  await channel.consume(handler.routingKey, async (msg) => {
+    if (msg) {
+      // Extract tracing headers if present
+      const headers = msg.properties.headers || {};
+      const traceparent = headers.traceparent;
+
+      if (traceparent) {
+        try {
+          // Parse the traceparent directly to extract span context
+          // Format: 00-traceId-spanId-flags
+          const parts = traceparent.split("-");
+          if (parts.length === 4) {
+            const parentTraceId = parts[1];
+            const parentSpanId = parts[2];
+
+            // Create a link to the parent span
+            const parentSpanContext = {
+              traceId: parentTraceId,
+              spanId: parentSpanId,
+              isRemote: true,
+              traceFlags: parseInt(parts[3], 16),
+            };
+
+            logger.info({
+              message: "Extracted parent context from traceparent",
+              traceparent,
+              parentTraceId,
+              parentSpanId,
+            });
+
+            // Process the message with a new trace but link to the parent
+            await processOrderEvent(handler, msg, channel, parentSpanContext);
+          } else {
+            logger.warn({
+              message: "Invalid traceparent format",
+              traceparent,
+            });
+            await processOrderEvent(handler, msg, channel);
+          }
+        } catch (err) {
+          logger.error({
+            message: "Error extracting span context",
+            error: { message: err.message, stack: err.stack },
+          });
+          await processOrderEvent(handler, msg, channel);
+        }
+      } else {
+        // Process without trace context
+        await processOrderEvent(handler, msg, channel);
+      }
+    }
+  });
+}
+
 // Connect to RabbitMQ and start consuming messages
 async function startConsumer() {
   let connection;
@@ -377,78 +607,26 @@ async function startConsumer() {
     });
   });
 
-  // Create channel
-  channel = await connection.createChannel();
+  // Create a confirm channel, so failed messages are only acked once their
+  // retry or dead-letter copy has been stored
+  channel = await connection.createConfirmChannel();
 
   // Declare exchange
   await channel.assertExchange("orders", "topic", {
     durable: true,
   });
 
-  // Declare queue
-  const queue = await channel.assertQueue("order.confirmed", {
-    durable: true,
-  });
-
-  // Bind queue to exchange
-  await channel.bindQueue(queue.queue, "orders", "order.confirmed");
-
   // Set prefetch count
   await channel.prefetch(1);
 
-  // Start consuming messages
-  await channel.consume(queue.queue, async (msg) => {
-    if (msg) {
-      // Extract tracing headers if present
-      const headers = msg.properties.headers || {};
-      const traceparent = headers.traceparent;
-
-      if (traceparent) {
-        try {
-          // Parse the traceparent directly to extract span context
-          // Format: 00-traceId-spanId-flags
-          const parts = traceparent.split("-");
-          if (parts.length === 4) {
-            const parentTraceId = parts[1];
-            const parentSpanId = parts[2];
-
-            // Create a link to the parent span
-            const parentSpanContext = {
-              traceId: parentTraceId,
-              spanId: parentSpanId,
-              isRemote: true,
-              traceFlags: parseInt(parts[3], 16),
-            };
-
-            logger.info({
-              message: "Extracted parent context from traceparent",
-              traceparent,
-              parentTraceId,
-              parentSpanId,
-            });
-
-            // Process the message with a new trace but link to the parent
-            await processOrderConfirmed(msg, channel, parentSpanContext);
-          } else {
-            logger.warn({
-              message: "Invalid traceparent format",
-              traceparent,
-            });
-            await processOrderConfirmed(msg, channel);
-          }
-        } catch (err) {
-          logger.error({
-            message: "Error extracting span context",
-            error: { message: err.message, stack: err.stack },
-          });
-          await processOrderConfirmed(msg, channel);
-        }
-      } else {
-        // Process without trace context
-        await processOrderConfirmed(msg, channel);
-      }
-    }
-  });
+  // One queue per event, named after its routing key, each with its own
+  // retry and dead-letter queues
+  for (const handler of HANDLERS) {
+    await channel.assertQueue(handler.routingKey, { durable: true });
+    await assertRetryTopology(channel, handler.routingKey);
+    await channel.bindQueue(handler.routingKey, "orders", handler.routingKey);
+    await consumeOrderEvents(channel, handler);
+  }
 
   logger.info({
     message: "Email worker started and waiting for messages",
@@ -457,9 +635,8 @@ async function startConsumer() {
       version: SERVICE_VERSION,
     },
     rabbitmq: {
-      queue: "order.confirmed",
+      queues: HANDLERS.map((handler) => handler.routingKey),
       exchange: "orders",
-      routing_key: "order.confirmed",
     },
   });
 
@@ -471,6 +648,7 @@ async function startConsumer() {
       if (channel) await channel.close();
       if (connection) await connection.close();
       logger.info({ message: "Successfully closed RabbitMQ connections" });
+      mailer.close();
     } catch (err) {
       logger.error({
         message: "Error during shutdown",
@@ -490,6 +668,30 @@ async function startConsumer() {
 // Start the worker
 async function main() {
   try {
+    await deliveries.setup();
+
+    if (!UNSUBSCRIBE_SECRET) {
+      logger.warn({
+        message: "UNSUBSCRIBE_SECRET is not set, emails go out without unsubscribe links",
+      });
+    }
+
+    mailer = await createMailer();
+    if (mailer.capture) {
+      logger.info({
+        message: `Capturing emails on SMTP port ${mailer.capture.smtpPort}, inspect at http://${mailer.capture.host}:${mailer.capture.httpPort}/messages`,
+      });
+    } else {
+      // An unreachable SMTP server is reported but does not stop the worker;
+      // messages are retried until it is back
+      mailer.transport.verify().catch((err) => {
+        logger.warn({
+          message: "SMTP server verification failed",
+          error: { message: err.message },
+        });
+      });
+    }
+
     await startConsumer();
   } catch (err) {
     logger.fatal({
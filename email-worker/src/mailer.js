@@ -0,0 +1,86 @@
+"use strict";
+
+// Mail transport selection
+//
+// EMAIL_TRANSPORT picks where emails go:
+//
+//   smtp      a real SMTP server configured with the SMTP_* variables
+//   capture   a local capture server started in-process (see smtp-capture.js);
+//             messages are kept in memory and can be inspected over HTTP
+//
+// Both go through the same nodemailer SMTP transport, so capture mode
+// exercises the real delivery path.
+
+const nodemailer = require("nodemailer");
+const { startCaptureServer, loadCaptureOptions } = require("./smtp-capture");
+
+const TRANSPORTS = ["smtp", "capture"];
+
+const flag = (value, fallback) =>
+  value === undefined || value === "" ? fallback : value === "true";
+
+// nodemailer options for EMAIL_TRANSPORT=smtp
+function smtpOptions(env) {
+  const port = parseInt(env.SMTP_PORT || "587", 10);
+  const options = {
+    host: env.SMTP_HOST || "localhost",
+    port,
+    // Implicit TLS on 465; other ports upgrade with STARTTLS when offered
+    secure: flag(env.SMTP_SECURE, port === 465),
+    requireTLS: flag(env.SMTP_REQUIRE_TLS, false),
+    tls: {
+      rejectUnauthorized: flag(env.SMTP_TLS_REJECT_UNAUTHORIZED, true),
+      ...(env.SMTP_TLS_SERVERNAME && { servername: env.SMTP_TLS_SERVERNAME }),
+    },
+    pool: flag(env.SMTP_POOL, true),
+    maxConnections: parseInt(env.SMTP_MAX_CONNECTIONS || "5", 10),
+    maxMessages: parseInt(env.SMTP_MAX_MESSAGES || "100", 10),
+    connectionTimeout: parseInt(env.SMTP_CONNECTION_TIMEOUT_MS || "10000", 10),
+  };
+
+  if (env.SMTP_USER) {
+    options.auth = { user: env.SMTP_USER, pass: env.SMTP_PASSWORD || "" };
+  }
+  return options;
+}
+
+// Create the transport for EMAIL_TRANSPORT. Resolves to
+// { mode, transport, capture, close() }; `capture` is the capture server in
+// capture mode and null otherwise.
+async function createMailer(env = process.env) {
+  const mode = env.EMAIL_TRANSPORT || "capture";
+  if (!TRANSPORTS.includes(mode)) {
+    throw new Error(`Unknown EMAIL_TRANSPORT: ${mode}. Use one of: ${TRANSPORTS.join(", ")}`);
+  }
+
+  let capture = null;
+  let options;
+  if (mode === "capture") {
+    capture = await startCaptureServer(loadCaptureOptions(env));
+    options = {
+      host: capture.host === "0.0.0.0" ? "127.0.0.1" : capture.host,
+      port: capture.smtpPort,
+      secure: false,
+      ignoreTLS: true,
+    };
+  } else {
+    options = smtpOptions(env);
+  }
+
+  const transport = nodemailer.createTransport(options);
+
+  return {
+    mode,
+    transport,
+    capture,
+    close() {
+      transport.close();
+      if (capture) capture.close();
+    },
+  };
+}
+
+module.exports = {
+  createMailer,
+  smtpOptions,
+};
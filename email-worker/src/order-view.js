@@ -0,0 +1,83 @@
+"use strict";
+
+// Turn an order into the values email templates render, formatted for the
+// customer's locale
+
+const { DEFAULT_LOCALE } = require("./templates");
+const { unsubscribeUrl } = require("./unsubscribe");
+
+const SHOP_NAME = process.env.SHOP_NAME || "Mini Shop";
+
+// Orders from before multi-currency support were always in USD
+function formatCurrency(amount, currency, locale) {
+  return new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency: currency || "USD",
+  }).format(amount);
+}
+
+function formatDate(isoDate, locale) {
+  if (!isoDate) return "";
+  return new Intl.DateTimeFormat(locale, { dateStyle: "long" }).format(new Date(isoDate));
+}
+
+// Intl throws on malformed tags; fall back rather than fail the email
+function safeLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale || DEFAULT_LOCALE)[0];
+  } catch (err) {
+    return DEFAULT_LOCALE;
+  }
+}
+
+// Format for the customer's own locale when the templates are in their
+// language ("en-GB" with "en" templates), otherwise for the template locale,
+// so an English email never carries French dates
+function formattingLocale(customerLocale, templateLocale) {
+  const locale = safeLocale(customerLocale);
+  return locale.split("-")[0] === templateLocale.split("-")[0] ? locale : templateLocale;
+}
+
+// `extend(order, format)` adds values of its own, such as those of an event
+// handler; `format` has money(amount) and date(isoDate) for the locale
+function buildOrderView(order, templateLocale = DEFAULT_LOCALE, extend = null) {
+  const locale = formattingLocale(order.locale, templateLocale);
+  const money = (amount) => formatCurrency(amount, order.currency, locale);
+  const date = (isoDate) => formatDate(isoDate, locale);
+
+  const view = {
+    locale,
+    shop: { name: SHOP_NAME },
+    order: {
+      id: order.id,
+      status: order.status,
+      customerEmail: order.customerEmail,
+      date: date(order.createdAt),
+      total: money(order.amount),
+    },
+    items: (order.items || []).map((item) => ({
+      name: item.productName,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice === undefined ? "" : money(item.unitPrice),
+      lineTotal: item.lineTotal === undefined ? "" : money(item.lineTotal),
+    })),
+  };
+  return extend ? { ...view, ...extend(order, { money, date }) } : view;
+}
+
+// Render an email of the given type for an order in the customer's locale.
+// Returns { locale, subject, text, html, unsubscribeUrl }; the footer
+// partials link to unsubscribeUrl when links are configured.
+function renderOrderEmail(renderer, type, order, extend = null) {
+  const locale = renderer.resolveLocale(type, order.locale);
+  const link = unsubscribeUrl(order.customerEmail, type);
+  const view = { ...buildOrderView(order, locale, extend), unsubscribeUrl: link };
+  return { ...renderer.render(type, locale, view), unsubscribeUrl: link };
+}
+
+module.exports = {
+  formatCurrency,
+  formatDate,
+  buildOrderView,
+  renderOrderEmail,
+};
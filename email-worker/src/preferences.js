@@ -0,0 +1,33 @@
+"use strict";
+
+// Customer notification preferences, read before every send
+//
+// order-svc owns the `notification-preferences` index: one document per
+// customer email with the notification types turned off, as
+// { notifications: { "order-shipped": false } }. Types that are not listed
+// are allowed, and so is everything for customers without a document.
+
+const INDEX = "notification-preferences";
+
+function createPreferenceReader(esClient) {
+  return {
+    // Whether an address accepts a notification type
+    async allows(email, type) {
+      try {
+        const res = await esClient.get({
+          index: INDEX,
+          id: String(email).trim().toLowerCase(),
+        });
+        const notifications = res._source.notifications || {};
+        return notifications[type] !== false;
+      } catch (err) {
+        if (err.meta && err.meta.statusCode === 404) return true;
+        throw err;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createPreferenceReader,
+};
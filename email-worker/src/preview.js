@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+"use strict";
+
+// Render an email template against a sample order
+//
+//   node src/preview.js list
+//   node src/preview.js <type> [--locale <locale>] [--part subject|text|html] [--order <file.json>]
+//
+// Without --order a built-in sample order is used; its locale and currency
+// follow --locale where the sample has one.
+
+const fs = require("fs");
+const { createTemplateRenderer } = require("./templates");
+const { renderOrderEmail } = require("./order-view");
+const { handlerForTemplate } = require("./handlers");
+
+const USAGE = `Usage:
+  node src/preview.js list
+  node src/preview.js <type> [--locale <locale>] [--part subject|text|html] [--order <file.json>]`;
+
+const SAMPLE_CURRENCIES = { "pt-BR": "BRL", de: "EUR", ja: "JPY" };
+
+// The sample's status history has an entry for every event, so any email
+// type can be previewed with it
+function sampleOrder(locale) {
+  const now = new Date().toISOString();
+  const history = [
+    ["pending", undefined],
+    ["paid", "pending"],
+    ["fulfilled", "paid"],
+    ["shipped", "fulfilled"],
+    ["cancelled", "paid"],
+    ["refunded", "shipped"],
+    ["payment_failed", "pending"],
+  ];
+
+  return {
+    id: "123e4567-e89b-12d3-a456-426614174000",
+    status: "paid",
+    statusHistory: history.map(([status, from]) => ({ status, from, at: now })),
+    customerEmail: "user@example.com",
+    locale,
+    currency: SAMPLE_CURRENCIES[locale] || "USD",
+    amount: 1339.98,
+    createdAt: now,
+    items: [
+      {
+        productId: "1",
+        productName: "Windsurf Laptop Pro",
+        quantity: 1,
+        unitPrice: 1299.99,
+        lineTotal: 1299.99,
+      },
+      {
+        productId: "3",
+        productName: 'OpenTelemetry Guide Book <2nd "edition">',
+        quantity: 1,
+        unitPrice: 39.99,
+        lineTotal: 39.99,
+      },
+    ],
+  };
+}
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const type = args._[0];
+  const renderer = createTemplateRenderer();
+
+  if (!type) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (type === "list") {
+    for (const name of renderer.listTypes()) {
+      console.log(`${name}: ${renderer.listLocales(name).join(", ")}`);
+    }
+    return 0;
+  }
+
+  const order = args.order
+    ? JSON.parse(fs.readFileSync(args.order, "utf8"))
+    : sampleOrder(args.locale || "en");
+  if (args.order && args.locale) order.locale = args.locale;
+
+  const handler = handlerForTemplate(type);
+  const email = renderOrderEmail(renderer, type, order, handler && handler.view);
+
+  if (args.part) {
+    if (!["subject", "text", "html"].includes(args.part)) {
+      console.error(USAGE);
+      return 2;
+    }
+    process.stdout.write(`${email[args.part]}\n`);
+    return 0;
+  }
+
+  console.log(`Locale: ${email.locale}`);
+  console.log(`Subject: ${email.subject}\n`);
+  console.log(`--- text ---\n${email.text}`);
+  console.log(`--- html ---\n${email.html}`);
+  return 0;
+}
+
+try {
+  process.exit(main());
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
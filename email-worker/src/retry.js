@@ -0,0 +1,151 @@
+"use strict";
+
+// Bounded retries and dead-lettering for the work queues
+//
+// A message that fails is acked and republished instead of being requeued.
+// For the order.confirmed queue:
+//
+//   order.confirmed --fail--> order.confirmed.retry.1 --(TTL)--> order.confirmed
+//                   --fail--> order.confirmed.retry.2 --(TTL)--> order.confirmed
+//                   ...
+//                   --fail on the last attempt--> order.confirmed.dlq
+//
+// Every work queue gets its own retry and dead-letter queues. Each retry
+// queue holds messages for a fixed delay (base * 2^(n-1)) and then
+// dead-letters them back onto its work queue, so a poison message no longer
+// blocks the queue. Failures that cannot succeed on a retry, such as
+// malformed JSON, a broken template or a permanent (5xx) SMTP rejection, go
+// to the dead-letter queue straight away.
+//
+// Republished messages carry these headers, next to the original ones:
+//
+//   x-attempts         number of failed attempts so far
+//   x-failure-reason   error message of the last failure
+//   x-first-failed-at  ISO time of the first failure
+//   x-last-failed-at   ISO time of the last failure
+
+const { TemplateError } = require("./templates");
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || "5", 10);
+const RETRY_BASE_DELAY_MS = parseInt(
+  process.env.EMAIL_RETRY_BASE_DELAY_MS || "5000",
+  10
+);
+
+const HEADERS = {
+  attempts: "x-attempts",
+  failureReason: "x-failure-reason",
+  firstFailedAt: "x-first-failed-at",
+  lastFailedAt: "x-last-failed-at",
+};
+
+// Thrown for failures that retrying cannot fix
+class PermanentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PermanentError";
+  }
+}
+
+function retryQueueName(queue, attempt) {
+  return `${queue}.retry.${attempt}`;
+}
+
+function deadLetterQueueName(queue) {
+  return `${queue}.dlq`;
+}
+
+// Delay before the retry that follows the given failed attempt
+function retryDelay(attempt) {
+  return RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+}
+
+function isRetryable(err) {
+  const permanentSmtpError = err.responseCode >= 500 && err.responseCode < 600;
+  return !(
+    permanentSmtpError ||
+    err instanceof PermanentError ||
+    err instanceof SyntaxError ||
+    err instanceof TemplateError
+  );
+}
+
+// Declare the retry queues and the dead-letter queue of a work queue
+async function assertRetryTopology(channel, queue) {
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+    await channel.assertQueue(retryQueueName(queue, attempt), {
+      durable: true,
+      arguments: {
+        "x-message-ttl": retryDelay(attempt),
+        "x-dead-letter-exchange": "",
+        "x-dead-letter-routing-key": queue,
+      },
+    });
+  }
+
+  await channel.assertQueue(deadLetterQueueName(queue), { durable: true });
+}
+
+function attemptsSoFar(msg) {
+  const headers = msg.properties.headers || {};
+  return parseInt(headers[HEADERS.attempts] || "0", 10);
+}
+
+// Send a message to a queue on a confirm channel and wait for the broker's ack
+function sendToQueue(channel, queue, msg, headers) {
+  return new Promise((resolve, reject) => {
+    channel.sendToQueue(
+      queue,
+      msg.content,
+      {
+        ...msg.properties,
+        persistent: true,
+        headers,
+      },
+      (error) => (error ? reject(error) : resolve())
+    );
+  });
+}
+
+// Move a message that failed on a work queue to the next retry queue, or to
+// the dead-letter queue once it is out of attempts. The original delivery is
+// acked only after the broker has confirmed the copy. Resolves to
+// { attempts, queue, deadLettered, delayMs }.
+async function scheduleRetry(channel, workQueue, msg, err) {
+  const attempts = attemptsSoFar(msg) + 1;
+  const now = new Date().toISOString();
+  const previous = msg.properties.headers || {};
+  const headers = {
+    ...previous,
+    [HEADERS.attempts]: attempts,
+    [HEADERS.failureReason]: err.message,
+    [HEADERS.firstFailedAt]: previous[HEADERS.firstFailedAt] || now,
+    [HEADERS.lastFailedAt]: now,
+  };
+
+  const deadLetter = attempts >= MAX_ATTEMPTS || !isRetryable(err);
+  const queue = deadLetter
+    ? deadLetterQueueName(workQueue)
+    : retryQueueName(workQueue, attempts);
+
+  await sendToQueue(channel, queue, msg, headers);
+  channel.ack(msg);
+
+  return {
+    attempts,
+    queue,
+    deadLettered: deadLetter,
+    delayMs: deadLetter ? null : retryDelay(attempts),
+  };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  HEADERS,
+  PermanentError,
+  deadLetterQueueName,
+  assertRetryTopology,
+  attemptsSoFar,
+  scheduleRetry,
+  sendToQueue,
+};
@@ -0,0 +1,373 @@
+"use strict";
+
+// Local SMTP capture server for development and CI
+//
+// Speaks just enough SMTP (EHLO/HELO, AUTH PLAIN/LOGIN, MAIL, RCPT, DATA,
+// RSET, NOOP, QUIT) for nodemailer to deliver to it, and keeps the messages
+// it receives in memory instead of relaying them. Any credentials are
+// accepted. Recipients matching `rejectRecipients` get a 550, to exercise
+// rejected-recipient handling.
+//
+// Captured messages can be inspected over HTTP:
+//
+//   GET    /messages           summaries, newest first (?to=<address> filters)
+//   GET    /messages/:id       one message with its headers and text/html bodies
+//   GET    /messages/:id/raw   the message as received
+//   DELETE /messages           drop every captured message
+//
+// Run on its own with `node src/smtp-capture.js`, or let email-worker start
+// it with EMAIL_TRANSPORT=capture.
+
+const net = require("net");
+const http = require("http");
+const crypto = require("crypto");
+
+const DEFAULTS = {
+  host: "127.0.0.1",
+  smtpPort: 1025,
+  httpPort: 1080,
+  maxMessages: 500,
+  rejectRecipients: null,
+};
+
+function createCaptureStore(maxMessages) {
+  const messages = [];
+
+  return {
+    add(message) {
+      messages.unshift(message);
+      if (messages.length > maxMessages) messages.pop();
+    },
+    list() {
+      return messages.slice();
+    },
+    get(id) {
+      return messages.find((message) => message.id === id) || null;
+    },
+    clear() {
+      messages.length = 0;
+    },
+  };
+}
+
+// Decode RFC 2047 encoded words such as =?UTF-8?Q?Ol=C3=A1?=
+function decodeWords(value) {
+  return value.replace(/=\?([^?]+)\?([QqBb])\?([^?]*)\?=\s*/g, (match, charset, encoding, text) => {
+    const bytes =
+      encoding.toUpperCase() === "B"
+        ? Buffer.from(text, "base64")
+        : decodeQuotedPrintable(text.replace(/_/g, " "));
+    return bytes.toString(/utf-?8/i.test(charset) ? "utf8" : "latin1");
+  });
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, "");
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "=" && /^[0-9A-Fa-f]{2}$/.test(source.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(source.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(source[i], "utf8"));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// Split a MIME entity into lower-cased, unfolded headers and its body
+function splitEntity(raw) {
+  const end = raw.search(/\r?\n\r?\n/);
+  const head = end === -1 ? raw : raw.slice(0, end);
+  const body = end === -1 ? "" : raw.slice(end).replace(/^\r?\n\r?\n/, "");
+  const headers = {};
+
+  for (const line of head.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const colon = line.indexOf(":");
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+  }
+  return { headers, body };
+}
+
+function decodeBody(body, transferEncoding = "") {
+  switch (transferEncoding.toLowerCase()) {
+    case "quoted-printable":
+      return decodeQuotedPrintable(body).toString("utf8");
+    case "base64":
+      return Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf8");
+    default:
+      return body;
+  }
+}
+
+// Collect the text/plain and text/html bodies of a (possibly multipart) entity
+function extractBodies(raw, bodies = {}) {
+  const { headers, body } = splitEntity(raw);
+  const contentType = headers["content-type"] || "text/plain";
+  const boundary = /boundary="?([^";]+)"?/i.exec(contentType);
+
+  if (/^multipart\//i.test(contentType) && boundary) {
+    const parts = body.split(`--${boundary[1]}`).slice(1);
+    for (const part of parts) {
+      if (part.startsWith("--")) break;
+      extractBodies(part.replace(/^\r?\n/, ""), bodies);
+    }
+    return bodies;
+  }
+
+  const kind = /^text\/html/i.test(contentType) ? "html" : /^text\/plain/i.test(contentType) ? "text" : null;
+  if (kind && bodies[kind] === undefined) {
+    bodies[kind] = decodeBody(body, headers["content-transfer-encoding"]).replace(/\r\n/g, "\n");
+  }
+  return bodies;
+}
+
+function parseMessage(raw) {
+  const { headers } = splitEntity(raw);
+  return {
+    headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, decodeWords(value)])),
+    ...extractBodies(raw),
+  };
+}
+
+function extractAddress(argument) {
+  const match = /<([^>]*)>/.exec(argument);
+  return (match ? match[1] : argument.replace(/^(FROM|TO):/i, "")).trim();
+}
+
+function createSmtpServer(store, { hostname = "capture.local", rejectRecipients = null } = {}) {
+  return net.createServer((socket) => {
+    let buffer = "";
+    let state = "command";
+    let envelope = { from: null, to: [] };
+    let user = null;
+    let data = [];
+
+    const reply = (...lines) => {
+      socket.write(
+        lines.map((line, i) => (i < lines.length - 1 ? line.replace(/^(\d{3}) /, "$1-") : line)).join("\r\n") + "\r\n"
+      );
+    };
+    const decode = (value) => Buffer.from(value, "base64").toString("utf8");
+
+    function handleLine(line) {
+      if (state === "data") {
+        if (line === ".") {
+          const raw = data.join("\r\n");
+          const id = crypto.randomUUID();
+          store.add({
+            id,
+            receivedAt: new Date().toISOString(),
+            envelope,
+            user,
+            ...parseMessage(raw),
+            raw,
+          });
+          state = "command";
+          envelope = { from: null, to: [] };
+          reply(`250 OK: queued as ${id}`);
+          return;
+        }
+        data.push(line.startsWith("..") ? line.slice(1) : line);
+        return;
+      }
+
+      if (state === "auth-plain") {
+        user = decode(line).split("\0")[1] || null;
+        state = "command";
+        return reply("235 Authentication successful");
+      }
+      if (state === "auth-login-user") {
+        user = decode(line);
+        state = "auth-login-password";
+        return reply("334 UGFzc3dvcmQ6");
+      }
+      if (state === "auth-login-password") {
+        state = "command";
+        return reply("235 Authentication successful");
+      }
+
+      const space = line.indexOf(" ");
+      const verb = (space === -1 ? line : line.slice(0, space)).toUpperCase();
+      const argument = space === -1 ? "" : line.slice(space + 1);
+
+      switch (verb) {
+        case "EHLO":
+          return reply(`250 ${hostname}`, "250 AUTH PLAIN LOGIN", "250 8BITMIME", "250 SMTPUTF8");
+        case "HELO":
+          return reply(`250 ${hostname}`);
+        case "AUTH": {
+          const [mechanism, initial] = argument.split(" ");
+          if (/^PLAIN$/i.test(mechanism)) {
+            if (initial) {
+              user = decode(initial).split("\0")[1] || null;
+              return reply("235 Authentication successful");
+            }
+            state = "auth-plain";
+            return reply("334 ");
+          }
+          if (/^LOGIN$/i.test(mechanism)) {
+            if (initial) {
+              user = decode(initial);
+              state = "auth-login-password";
+              return reply("334 UGFzc3dvcmQ6");
+            }
+            state = "auth-login-user";
+            return reply("334 VXNlcm5hbWU6");
+          }
+          return reply("504 Unrecognized authentication type");
+        }
+        case "MAIL":
+          envelope = { from: extractAddress(argument), to: [] };
+          return reply("250 OK");
+        case "RCPT": {
+          const address = extractAddress(argument);
+          if (rejectRecipients && rejectRecipients.test(address)) {
+            return reply(`550 No such user: ${address}`);
+          }
+          envelope.to.push(address);
+          return reply("250 OK");
+        }
+        case "DATA":
+          if (envelope.to.length === 0) return reply("503 No valid recipients");
+          state = "data";
+          data = [];
+          return reply("354 End data with <CR><LF>.<CR><LF>");
+        case "RSET":
+          envelope = { from: null, to: [] };
+          return reply("250 OK");
+        case "NOOP":
+          return reply("250 OK");
+        case "QUIT":
+          reply("221 Bye");
+          return socket.end();
+        default:
+          return reply("502 Command not implemented");
+      }
+    }
+
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        handleLine(line);
+      }
+    });
+    // Clients dropping the connection are not our problem
+    socket.on("error", () => {});
+
+    reply(`220 ${hostname} ESMTP capture server`);
+  });
+}
+
+function summarize(message) {
+  return {
+    id: message.id,
+    receivedAt: message.receivedAt,
+    from: message.envelope.from,
+    to: message.envelope.to,
+    subject: message.headers.subject || "",
+    messageId: message.headers["message-id"] || "",
+  };
+}
+
+function createInspectionServer(store) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === "/messages" && req.method === "GET") {
+      const to = url.searchParams.get("to");
+      const messages = store.list().filter((message) => !to || message.envelope.to.includes(to));
+      return send(200, { messages: messages.map(summarize) });
+    }
+    if (url.pathname === "/messages" && req.method === "DELETE") {
+      store.clear();
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const match = /^\/messages\/([\w-]+)(\/raw)?$/.exec(url.pathname);
+    if (match && req.method === "GET") {
+      const message = store.get(match[1]);
+      if (!message) return send(404, { error: "Message not found" });
+      if (match[2]) {
+        res.writeHead(200, { "Content-Type": "message/rfc822" });
+        return res.end(message.raw);
+      }
+      const { raw, ...details } = message;
+      return send(200, details);
+    }
+
+    send(404, { error: "Not found" });
+  });
+}
+
+function listen(server, port, host) {
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server.address().port);
+    });
+  });
+}
+
+// Start the SMTP and HTTP servers. Resolves to
+// { store, host, smtpPort, httpPort, close() }.
+async function startCaptureServer(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const store = createCaptureStore(settings.maxMessages);
+  const smtpServer = createSmtpServer(store, settings);
+  const httpServer = createInspectionServer(store);
+
+  const smtpPort = await listen(smtpServer, settings.smtpPort, settings.host);
+  const httpPort = await listen(httpServer, settings.httpPort, settings.host);
+
+  return {
+    store,
+    host: settings.host,
+    smtpPort,
+    httpPort,
+    close() {
+      smtpServer.close();
+      httpServer.close();
+    },
+  };
+}
+
+// Capture settings from EMAIL_CAPTURE_* variables
+function loadCaptureOptions(env = process.env) {
+  return {
+    host: env.EMAIL_CAPTURE_HOST || DEFAULTS.host,
+    smtpPort: parseInt(env.EMAIL_CAPTURE_SMTP_PORT || String(DEFAULTS.smtpPort), 10),
+    httpPort: parseInt(env.EMAIL_CAPTURE_HTTP_PORT || String(DEFAULTS.httpPort), 10),
+    maxMessages: parseInt(env.EMAIL_CAPTURE_MAX_MESSAGES || String(DEFAULTS.maxMessages), 10),
+    rejectRecipients: env.EMAIL_CAPTURE_REJECT ? new RegExp(env.EMAIL_CAPTURE_REJECT) : null,
+  };
+}
+
+if (require.main === module) {
+  startCaptureServer(loadCaptureOptions())
+    .then(({ host, smtpPort, httpPort }) => {
+      console.error(`Capturing SMTP on ${host}:${smtpPort}, inspect at http://${host}:${httpPort}/messages`);
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  startCaptureServer,
+  loadCaptureOptions,
+  parseMessage,
+};
@@ -0,0 +1,270 @@
+"use strict";
+
+// File-based email templates
+//
+// Templates live under templates/<type>/<locale>/ as subject.txt, text.txt
+// and html.html. Shared partials live under templates/partials/<locale>/ and
+// are included with {{> name}}; html templates get <name>.html partials and
+// text templates <name>.txt ones. A locale falls back to its language
+// ("pt-BR" -> "pt") and then to DEFAULT_LOCALE.
+//
+// The syntax is a small subset of Mustache/Handlebars:
+//
+//   {{order.id}}                   value, HTML-escaped in html templates
+//   {{{order.note}}}               value, never escaped
+//   {{#if order.note}}...{{/if}}   rendered when the value is truthy (non-empty for arrays)
+//   {{#each items}}...{{/each}}    rendered once per item; item fields are in scope
+//   {{> footer}}                   partial
+//
+// Values should be formatted before rendering; templates do no formatting.
+
+const fs = require("fs");
+const path = require("path");
+
+const TEMPLATES_DIR =
+  process.env.EMAIL_TEMPLATES_DIR || path.join(__dirname, "..", "templates");
+const DEFAULT_LOCALE = process.env.EMAIL_DEFAULT_LOCALE || "en";
+
+const PARTIALS = "partials";
+// Names that are safe to use as directory names
+const NAME = /^[A-Za-z0-9_-]+$/;
+const PARTS = {
+  subject: { file: "subject.txt", format: "txt" },
+  text: { file: "text.txt", format: "txt" },
+  html: { file: "html.html", format: "html" },
+};
+
+const TAG =
+  /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#/>]?)\s*([\w.-]+)(?:\s+([\w.]+))?\s*\}\}/g;
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateError";
+  }
+}
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+// The span of the line a tag sits on when nothing else is on that line,
+// including its line break; null otherwise
+function standaloneLine(source, start, end) {
+  const lineStart = source.lastIndexOf("\n", start - 1) + 1;
+  const lineBreak = source.indexOf("\n", end);
+  const lineEnd = lineBreak === -1 ? source.length : lineBreak + 1;
+  const blank = /^[ \t\r\n]*$/;
+  if (blank.test(source.slice(lineStart, start)) && blank.test(source.slice(end, lineEnd))) {
+    return { start: lineStart, end: lineEnd };
+  }
+  return null;
+}
+
+// Parse template source into a tree of text, value, raw, partial, if and
+// each nodes. Block and partial tags alone on their line take the whole line
+// with them, so they leave no blank lines behind.
+function parseTemplate(source, name) {
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const current = stack[stack.length - 1];
+    const [, rawPath, sigil, word, arg] = match;
+
+    let start = match.index;
+    let end = match.index + match[0].length;
+    if (sigil) {
+      const line = standaloneLine(source, start, end);
+      if (line && line.start >= last) ({ start, end } = line);
+    }
+
+    if (start > last) {
+      current.children.push({ type: "text", value: source.slice(last, start) });
+    }
+    last = end;
+
+    if (rawPath) {
+      current.children.push({ type: "raw", path: rawPath });
+    } else if (sigil === "#") {
+      if (!["if", "each"].includes(word) || !arg) {
+        throw new TemplateError(`Unknown block {{#${word}}} in ${name}`);
+      }
+      const block = { type: word, path: arg, children: [] };
+      current.children.push(block);
+      stack.push(block);
+    } else if (sigil === "/") {
+      if (stack.length === 1 || current.type !== word) {
+        throw new TemplateError(`Unexpected {{/${word}}} in ${name}`);
+      }
+      stack.pop();
+    } else if (sigil === ">") {
+      current.children.push({ type: "partial", name: word });
+    } else {
+      current.children.push({ type: "value", path: word });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed {{#${stack[stack.length - 1].type}}} in ${name}`);
+  }
+  if (last < source.length) {
+    root.children.push({ type: "text", value: source.slice(last) });
+  }
+  return root.children;
+}
+
+// Look a dotted path up in the innermost scope that has its first segment
+function lookup(scopes, dottedPath) {
+  const [head, ...rest] = dottedPath.split(".");
+  const scope = scopes.find(
+    (candidate) => candidate !== null && typeof candidate === "object" && head in candidate
+  );
+  let value = scope ? scope[head] : undefined;
+  for (const key of rest) {
+    value = value === null || value === undefined ? undefined : value[key];
+  }
+  return value;
+}
+
+function toText(value) {
+  return value === null || value === undefined ? "" : String(value);
+}
+
+function renderNodes(nodes, scopes, context) {
+  return nodes
+    .map((node) => {
+      switch (node.type) {
+        case "text":
+          return node.value;
+        case "value":
+          return context.escape(toText(lookup(scopes, node.path)));
+        case "raw":
+          return toText(lookup(scopes, node.path));
+        case "partial": {
+          const partial = context.partials[node.name];
+          if (!partial) {
+            throw new TemplateError(`Unknown partial {{> ${node.name}}} in ${context.name}`);
+          }
+          return renderNodes(partial, scopes, context);
+        }
+        case "if": {
+          const value = lookup(scopes, node.path);
+          const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+          return truthy ? renderNodes(node.children, scopes, context) : "";
+        }
+        case "each": {
+          const items = lookup(scopes, node.path) || [];
+          return items
+            .map((item) => renderNodes(node.children, [item, ...scopes], context))
+            .join("");
+        }
+        default:
+          return "";
+      }
+    })
+    .join("");
+}
+
+// Locales to try for a requested locale, most specific first
+function localeCandidates(locale) {
+  const candidates = [];
+  if (locale && NAME.test(locale)) {
+    candidates.push(locale);
+    const language = locale.split("-")[0];
+    if (language !== locale) candidates.push(language);
+  }
+  if (!candidates.includes(DEFAULT_LOCALE)) candidates.push(DEFAULT_LOCALE);
+  return candidates;
+}
+
+function createTemplateRenderer({ dir = TEMPLATES_DIR } = {}) {
+  const cache = new Map();
+
+  function load(file) {
+    if (!cache.has(file)) {
+      cache.set(file, parseTemplate(fs.readFileSync(file, "utf8"), path.relative(dir, file)));
+    }
+    return cache.get(file);
+  }
+
+  function resolveLocale(type, locale) {
+    if (!NAME.test(type) || !fs.existsSync(path.join(dir, type))) {
+      throw new TemplateError(`Unknown email type: ${type}`);
+    }
+    const found = localeCandidates(locale).find((candidate) =>
+      fs.existsSync(path.join(dir, type, candidate))
+    );
+    if (!found) {
+      throw new TemplateError(`No ${type} templates for locale ${locale} or ${DEFAULT_LOCALE}`);
+    }
+    return found;
+  }
+
+  // Partials of one format, each taken from the most specific locale that has it
+  function loadPartials(locale, format) {
+    const partials = {};
+    for (const candidate of localeCandidates(locale).reverse()) {
+      const partialsDir = path.join(dir, PARTIALS, candidate);
+      if (!fs.existsSync(partialsDir)) continue;
+      for (const file of fs.readdirSync(partialsDir)) {
+        if (path.extname(file) === `.${format}`) {
+          partials[path.basename(file, `.${format}`)] = load(path.join(partialsDir, file));
+        }
+      }
+    }
+    return partials;
+  }
+
+  return {
+    // The locale whose templates will be used for a requested locale
+    resolveLocale,
+
+    // Render every part of an email. Resolves the locale with fallbacks and
+    // returns { locale, subject, text, html }.
+    render(type, locale, view) {
+      const resolved = resolveLocale(type, locale);
+      const email = { locale: resolved };
+
+      for (const [part, { file, format }] of Object.entries(PARTS)) {
+        const name = path.join(type, resolved, file);
+        const context = {
+          name,
+          partials: loadPartials(resolved, format),
+          escape: format === "html" ? escapeHtml : (text) => text,
+        };
+        email[part] = renderNodes(load(path.join(dir, name)), [view], context);
+      }
+
+      email.subject = email.subject.trim();
+      return email;
+    },
+
+    listTypes() {
+      return fs
+        .readdirSync(dir)
+        .filter((entry) => entry !== PARTIALS && fs.statSync(path.join(dir, entry)).isDirectory());
+    },
+
+    listLocales(type) {
+      return fs.readdirSync(path.join(dir, type));
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  TemplateError,
+  escapeHtml,
+  parseTemplate,
+  createTemplateRenderer,
+};
@@ -0,0 +1,43 @@
+"use strict";
+
+// Unsubscribe links for email footers
+//
+// A link carries a token signed with UNSUBSCRIBE_SECRET, which api-gateway
+// verifies before it changes the customer's notification preferences. The
+// token format is shared with api-gateway (see its src/unsubscribe.js):
+//
+//   <base64url(email)>.<base64url(hmac-sha256("unsubscribe:" + email))>
+//
+// Without UNSUBSCRIBE_SECRET no links are generated.
+
+const crypto = require("crypto");
+
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET || "";
+const UNSUBSCRIBE_URL =
+  process.env.UNSUBSCRIBE_URL || "http://localhost:3000/unsubscribe";
+
+function createUnsubscribeToken(email, secret = UNSUBSCRIBE_SECRET) {
+  const normalized = String(email).trim().toLowerCase();
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`unsubscribe:${normalized}`)
+    .digest("base64url");
+  return `${Buffer.from(normalized).toString("base64url")}.${signature}`;
+}
+
+// Link that turns off one notification type for an address, or null when
+// links are not configured
+function unsubscribeUrl(email, type) {
+  if (!UNSUBSCRIBE_SECRET || !email) return null;
+
+  const url = new URL(UNSUBSCRIBE_URL);
+  url.searchParams.set("token", createUnsubscribeToken(email));
+  url.searchParams.set("type", type);
+  return url.toString();
+}
+
+module.exports = {
+  UNSUBSCRIBE_SECRET,
+  createUnsubscribeToken,
+  unsubscribeUrl,
+};
@@ -3,8 +3,10 @@
 # Script to install npm dependencies in all project services
 echo "Installing npm dependencies for all services..."
 
-# List of all service directories
+# List of all service directories. shared/validation comes first: the
+# services link to it and need its dependencies installed.
 SERVICES=(
+  "shared/validation"
   "api-gateway"
   "catalog-svc"
   "order-svc"
@@ -1,6 +1,8 @@
 import http from 'k6/http';
 import { sleep, check } from 'k6';
 import { Rate, Trend } from 'k6/metrics';
+import { hmac } from 'k6/crypto';
+import encoding from 'k6/encoding';
 import { randomIntBetween } from 'https://jslib.k6.io/k6-utils/1.2.0/index.js';
 
 // Custom metrics
@@ -56,6 +58,29 @@ const products = [
   { id: "5", name: "Observability Platform - 1 Year License" }
 ];
 
+// Checkout needs a customer token; sign one with the gateway's JWT_SECRET
+const jwtSecret = __ENV.JWT_SECRET || 'dev-jwt-secret';
+
+function customerToken(email) {
+  const encode = (value) => encoding.b64encode(JSON.stringify(value), 'rawurl');
+  const now = Math.floor(Date.now() / 1000);
+  const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+    sub: email,
+    email: email,
+    roles: ['customer'],
+    iat: now,
+    exp: now + 3600,
+  })}`;
+  return `${signingInput}.${hmac('sha256', jwtSecret, signingInput, 'base64rawurl')}`;
+}
+
+function checkoutHeaders(email) {
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${customerToken(email)}`,
+  };
+}
+
 // Test setup
 export function setup() {
   // Verify API gateway is up
@@ -108,7 +133,7 @@ function normalCheckout(baseUrl) {
   // Make checkout request
   const start = new Date();
   const res = http.post(`${baseUrl}/checkout`, payload, {
-    headers: { 'Content-Type': 'application/json' }
+    headers: checkoutHeaders(email)
   });
   const duration = new Date() - start;
   
@@ -135,7 +160,7 @@ function errorCheckout(baseUrl) {
           quantity: 1,
           customerEmail: "user@example.com"
         }), 
-        { headers: { 'Content-Type': 'application/json' } }
+        { headers: checkoutHeaders("user@example.com") }
       );
     },
     // Missing required fields
@@ -146,7 +171,7 @@ function errorCheckout(baseUrl) {
           // quantity is missing
           customerEmail: "user@example.com"
         }), 
-        { headers: { 'Content-Type': 'application/json' } }
+        { headers: checkoutHeaders("user@example.com") }
       );
     },
     // Invalid quantity
@@ -157,7 +182,7 @@ function errorCheckout(baseUrl) {
           quantity: -5,
           customerEmail: "user@example.com"
         }), 
-        { headers: { 'Content-Type': 'application/json' } }
+        { headers: checkoutHeaders("user@example.com") }
       );
     },
     // Force payment decline by using large amount
@@ -168,7 +193,7 @@ function errorCheckout(baseUrl) {
           quantity: 10,    // Large quantity to trigger payment decline
           customerEmail: "user@example.com"
         }), 
-        { headers: { 'Content-Type': 'application/json' } }
+        { headers: checkoutHeaders("user@example.com") }
       );
     }
   ];
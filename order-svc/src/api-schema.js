@@ -0,0 +1,160 @@
+// Request schemas of the order-svc routes, keyed by "<METHOD> <path>"
+//
+// index.js validates requests against them (see shared/validation) and
+// openapi.js documents the API from them.
+const { FULFILMENT_STATUSES } = require('./order-state');
+const { NOTIFICATION_TYPES } = require('./preferences');
+
+const currencyCode = { type: 'string', pattern: '^[A-Z]{3}$' };
+const uuid = description => ({ type: 'string', format: 'uuid', description });
+const reason = { type: 'string', maxLength: 500, description: 'Kept in the status history' };
+const orderParams = { type: 'object', required: ['id'], properties: { id: uuid('Order ID') } };
+const reasonBody = { type: 'object', additionalProperties: false, properties: { reason } };
+const emailParams = {
+  type: 'object',
+  required: ['email'],
+  properties: { email: { type: 'string', format: 'email', maxLength: 254, description: 'Customer email' } }
+};
+
+const ROUTES = {
+  'GET /health': {
+    summary: 'Service health',
+    responses: { 200: 'UP, with the state of the connections' }
+  },
+  'POST /order': {
+    summary: 'Create an order, reserve its stock and authorize the payment',
+    description: 'Honors an Idempotency-Key header. `amount` must be the sum of the line totals.',
+    body: {
+      type: 'object',
+      required: ['items', 'amount', 'customerEmail'],
+      additionalProperties: false,
+      properties: {
+        items: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 50,
+          items: {
+            type: 'object',
+            required: ['productId', 'quantity', 'unitPrice', 'lineTotal'],
+            additionalProperties: false,
+            properties: {
+              productId: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' },
+              productName: { type: 'string', maxLength: 256 },
+              quantity: { type: 'integer', minimum: 1, maximum: 1000 },
+              unitPrice: { type: 'number', minimum: 0 },
+              lineTotal: { type: 'number', minimum: 0 }
+            }
+          }
+        },
+        amount: { type: 'number', exclusiveMinimum: 0, description: 'Total charged, in `currency`' },
+        currency: { ...currencyCode, description: 'ISO 4217 code; defaults to DEFAULT_CURRENCY' },
+        baseAmount: { type: 'number', minimum: 0, description: 'Total in the base currency; defaults to `amount`' },
+        baseCurrency: { ...currencyCode, description: 'Defaults to `currency`' },
+        customerEmail: { type: 'string', format: 'email', maxLength: 254 },
+        locale: { type: 'string', maxLength: 35, description: 'BCP 47 tag the order emails are written in' },
+        cardToken: { type: 'string', maxLength: 256 }
+      }
+    },
+    responses: {
+      201: 'The order, paid or payment_failed',
+      202: 'The order, in payment_review: the fraud check holds the payment for review',
+      404: 'Unknown product',
+      409: 'Insufficient stock',
+      422: 'Idempotency key reused with another request',
+      503: 'The stock could not be kept; the order is cancelled and the payment released'
+    }
+  },
+  'GET /order/:id': {
+    summary: 'Get an order with its status history',
+    params: orderParams,
+    responses: { 200: 'The order', 404: 'No such order' }
+  },
+  'POST /order/:id/cancel': {
+    summary: 'Cancel an order; reserved or sold stock is put back',
+    params: orderParams,
+    body: reasonBody,
+    responses: { 200: 'The order', 404: 'No such order', 409: 'The order can no longer be cancelled' }
+  },
+  'POST /order/:id/refund': {
+    summary: 'Refund a paid order',
+    params: orderParams,
+    body: reasonBody,
+    responses: { 200: 'The order', 404: 'No such order', 409: 'The order cannot be refunded' }
+  },
+  'POST /order/:id/review': {
+    summary: 'Approve or decline a payment held for review',
+    description: 'An approved payment is authorized with the provider, which can still decline it.',
+    params: orderParams,
+    body: {
+      type: 'object',
+      required: ['approve'],
+      additionalProperties: false,
+      properties: { approve: { type: 'boolean' }, reason }
+    },
+    responses: {
+      200: 'The order, paid or payment_failed',
+      404: 'No such order',
+      409: 'The order payment is not held for review',
+      502: 'payment-svc could not resolve the review'
+    }
+  },
+  'PATCH /order/:id/status': {
+    summary: 'Move an order through fulfilment',
+    description: 'Cancellations, refunds and payment reviews have their own endpoints.',
+    params: orderParams,
+    body: {
+      type: 'object',
+      required: ['status'],
+      additionalProperties: false,
+      properties: { status: { type: 'string', enum: FULFILMENT_STATUSES }, reason }
+    },
+    responses: { 200: 'The order', 404: 'No such order', 409: 'The transition is not allowed' }
+  },
+  'GET /outbox': {
+    summary: 'List order events that have not been published',
+    query: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'array',
+          items: { type: 'string', enum: ['pending', 'failed', 'delivered'] },
+          description: 'Event statuses, comma-separated; defaults to pending,failed'
+        },
+        size: { type: 'integer', minimum: 1, maximum: 1000, description: 'Defaults to 100' }
+      }
+    },
+    responses: { 200: 'The events' }
+  },
+  'POST /outbox/:eventId/replay': {
+    summary: 'Publish an outbox event again',
+    params: { type: 'object', required: ['eventId'], properties: { eventId: uuid('Outbox event ID') } },
+    responses: { 202: 'The event is queued', 404: 'No such event' }
+  },
+  'GET /preferences/:email': {
+    summary: 'Get the notification types a customer receives',
+    params: emailParams,
+    responses: { 200: 'The preferences' }
+  },
+  'PUT /preferences/:email': {
+    summary: 'Turn notification types on or off',
+    params: emailParams,
+    body: {
+      type: 'object',
+      required: ['notifications'],
+      additionalProperties: false,
+      properties: {
+        notifications: {
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: false,
+          properties: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, { type: 'boolean' }]))
+        }
+      }
+    },
+    responses: { 200: 'The preferences' }
+  }
+};
+
+module.exports = {
+  ROUTES
+};
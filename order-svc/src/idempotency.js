@@ -0,0 +1,201 @@
+// Idempotency-Key support for non-idempotent endpoints
+//
+// The first request with a given key is processed normally and its response
+// stored together with a fingerprint of the request. Repeating the key:
+//   - with the same request replays the stored response
+//   - with a different request is rejected with 422
+//   - while the first request is still running is rejected with 409
+// Server errors (5xx) are not stored, so the client can retry them.
+const crypto = require('crypto');
+const { sendProblem } = require('@mini-shop/validation');
+
+const INDEX = 'idempotency-keys';
+const KEY_TTL_MS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS || '86400000', 10);
+// A request still marked in progress after this long is assumed to have died
+const IN_PROGRESS_TIMEOUT_MS = 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Serialize with sorted object keys so property order does not change the fingerprint
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function fingerprintRequest(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+}
+
+// Key store backed by the `idempotency-keys` index, shared by all order-svc
+// instances. Documents are keyed by a hash of the scoped key.
+function createElasticsearchStore(esClient) {
+  const docId = key => crypto.createHash('sha256').update(key).digest('hex');
+
+  return {
+    async setup() {
+      const exists = await esClient.indices.exists({ index: INDEX });
+      if (!exists) {
+        await esClient.indices.create({
+          index: INDEX,
+          mappings: {
+            properties: {
+              fingerprint: { type: 'keyword' },
+              state: { type: 'keyword' },
+              statusCode: { type: 'integer' },
+              contentType: { type: 'keyword' },
+              body: { type: 'object', enabled: false },
+              createdAt: { type: 'date' },
+              expiresAt: { type: 'date' }
+            }
+          }
+        });
+      }
+    },
+
+    // Claim a key. Resolves to { claimed: true } for a new key, or to
+    // { claimed: false, record } when the key is already known.
+    async claim(key, fingerprint) {
+      const id = docId(key);
+      const now = Date.now();
+      const record = {
+        fingerprint,
+        state: 'in_progress',
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + KEY_TTL_MS).toISOString()
+      };
+
+      try {
+        await esClient.create({ index: INDEX, id, document: record, refresh: 'wait_for' });
+        return { claimed: true };
+      } catch (error) {
+        if (!(error.meta && error.meta.statusCode === 409)) throw error;
+      }
+
+      const existing = await esClient.get({ index: INDEX, id });
+      const current = existing._source;
+      const reclaimable = Date.parse(current.expiresAt) <= now ||
+        (current.state === 'in_progress' && now - Date.parse(current.createdAt) > IN_PROGRESS_TIMEOUT_MS);
+
+      if (!reclaimable) {
+        return { claimed: false, record: current };
+      }
+
+      // Take over the stale record unless another instance beat us to it
+      try {
+        await esClient.index({
+          index: INDEX,
+          id,
+          document: record,
+          if_seq_no: existing._seq_no,
+          if_primary_term: existing._primary_term,
+          refresh: 'wait_for'
+        });
+        return { claimed: true };
+      } catch (error) {
+        if (error.meta && error.meta.statusCode === 409) {
+          return { claimed: false, record: { ...current, state: 'in_progress' } };
+        }
+        throw error;
+      }
+    },
+
+    async complete(key, response) {
+      await esClient.update({
+        index: INDEX,
+        id: docId(key),
+        doc: { state: 'completed', ...response },
+        refresh: 'wait_for'
+      });
+    },
+
+    async release(key) {
+      try {
+        await esClient.delete({ index: INDEX, id: docId(key), refresh: 'wait_for' });
+      } catch (error) {
+        if (!(error.meta && error.meta.statusCode === 404)) throw error;
+      }
+    },
+
+    // Drop expired records
+    async sweep() {
+      await esClient.deleteByQuery({
+        index: INDEX,
+        query: { range: { expiresAt: { lt: 'now' } } },
+        conflicts: 'proceed'
+      });
+    }
+  };
+}
+
+// Express middleware honoring the Idempotency-Key header
+function idempotency({ store, logger }) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return sendProblem(res, { detail: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    // Keys are per user, so one user's key never replays another's response
+    const user = req.get('X-User-Id') || '';
+    const scopedKey = `${user} ${req.method} ${req.path} ${key}`;
+    const fingerprint = fingerprintRequest(req);
+
+    let claim;
+    try {
+      claim = await store.claim(scopedKey, fingerprint);
+    } catch (error) {
+      logger.error({ msg: 'Failed to claim idempotency key', error: error.message });
+      return sendProblem(res, { type: 'unavailable', detail: 'Idempotency key store unavailable' });
+    }
+
+    if (!claim.claimed) {
+      const { record } = claim;
+      if (record.fingerprint !== fingerprint) {
+        return sendProblem(res, {
+          type: 'idempotency-key-reused',
+          detail: 'Idempotency-Key has already been used with a different request'
+        });
+      }
+      if (record.state === 'in_progress') {
+        return sendProblem(res, { type: 'conflict', detail: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      logger.info({ msg: 'Replaying stored response for idempotency key', idempotency_key: key });
+      res.set('Idempotent-Replayed', 'true');
+      if (record.contentType) res.set('Content-Type', record.contentType);
+      return res.status(record.statusCode).json(record.body);
+    }
+
+    // The key passed on to payment-svc is per user too
+    req.idempotencyKey = user ? `${user}:${key}` : key;
+
+    // Store the response as it is sent
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const done = res.statusCode >= 500
+        ? store.release(scopedKey)
+        : store.complete(scopedKey, { statusCode: res.statusCode, contentType: res.get('Content-Type'), body });
+      done.catch((error) => {
+        logger.error({ msg: 'Failed to store idempotent response', error: error.message });
+      });
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  createElasticsearchStore,
+  idempotency
+};
@@ -4,18 +4,41 @@ const { trace } = require('@opentelemetry/api');
 
 const express = require('express');
 const amqp = require('amqplib');
+const axios = require('axios');
 const { Client } = require('@elastic/elasticsearch')
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const pino = require('pino');
+const {
+  InvalidTransitionError,
+  routingKeyFor,
+  applyTransition
+} = require('./order-state');
+const {
+  OutboxMappingError,
+  outboxMapping,
+  ensureOutboxMapping,
+  withoutOutbox,
+  addOutboxEvent,
+  createOutboxRelay
+} = require('./outbox');
+const { createElasticsearchStore, idempotency } = require('./idempotency');
+const { InvalidPreferencesError, createPreferenceStore } = require('./preferences');
+const { PROBLEM_CONTENT_TYPE, sendProblem, requestValidator, isProblemResponse } = require('@mini-shop/validation');
+const { ROUTES } = require('./api-schema');
 
 // Configure environment variables
 const PORT = process.env.PORT || 8081;
 const ELASTICSEARCH_URL = process.env.ELASTICSEARCH_URL || 'http://elasticsearch:9200';
 const RABBITMQ_URL = process.env.RABBITMQ_URL || 'amqp://rabbitmq:5672';
 const PAYMENT_SVC_URL = process.env.PAYMENT_SVC_URL || 'payment-svc:9000';
+const CATALOG_SVC_URL = process.env.CATALOG_SVC_URL || 'http://catalog-svc:8080';
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'USD';
+// Line totals are rounded to the currency's minor unit, so their sum can
+// differ from the order amount by float error only
+const AMOUNT_TOLERANCE = 0.005;
 
 const tracer = trace.getTracer('order-svc');
 
@@ -51,6 +74,9 @@ const logger = pino({
 const app = express();
 app.use(express.json());
 
+// Request schemas per route, see api-schema.js
+const validate = requestValidator(ROUTES);
+
 // Initialize Elasticsearch client
 const esClient = new Client({
   node: ELASTICSEARCH_URL
@@ -74,29 +100,67 @@ const paymentClient = new paymentProto.Payment(
   grpc.credentials.createInsecure()
 );
 
-// RabbitMQ connection and channel
+// RabbitMQ connection and confirm channel
+let rabbitConnection;
 let rabbitChannel;
 
+const EMAIL_EVENT_QUEUES = [
+  'order.confirmed',
+  'order.payment_failed',
+  'order.cancelled',
+  'order.refunded',
+  'order.shipped'
+];
+
 // Connect to RabbitMQ
 async function setupRabbitMQ() {
   try {
-    const connection = await amqp.connect(RABBITMQ_URL);
-    rabbitChannel = await connection.createChannel();
+    rabbitConnection = await amqp.connect(RABBITMQ_URL);
+    // Publisher confirms let the outbox relay know when the broker has an event
+    const channel = await rabbitConnection.createConfirmChannel();
     
     // Declare exchange
-    await rabbitChannel.assertExchange('orders', 'topic', { durable: true });
-    
-    // Declare queue for order.confirmed
-    await rabbitChannel.assertQueue('order.confirmed', { durable: true });
-    await rabbitChannel.bindQueue('order.confirmed', 'orders', 'order.confirmed');
+    await channel.assertExchange('orders', 'topic', { durable: true });
     
+    // Declare the queues email-worker consumes, so events published before
+    // it first starts are kept
+    for (const queue of EMAIL_EVENT_QUEUES) {
+      await channel.assertQueue(queue, { durable: true });
+      await channel.bindQueue(queue, 'orders', queue);
+    }
+
+    // Reconnect when the broker goes away; the outbox keeps events until then
+    rabbitConnection.on('error', (error) => {
+      logger.error({ msg: 'RabbitMQ connection error', error: error.message });
+    });
+    rabbitConnection.on('close', () => {
+      logger.warn('RabbitMQ connection closed, reconnecting');
+      rabbitChannel = null;
+      setTimeout(setupRabbitMQ, 5000);
+    });
+
+    rabbitChannel = channel;
     logger.info('Connected to RabbitMQ');
+    outboxRelay.kick();
   } catch (error) {
     logger.error({ msg: 'Failed to connect to RabbitMQ', error: error.message });
     setTimeout(setupRabbitMQ, 5000);
   }
 }
 
+// Idempotency keys for POST /order, shared across instances through Elasticsearch
+const idempotencyStore = createElasticsearchStore(esClient);
+
+// Which emails each customer wants, read by email-worker before sending
+const preferenceStore = createPreferenceStore(esClient);
+
+// Publishes order events written to the outbox
+const outboxRelay = createOutboxRelay({
+  esClient,
+  getChannel: () => rabbitChannel,
+  logger
+});
+
 // Initialize Elasticsearch index
 async function setupElasticsearch() {
   // Create tracer for Elasticsearch operations
@@ -105,7 +169,7 @@ async function setupElasticsearch() {
       // Check if index exists
       const indexExists = await esClient.indices.exists({ index: 'orders' });
     
-    if (!indexExists.body) {
+    if (!indexExists) {
       // Create index with mapping
       await esClient.indices.create({
         index: 'orders',
@@ -113,50 +177,170 @@ async function setupElasticsearch() {
           mappings: {
             properties: {
               id: { type: 'keyword' },
-              productId: { type: 'keyword' },
-              productName: { type: 'text' },
-              quantity: { type: 'integer' },
+              items: {
+                properties: {
+                  productId: { type: 'keyword' },
+                  productName: { type: 'text' },
+                  quantity: { type: 'integer' },
+                  unitPrice: { type: 'float' },
+                  lineTotal: { type: 'float' }
+                }
+              },
               amount: { type: 'float' },
+              currency: { type: 'keyword' },
+              baseAmount: { type: 'float' },
+              baseCurrency: { type: 'keyword' },
+              reservationId: { type: 'keyword' },
+              authorizationId: { type: 'keyword' },
+              paymentId: { type: 'keyword' },
+              refundId: { type: 'keyword' },
               customerEmail: { type: 'keyword' },
+              customerId: { type: 'keyword' },
+              locale: { type: 'keyword' },
               status: { type: 'keyword' },
-              createdAt: { type: 'date' }
+              statusHistory: {
+                properties: {
+                  status: { type: 'keyword' },
+                  from: { type: 'keyword' },
+                  at: { type: 'date' },
+                  reason: { type: 'text' },
+                  by: { type: 'keyword' }
+                }
+              },
+              outbox: outboxMapping,
+              createdAt: { type: 'date' },
+              updatedAt: { type: 'date' }
             }
           }
         }
       });
       logger.info('Created orders index');
+    } else {
+      await ensureOutboxMapping(esClient);
     }
     span.end();
   } catch (error) {
     span.recordException(error);
     span.end();
     logger.error({ msg: 'Failed to setup Elasticsearch index', error: error.message });
+    // The relay cannot work against this index; do not start without it
+    if (error instanceof OutboxMappingError) throw error;
   }
 });
 }
 
-// Process payment via gRPC
-function processPayment(orderId, amount) {
+// Canonical form of an optional BCP 47 locale: undefined when none was
+// given, null when it is malformed
+function canonicalLocale(locale) {
+  if (locale === undefined || locale === null || locale === '') return undefined;
+  if (typeof locale !== 'string') return null;
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+// Reserve stock in catalog-svc for the order items.
+// Rejects with the catalog-svc response on insufficient stock (409) or unknown products (404).
+async function reserveInventory(orderId, items) {
+  return tracer.startActiveSpan('inventory reserve', async (span) => {
+    try {
+      span.setAttribute('order.id', orderId);
+
+      const response = await axios.post(`${CATALOG_SVC_URL}/inventory/reservations`, {
+        orderId,
+        items: items.map(item => ({ productId: item.productId, quantity: item.quantity }))
+      });
+
+      span.setAttribute('inventory.reservation_id', response.data.id);
+      span.end();
+      return response.data;
+    } catch (error) {
+      span.recordException(error);
+      span.end();
+      throw error;
+    }
+  });
+}
+
+// Keep the reserved stock sold. Retried because a reservation left
+// uncommitted is eventually released by catalog-svc and the stock resold.
+async function commitInventory(reservationId) {
+  return tracer.startActiveSpan('inventory commit', async (span) => {
+    span.setAttribute('inventory.reservation_id', reservationId);
+
+    const maxAttempts = 3;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        await axios.post(`${CATALOG_SVC_URL}/inventory/reservations/${reservationId}/commit`);
+        span.end();
+        return true;
+      } catch (error) {
+        span.recordException(error);
+        logger.error({
+          msg: `Failed to commit inventory reservation (attempt ${attempt}/${maxAttempts})`,
+          reservationId,
+          error: error.message
+        });
+        // Retrying cannot fix a missing or already released reservation
+        if (error.response && error.response.status < 500) break;
+        await new Promise(resolve => setTimeout(resolve, 100 * attempt));
+      }
+    }
+
+    span.end();
+    return false;
+  });
+}
+
+// Put reserved stock back. Failures are only logged: catalog-svc releases
+// expired reservations on its own.
+//
+// `release` only applies to reservations that were never committed;
+// cancelled orders `cancel` theirs, which also puts sold stock back.
+async function releaseInventory(reservationId, action = 'release') {
+  return tracer.startActiveSpan(`inventory ${action}`, async (span) => {
+    try {
+      span.setAttribute('inventory.reservation_id', reservationId);
+      await axios.post(`${CATALOG_SVC_URL}/inventory/reservations/${reservationId}/${action}`);
+      span.end();
+      return true;
+    } catch (error) {
+      span.recordException(error);
+      span.end();
+      logger.error({
+        msg: `Failed to ${action} inventory reservation`,
+        reservationId,
+        error: error.message
+      });
+      return false;
+    }
+  });
+}
+
+// Call a payment-svc RPC in a client span. `attributes` are set on the span
+// up front; `responseAttributes` maps span attributes to response fields.
+function callPayment(method, request, attributes, responseAttributes = {}) {
   return new Promise((resolve, reject) => {
-    return tracer.startActiveSpan('gRPC payment.Charge', async (span) => {
+    return tracer.startActiveSpan(`gRPC payment.${method}`, async (span) => {
       try {
-        span.setAttribute('order.id', orderId);
-        span.setAttribute('payment.amount', amount);
+        for (const [name, value] of Object.entries(attributes)) {
+          span.setAttribute(name, value);
+        }
         
-        paymentClient.Charge({
-          order_id: orderId,
-          amount: amount,
-          currency: 'USD'
-        }, (error, response) => {
+        paymentClient[method](request, (error, response) => {
           if (error) {
-              span.recordException(error);
+            span.recordException(error);
             span.end();
             reject(error);
             return;
           }
       
           span.setAttribute('payment.status', response.status);
-          span.setAttribute('payment.transaction_id', response.transaction_id);
+          for (const [name, field] of Object.entries(responseAttributes)) {
+            if (response[field]) span.setAttribute(name, response[field]);
+          }
           span.end();
           
           resolve(response);
@@ -170,47 +354,311 @@ function processPayment(orderId, amount) {
   });
 }
 
-// Publish order confirmed message
-async function publishOrderConfirmed(order) {
-  return tracer.startActiveSpan('RabbitMQ publish order.confirmed', async (span) => {
+// Hold the order amount on the customer's card. payment-svc returns the
+// original result instead of authorizing again when it sees the same
+// idempotency key twice. The customer email feeds payment-svc's fraud
+// checks.
+function authorizePayment(orderId, amount, { currency, idempotencyKey, cardToken, customerEmail } = {}) {
+  return callPayment('Authorize', {
+    order_id: orderId,
+    amount: amount,
+    currency: currency || DEFAULT_CURRENCY,
+    idempotency_key: idempotencyKey,
+    card_token: cardToken || '',
+    customer_email: customerEmail || ''
+  }, {
+    'order.id': orderId,
+    'payment.amount': amount,
+    'payment.currency': currency || DEFAULT_CURRENCY
+  }, {
+    'payment.authorization_id': 'authorization_id'
+  });
+}
+
+// Take the authorized amount; an amount of 0 captures all of it
+function capturePayment(authorizationId, amount, { idempotencyKey } = {}) {
+  return callPayment('Capture', {
+    authorization_id: authorizationId,
+    amount: amount || 0,
+    idempotency_key: idempotencyKey || ''
+  }, {
+    'payment.authorization_id': authorizationId,
+    'payment.capture.amount': amount || 0
+  }, {
+    'payment.transaction_id': 'transaction_id'
+  });
+}
+
+// Give back an authorization that will not be captured
+function releaseAuthorization(authorizationId, { reason, idempotencyKey } = {}) {
+  return callPayment('ReleaseAuthorization', {
+    authorization_id: authorizationId,
+    reason: reason || '',
+    idempotency_key: idempotencyKey || ''
+  }, {
+    'payment.authorization_id': authorizationId
+  });
+}
+
+// Approve or decline an authorization the fraud check held for review.
+// Resolving it again returns the first decision.
+function resolvePaymentReview(authorizationId, approve, { reviewer } = {}) {
+  return callPayment('ResolveReview', {
+    authorization_id: authorizationId,
+    approve,
+    reviewer: reviewer || ''
+  }, {
+    'payment.authorization_id': authorizationId,
+    'payment.review.approve': approve
+  });
+}
+
+// Refund all or part of a charge via gRPC. An amount of 0 refunds whatever
+// is left of it; payment-svc rejects refunds beyond the charged amount.
+function refundPayment(transactionId, amount, { reason, idempotencyKey } = {}) {
+  return callPayment('Refund', {
+    transaction_id: transactionId,
+    amount: amount || 0,
+    reason: reason || '',
+    idempotency_key: idempotencyKey || ''
+  }, {
+    'payment.transaction_id': transactionId,
+    'payment.refund.amount': amount || 0
+  }, {
+    'payment.refund_id': 'refund_id'
+  });
+}
+
+// Void a charge that has not settled yet via gRPC
+function voidPayment(transactionId, { reason } = {}) {
+  return callPayment('Void', {
+    transaction_id: transactionId,
+    reason: reason || ''
+  }, {
+    'payment.transaction_id': transactionId
+  });
+}
+
+// Fetch an order with its version, or null when it does not exist
+async function getOrder(orderId) {
+  return tracer.startActiveSpan('ES /orders/_doc', async (span) => {
+    span.setAttribute('order.id', orderId);
     try {
-      if (!rabbitChannel) {
-        throw new Error('RabbitMQ channel not available');
-      }
-      
-      span.setAttribute('order.id', order.id);
-      
-      await rabbitChannel.publish(
-        'orders',
-        'order.confirmed',
-        Buffer.from(JSON.stringify(order)),
-        { 
-          contentType: 'application/json',
-          messageId: uuidv4(),
-          timestamp: Math.floor(Date.now() / 1000)
-        }
-      );
-      
-      logger.info({ 
-        msg: 'Published order.confirmed event',
-        orderId: order.id
+      const result = await esClient.get({
+        index: 'orders',
+        id: orderId
       });
-      
       span.end();
-      return true;
+      return {
+        order: result._source,
+        version: { if_seq_no: result._seq_no, if_primary_term: result._primary_term }
+      };
+    } catch (error) {
+      span.end();
+      if (error.meta && error.meta.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  });
+}
+
+class OrderNotFoundError extends Error {
+  constructor(orderId) {
+    super(`Order not found: ${orderId}`);
+    this.name = 'OrderNotFoundError';
+  }
+}
+
+class PaymentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentError';
+  }
+}
+
+// Move money to match a status change: capture the authorization when the
+// order is fulfilled, and give the money back when it is cancelled or
+// refunded (releasing an uncaptured authorization, refunding a capture,
+// declining a payment held for review).
+// Resolves to fields to store on the order. Idempotency keys derived from
+// the order id make a retried status change reuse the first result, which
+// payment-svc keeps in its ledger across restarts.
+async function settlePayment(orderId, order, to, from) {
+  const reason = `Order ${to}`;
+  const givesMoneyBack = to === 'cancelled' || to === 'refunded';
+  let result;
+  let changes = {};
+
+  // Only POST /order/:id/review settles a held payment with payment-svc
+  if (from === 'payment_review' && !givesMoneyBack) {
+    throw new InvalidTransitionError(from, to);
+  }
+
+  try {
+    if (from === 'payment_review' && givesMoneyBack) {
+      // Nothing was authorized yet; declining the review ends the hold. A
+      // review approved in the meantime is released like any authorization.
+      result = await resolvePaymentReview(order.authorizationId, false);
+      if (result.status === 'DECLINED') return changes;
+      if (result.status === 'APPROVED') {
+        result = await releaseAuthorization(order.authorizationId, { reason, idempotencyKey: `${orderId}:release` });
+      }
+    } else if (to === 'fulfilled' && order.authorizationId && !order.paymentId) {
+      result = await capturePayment(order.authorizationId, 0, { idempotencyKey: `${orderId}:capture` });
+      changes = { paymentId: result.transaction_id };
+    } else if (givesMoneyBack && order.paymentId) {
+      result = await refundPayment(order.paymentId, 0, { reason, idempotencyKey: `${orderId}:refund` });
+      changes = { refundId: result.refund_id };
+    } else if (givesMoneyBack && order.authorizationId) {
+      result = await releaseAuthorization(order.authorizationId, { reason, idempotencyKey: `${orderId}:release` });
+    } else {
+      return changes;
+    }
+  } catch (error) {
+    // gRPC errors, e.g. a transaction payment-svc has no record of
+    throw new PaymentError(`Payment could not be settled for order ${to}: ${error.details || error.message}`);
+  }
+
+  if (result.status !== 'APPROVED') {
+    throw new PaymentError(`Payment could not be settled for order ${to}: ${result.message}`);
+  }
+  return changes;
+}
+
+// Move an order to a new status, record it in the status history and queue
+// the matching event in the outbox. The write is conditional on the version
+// that was read; when another writer (such as the outbox relay) got in
+// between, the order is read again and the transition re-applied.
+//
+// `prepare(order, from)` runs once, after the transition is known to be
+// allowed and before it is written; the fields it resolves to are stored
+// with it.
+async function transitionOrder(orderId, to, { reason, by, prepare } = {}) {
+  return tracer.startActiveSpan('order_transition', async (span) => {
+    try {
+      span.setAttribute('order.id', orderId);
+      span.setAttribute('order.status_to', to);
+
+      const maxAttempts = 3;
+      let prepared = null;
+      // The money has moved already but the order did not follow. Retrying
+      // the request repeats prepare(), which payment-svc answers from its
+      // ledger.
+      const reportUnmoved = (error) => {
+        logger.error({
+          msg: `Payment settled but order not moved to ${to}`,
+          orderId,
+          payment: prepared,
+          error: error.message
+        });
+      };
+
+      for (let attempt = 1; ; attempt++) {
+        const found = await getOrder(orderId);
+        if (!found) {
+          throw new OrderNotFoundError(orderId);
+        }
+        const { order, version } = found;
+
+        let entry;
+        try {
+          entry = applyTransition(order, to, { reason, by });
+        } catch (error) {
+          // Re-read after a conflict: another change, such as a cancel, got
+          // in after prepare() ran
+          if (prepared && error instanceof InvalidTransitionError) reportUnmoved(error);
+          throw error;
+        }
+        span.setAttribute('order.status_from', entry.from);
+        if (prepare && !prepared) {
+          prepared = await prepare(order, entry.from);
+        }
+        Object.assign(order, prepared);
+        addOutboxEvent(order, routingKeyFor(to));
+
+        const esSpan = tracer.startSpan('ES /orders/_doc');
+        esSpan.setAttribute('order.id', orderId);
+        try {
+          await esClient.index({
+            index: 'orders',
+            id: orderId,
+            body: order,
+            ...version,
+            refresh: true
+          });
+        } catch (error) {
+          if (error.meta && error.meta.statusCode === 409 && attempt < maxAttempts) {
+            continue;
+          }
+          if (prepared) reportUnmoved(error);
+          throw error;
+        } finally {
+          esSpan.end();
+        }
+
+        outboxRelay.kick();
+
+        // Cancelled orders, and held ones whose payment failed review, give
+        // their stock back
+        if ((to === 'cancelled' || to === 'payment_failed') && order.reservationId) {
+          await releaseInventory(order.reservationId, 'cancel');
+        }
+
+        logger.info({
+          msg: `Order status changed from ${entry.from} to ${to}`,
+          orderId,
+          reason,
+          by
+        });
+
+        span.end();
+        return order;
+      }
     } catch (error) {
       span.recordException(error);
       span.end();
-      logger.error({ 
-        msg: 'Failed to publish order.confirmed event',
-        error: error.message,
-        orderId: order.id  
-      });
-      return false;
+      throw error;
     }
   });
 }
 
+// Shared handler for the status-changing endpoints. `prepare` defaults to
+// moving the money the new status calls for.
+async function handleTransition(req, res, to, { reason = req.body && req.body.reason, prepare } = {}) {
+  const orderId = req.params.id;
+
+  try {
+    const order = await transitionOrder(orderId, to, {
+      reason,
+      by: req.get('X-User-Id'),
+      prepare: prepare || ((current, from) => settlePayment(orderId, current, to, from))
+    });
+    res.json(withoutOutbox(order));
+  } catch (error) {
+    if (error instanceof OrderNotFoundError) {
+      return sendProblem(res, { type: 'not-found', detail: 'Order not found' });
+    }
+    if (error instanceof PaymentError) {
+      return sendProblem(res, { type: 'bad-gateway', detail: error.message });
+    }
+    if (error instanceof InvalidTransitionError) {
+      return sendProblem(res, { type: 'conflict', detail: error.message, orderStatus: error.from });
+    }
+    // Someone else changed the order between our read and write
+    if (error.meta && error.meta.statusCode === 409) {
+      return sendProblem(res, { type: 'conflict', detail: 'Order was modified concurrently; retry the request' });
+    }
+
+    logger.error({
+      msg: `Failed to change status of order ${orderId} to ${to}`,
+      error: error.message,
+      stack: error.stack
+    });
+    sendProblem(res, { type: 'internal', detail: 'Failed to update order status' });
+  }
+}
+
 // API Routes
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -224,51 +672,129 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Checks on order bodies their schema cannot express. The gateway prices
+// the items; each line and the amount charged must be what they add up to.
+function validateOrder(req, res, next) {
+  const errors = [];
+  req.body.items.forEach((item, i) => {
+    if (Math.abs(item.unitPrice * item.quantity - item.lineTotal) >= AMOUNT_TOLERANCE) {
+      errors.push({ in: 'body', field: `items[${i}].lineTotal`, message: 'must be unitPrice times quantity' });
+    }
+  });
+  const itemsTotal = req.body.items.reduce((sum, item) => sum + item.lineTotal, 0);
+  if (Math.abs(itemsTotal - req.body.amount) >= AMOUNT_TOLERANCE) {
+    errors.push({ in: 'body', field: 'amount', message: 'must be the sum of the items\' lineTotal' });
+  }
+  // Emails about the order are written in the customer's locale
+  if (canonicalLocale(req.body.locale) === null) {
+    errors.push({ in: 'body', field: 'locale', message: 'must be a BCP 47 language tag' });
+  }
+  if (errors.length > 0) {
+    return sendProblem(res, { errors });
+  }
+  next();
+}
+
 // Create order endpoint
-app.post('/order', async (req, res) => {
+app.post('/order', validate('POST /order'), validateOrder, idempotency({ store: idempotencyStore, logger }), async (req, res) => {
   return tracer.startActiveSpan('create_order', async (orderSpan) => {
     try {
-      // Validate request
-      const { productId, productName, quantity, amount, customerEmail } = req.body;
-     
-      if (!productId || !quantity || !amount || !customerEmail) {
-        orderSpan.setAttribute('error', true);
-        orderSpan.end();
-        return res.status(400).json({ error: 'Missing required parameters' });
-      }
+      const { items, amount, customerEmail, cardToken } = req.body;
+      // Orders without a currency are charged in the default one; the base
+      // amount is the total in the shop's base currency, for reporting
+      const currency = req.body.currency || DEFAULT_CURRENCY;
+      const baseCurrency = req.body.baseCurrency || currency;
+      const baseAmount = req.body.baseAmount === undefined ? amount : req.body.baseAmount;
+      const locale = canonicalLocale(req.body.locale);
       
       // Create order object
       const orderId = uuidv4();
+      const createdAt = new Date().toISOString();
       const order = {
         id: orderId,
-        productId,
-        productName: productName || 'Unknown Product',
-        quantity,
+        items: items.map(item => ({
+          productId: item.productId,
+          productName: item.productName || 'Unknown Product',
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          lineTotal: item.lineTotal
+        })),
         amount,
+        currency,
+        baseAmount,
+        baseCurrency,
         customerEmail,
+        ...(req.get('X-User-Id') && { customerId: req.get('X-User-Id') }),
+        ...(locale && { locale }),
         status: 'pending',
-        createdAt: new Date().toISOString()
+        statusHistory: [{ status: 'pending', at: createdAt }],
+        createdAt,
+        updatedAt: createdAt
       };
       
       // Add order details as span attributes
       orderSpan.setAttribute('order.id', orderId);
-      orderSpan.setAttribute('order.product_id', productId);
+      orderSpan.setAttribute('order.item_count', order.items.length);
+      orderSpan.setAttribute('order.product_ids', order.items.map(item => item.productId));
       orderSpan.setAttribute('order.amount', amount);
+      orderSpan.setAttribute('order.currency', currency);
+      orderSpan.setAttribute('order.base_amount', baseAmount);
       orderSpan.setAttribute('order.customer_email', customerEmail);
+      if (req.idempotencyKey) orderSpan.setAttribute('http.idempotency_key', req.idempotencyKey);
+      
+      // Reserve stock before charging
+      let reservation;
+      try {
+        reservation = await reserveInventory(orderId, order.items);
+      } catch (error) {
+        if (isProblemResponse(error.response) && [404, 409].includes(error.response.status)) {
+          orderSpan.setAttribute('error', true);
+          orderSpan.setAttribute('inventory.status', error.response.status === 409 ? 'insufficient' : 'unknown_product');
+          orderSpan.end();
+
+          logger.warn({
+            msg: 'Inventory reservation rejected',
+            orderId,
+            reason: error.response.data
+          });
+
+          return res.status(error.response.status).type(PROBLEM_CONTENT_TYPE).json(error.response.data);
+        }
+        throw error;
+      }
+      order.reservationId = reservation.id;
       
-      // Process payment
+      // Authorize the payment; it is captured when the order is fulfilled
       logger.info({ 
-        msg: 'Processing payment',
+        msg: 'Authorizing payment',
         orderId,
-        amount
+        amount,
+        currency
       });
       
-      const paymentResult = await processPayment(orderId, amount);
+      let paymentResult;
+      try {
+        // Orders created without a client key are authorized under their own id
+        paymentResult = await authorizePayment(orderId, amount, {
+          currency,
+          idempotencyKey: req.idempotencyKey || orderId,
+          cardToken,
+          customerEmail
+        });
+      } catch (error) {
+        await releaseInventory(reservation.id);
+        throw error;
+      }
     
-      if (paymentResult.status !== 'APPROVED') {
-        order.status = 'payment_failed';
+      // A payment held by the fraud check keeps its stock while it is
+      // reviewed; POST /order/:id/review settles it either way
+      const held = paymentResult.status === 'REVIEW';
+      if (paymentResult.status !== 'APPROVED' && !held) {
+        applyTransition(order, 'payment_failed', { reason: paymentResult.message });
+        addOutboxEvent(order, routingKeyFor(order.status));
+        await releaseInventory(reservation.id);
         
-        // Save failed order to Elasticsearch
+        // Save failed order and its order.payment_failed event to Elasticsearch
         const esSpan = tracer.startSpan('ES /orders/_doc');
         esSpan.setAttribute('order.id', orderId);
         
@@ -280,6 +806,7 @@ app.post('/order', async (req, res) => {
         });
         
         esSpan.end();
+        outboxRelay.kick();
         
         orderSpan.setAttribute('error', true);
         orderSpan.setAttribute('payment.status', paymentResult.status);
@@ -288,20 +815,77 @@ app.post('/order', async (req, res) => {
         logger.warn({ 
           msg: 'Payment declined',
           orderId,
-          paymentStatus: paymentResult.status
+          paymentStatus: paymentResult.status,
+          declineReason: paymentResult.decline_reason
         });
         
-        return res.status(400).json({
-          error: 'Payment declined',
+        return sendProblem(res, {
+          type: 'payment-declined',
+          detail: paymentResult.message,
           orderId,
-          status: order.status,
-          message: paymentResult.message
+          orderStatus: order.status,
+          paymentStatus: paymentResult.status,
+          reason: paymentResult.decline_reason || undefined
         });
       }
     
-      // Payment successful, update order status
-      order.status = 'confirmed';
-      order.paymentId = paymentResult.transaction_id;
+      order.authorizationId = paymentResult.authorization_id;
+
+      // Payment authorized or held, keep the stock. Stock that could not be
+      // kept would go back on sale once its reservation expires, so the order
+      // is cancelled instead and the money given back.
+      if (!(await commitInventory(reservation.id))) {
+        const reason = 'Stock could not be kept for the order';
+        applyTransition(order, 'cancelled', { reason });
+        addOutboxEvent(order, routingKeyFor(order.status));
+
+        try {
+          if (held) {
+            await resolvePaymentReview(order.authorizationId, false);
+          } else {
+            await releaseAuthorization(order.authorizationId, { reason, idempotencyKey: `${orderId}:release` });
+          }
+        } catch (error) {
+          logger.error({
+            msg: 'Failed to release authorization of an order whose stock was not kept',
+            orderId,
+            authorizationId: order.authorizationId,
+            error: error.details || error.message
+          });
+        }
+        await releaseInventory(reservation.id);
+
+        const esSpan = tracer.startSpan('ES /orders/_doc');
+        esSpan.setAttribute('order.id', orderId);
+        await esClient.index({
+          index: 'orders',
+          id: orderId,
+          body: order,
+          refresh: true
+        });
+        esSpan.end();
+        outboxRelay.kick();
+
+        orderSpan.setAttribute('error', true);
+        orderSpan.setAttribute('inventory.status', 'not_committed');
+        orderSpan.end();
+
+        logger.error({ msg: 'Order cancelled because its stock could not be kept', orderId });
+
+        return sendProblem(res, {
+          type: 'unavailable',
+          detail: reason,
+          orderId,
+          orderStatus: order.status
+        });
+      }
+
+      if (held) {
+        applyTransition(order, 'payment_review', { reason: paymentResult.message });
+      } else {
+        applyTransition(order, 'paid');
+      }
+      addOutboxEvent(order, routingKeyFor(order.status));
       
       // Save order to Elasticsearch
       const esSpan = tracer.startSpan('ES /orders/_doc');
@@ -316,25 +900,37 @@ app.post('/order', async (req, res) => {
       
       esSpan.end();
       
-      // Publish order confirmed event
-      await publishOrderConfirmed(order);
+      // The order.confirmed event was saved with the order; publish it now
+      outboxRelay.kick();
       
+      if (held) orderSpan.setAttribute('payment.status', paymentResult.status);
       orderSpan.end();
       
       logger.info({ 
-        msg: 'Order created successfully',
+        msg: held ? 'Order created, payment held for review' : 'Order created successfully',
         orderId,
-        status: order.status
+        status: order.status,
+        fraudRules: held ? paymentResult.fraud_rules : undefined
       });
       
-      res.status(201).json({
+      res.status(held ? 202 : 201).json({
         id: orderId,
         status: order.status,
-        paymentId: paymentResult.transaction_id
+        items: order.items,
+        amount: order.amount,
+        currency: order.currency,
+        authorizationId: paymentResult.authorization_id,
+        ...(held && { message: paymentResult.message })
       });
     } catch (error) {
       orderSpan.recordException(error);
       orderSpan.end();
+
+      // payment-svc rejected the request itself, e.g. an unsupported currency
+      if (error.code === grpc.status.INVALID_ARGUMENT) {
+        logger.warn({ msg: 'Payment request rejected', error: error.details });
+        return sendProblem(res, { detail: error.details });
+      }
       
       logger.error({ 
         msg: 'Failed to create order',
@@ -342,54 +938,184 @@ app.post('/order', async (req, res) => {
         stack: error.stack
       });
       
-      res.status(500).json({ error: 'Failed to process order' });
+      sendProblem(res, { type: 'internal', detail: 'Failed to process order' });
     }
   });
 });
 
 // Get order by ID
-app.get('/order/:id', async (req, res) => {
+app.get('/order/:id', validate('GET /order/:id'), async (req, res) => {
   const orderId = req.params.id;
-  return tracer.startActiveSpan('ES /orders/_doc', async (span) => {
-    span.setAttribute('order.id', orderId);
-  
-    try {
-      const result = await esClient.get({
-        index: 'orders',
-        id: orderId
-      });
-      
-      span.end();
-      
-      if (!result.body || !result.body._source) {
-        return res.status(404).json({ error: 'Order not found' });
-      }
-      
-      res.json(result.body._source);
-    } catch (error) {
-      span.recordException(error);
-      span.end();
-      
-      logger.error({ 
-        msg: `Failed to fetch order ${orderId}`,
-        error: error.message
-      });
-      
-      if (error.statusCode === 404) {
-        return res.status(404).json({ error: 'Order not found' });
-      }
-      
-      res.status(500).json({ error: 'Failed to fetch order' });
+
+  try {
+    const found = await getOrder(orderId);
+    if (!found) {
+      return sendProblem(res, { type: 'not-found', detail: 'Order not found' });
     }
+    res.json(withoutOutbox(found.order));
+  } catch (error) {
+    logger.error({ 
+      msg: `Failed to fetch order ${orderId}`,
+      error: error.message
+    });
+    sendProblem(res, { type: 'internal', detail: 'Failed to fetch order' });
+  }
+});
+
+// Cancel an order; reserved or sold stock is put back
+app.post('/order/:id/cancel', validate('POST /order/:id/cancel'), (req, res) => handleTransition(req, res, 'cancelled'));
+
+// Mark an order as refunded
+app.post('/order/:id/refund', validate('POST /order/:id/refund'), (req, res) => handleTransition(req, res, 'refunded'));
+
+// Move an order through fulfilment: { "status": "fulfilled" | "shipped" | "delivered", "reason": "..." }
+app.patch('/order/:id/status', validate('PATCH /order/:id/status'), (req, res) => handleTransition(req, res, req.body.status));
+
+// Decide on a payment the fraud check held for review: {"approve": true, "reason": "..."}.
+// An approved payment is authorized with the provider, which can still
+// decline it; the order ends up paid or payment_failed.
+app.post('/order/:id/review', validate('POST /order/:id/review'), async (req, res) => {
+  const orderId = req.params.id;
+  const { approve, reason } = req.body;
+
+  let found;
+  try {
+    found = await getOrder(orderId);
+  } catch (error) {
+    logger.error({ msg: `Failed to fetch order ${orderId}`, error: error.message });
+    return sendProblem(res, { type: 'internal', detail: 'Failed to fetch order' });
+  }
+  if (!found) {
+    return sendProblem(res, { type: 'not-found', detail: 'Order not found' });
+  }
+  if (found.order.status !== 'payment_review') {
+    return sendProblem(res, {
+      type: 'conflict',
+      detail: 'Order payment is not held for review',
+      orderStatus: found.order.status
+    });
+  }
+
+  let result;
+  try {
+    result = await resolvePaymentReview(found.order.authorizationId, approve, { reviewer: req.get('X-User-Id') });
+  } catch (error) {
+    return sendProblem(res, {
+      type: 'bad-gateway',
+      detail: `Payment review could not be resolved: ${error.details || error.message}`
+    });
+  }
+  if (result.status !== 'APPROVED' && result.status !== 'DECLINED') {
+    return sendProblem(res, { type: 'bad-gateway', detail: `Payment review could not be resolved: ${result.message}` });
+  }
+
+  // The review is resolved in payment-svc already; a retry gets the same result
+  const to = result.status === 'APPROVED' ? 'paid' : 'payment_failed';
+  return handleTransition(req, res, to, {
+    reason: reason || result.message,
+    prepare: () => ({})
   });
 });
 
+// List outbox events that have not been delivered: ?status=pending,failed (default)
+app.get('/outbox', validate('GET /outbox'), async (req, res) => {
+  const statuses = req.query.status && req.query.status.length > 0 ? req.query.status : ['pending', 'failed'];
+  const size = req.query.size || 100;
+
+  try {
+    const events = await outboxRelay.listEvents(statuses, size);
+    res.json({ events });
+  } catch (error) {
+    logger.error({ msg: 'Failed to list outbox events', error: error.message });
+    sendProblem(res, { type: 'internal', detail: 'Failed to list outbox events' });
+  }
+});
+
+// Publish an outbox event again
+app.post('/outbox/:eventId/replay', validate('POST /outbox/:eventId/replay'), async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const found = await outboxRelay.replayEvent(eventId);
+    if (!found) {
+      return sendProblem(res, { type: 'not-found', detail: 'Outbox event not found' });
+    }
+
+    logger.info({ msg: 'Outbox event queued for replay', eventId });
+    res.status(202).json({ id: eventId, status: 'pending' });
+  } catch (error) {
+    logger.error({ msg: `Failed to replay outbox event ${eventId}`, error: error.message });
+    sendProblem(res, { type: 'internal', detail: 'Failed to replay outbox event' });
+  }
+});
+
+// Notification preferences of a customer. Not exposed directly: the gateway
+// checks the customer's signed token first.
+app.get('/preferences/:email', validate('GET /preferences/:email'), async (req, res) => {
+  const { email } = req.params;
+
+  try {
+    res.json(await preferenceStore.get(email));
+  } catch (error) {
+    logger.error({ msg: 'Failed to read notification preferences', error: error.message });
+    sendProblem(res, { type: 'internal', detail: 'Failed to read notification preferences' });
+  }
+});
+
+// Change some notification types: {"notifications": {"order-shipped": false}}
+app.put('/preferences/:email', validate('PUT /preferences/:email'), async (req, res) => {
+  const { email } = req.params;
+
+  try {
+    const preferences = await preferenceStore.update(email, req.body.notifications);
+    logger.info({
+      msg: 'Notification preferences updated',
+      changes: req.body.notifications
+    });
+    res.json(preferences);
+  } catch (error) {
+    if (error instanceof InvalidPreferencesError) {
+      return sendProblem(res, { errors: [{ in: 'body', field: 'notifications', message: error.message }] });
+    }
+    logger.error({ msg: 'Failed to update notification preferences', error: error.message });
+    sendProblem(res, { type: 'internal', detail: 'Failed to update notification preferences' });
+  }
+});
+
+// Bodies that are not JSON are invalid requests like any other
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  sendProblem(res, { errors: [{ in: 'body', field: '', message: 'must be valid JSON' }] });
+});
+
+// Routes that do not exist, and errors no route handled
+app.use((req, res) => {
+  sendProblem(res, { type: 'not-found', detail: `No route for ${req.method} ${req.path}` });
+});
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.too.large') {
+    return sendProblem(res, { type: 'payload-too-large', detail: `Request body is larger than ${err.limit} bytes` });
+  }
+  logger.error({ msg: `Unhandled error in ${req.method} ${req.path}`, error: err.message, stack: err.stack });
+  sendProblem(res, { type: 'internal' });
+});
+
 // Start the application
 async function start() {
   try {
     // Setup connections
     await setupElasticsearch();
+    await idempotencyStore.setup();
+    await preferenceStore.setup();
+    setInterval(() => {
+      idempotencyStore.sweep().catch((error) => {
+        logger.error({ msg: 'Failed to sweep expired idempotency keys', error: error.message });
+      });
+    }, 60 * 60 * 1000).unref();
     await setupRabbitMQ();
+    outboxRelay.start();
     
     // Start server
     app.listen(PORT, () => {
@@ -404,8 +1130,10 @@ async function start() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('Service shutting down');
-  if (rabbitChannel) {
-    await rabbitChannel.close();
+  outboxRelay.stop();
+  if (rabbitConnection) {
+    rabbitConnection.removeAllListeners('close');
+    await rabbitConnection.close();
   }
   process.exit(0);
 });
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+'use strict';
+
+// Print the order-svc OpenAPI document, generated from the request schemas
+//
+//   npm run --silent openapi > openapi.json
+
+const { ROUTES } = require('./api-schema');
+const { openApiDocument } = require('@mini-shop/validation');
+const { version } = require('../package.json');
+
+const document = openApiDocument({
+  info: {
+    title: 'order-svc',
+    version,
+    description: 'Orders, their lifecycle, the event outbox and notification preferences. Internal: reached through api-gateway, which authenticates users.'
+  },
+  routes: ROUTES
+});
+
+console.log(JSON.stringify(document, null, 2));
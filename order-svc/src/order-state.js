@@ -0,0 +1,89 @@
+// Order lifecycle state machine
+//
+//   pending -> paid -> fulfilled -> shipped -> delivered
+//
+// pending can also end in payment_failed, or wait in payment_review while
+// the fraud check's hold on the payment is reviewed; orders can be cancelled
+// until they ship and refunded once paid.
+
+const TRANSITIONS = {
+  pending: ['paid', 'payment_review', 'payment_failed', 'cancelled'],
+  payment_review: ['paid', 'payment_failed', 'cancelled'],
+  paid: ['fulfilled', 'cancelled', 'refunded'],
+  fulfilled: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  payment_failed: [],
+  cancelled: [],
+  refunded: []
+};
+
+// Statuses an order can be moved to directly. Payment outcomes, reviews,
+// cancellations and refunds go through their own endpoints, which move the
+// money along with the order.
+const FULFILMENT_STATUSES = ['fulfilled', 'shipped', 'delivered'];
+
+// Routing keys on the `orders` exchange. Paid orders keep the
+// order.confirmed key that email-worker consumes.
+const ROUTING_KEYS = {
+  paid: 'order.confirmed'
+};
+
+// Orders created before the state machine was introduced
+const LEGACY_STATUSES = {
+  confirmed: 'paid'
+};
+
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change order status from ${from} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+function isKnownStatus(status) {
+  return Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+}
+
+function normalizeStatus(status) {
+  return LEGACY_STATUSES[status] || status;
+}
+
+function canTransition(from, to) {
+  return isKnownStatus(from) && TRANSITIONS[from].includes(to);
+}
+
+function routingKeyFor(status) {
+  return ROUTING_KEYS[status] || `order.${status}`;
+}
+
+// Apply a transition to an order object, appending to its status history.
+// `by` is the id of the user who made the change, if any.
+// Throws InvalidTransitionError when the transition is not allowed.
+function applyTransition(order, to, { reason, by } = {}) {
+  const from = normalizeStatus(order.status);
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(from, to);
+  }
+
+  const entry = { status: to, from, at: new Date().toISOString() };
+  if (reason) entry.reason = reason;
+  if (by) entry.by = by;
+
+  order.status = to;
+  order.statusHistory = [...(order.statusHistory || []), entry];
+  order.updatedAt = entry.at;
+  return entry;
+}
+
+module.exports = {
+  TRANSITIONS,
+  FULFILMENT_STATUSES,
+  InvalidTransitionError,
+  isKnownStatus,
+  canTransition,
+  routingKeyFor,
+  applyTransition
+};
@@ -0,0 +1,325 @@
+// Transactional outbox for order events
+//
+// Events are stored in the `outbox` array of the order document they belong
+// to, so they are written in the same (atomic) Elasticsearch write as the
+// order change itself. A background relay publishes pending events to
+// RabbitMQ on a confirm channel and marks them delivered once the broker has
+// acknowledged them. Failed publishes are retried with exponential backoff;
+// after OUTBOX_MAX_ATTEMPTS the event is marked `failed` until an operator
+// replays it.
+//
+// Delivery is at least once: consumers can use the AMQP messageId (the event
+// id) to drop duplicates.
+
+const { v4: uuidv4 } = require('uuid');
+const { trace, context, propagation } = require('@opentelemetry/api');
+
+const ORDERS_INDEX = 'orders';
+const EXCHANGE = 'orders';
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '1000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '10', 10);
+const BASE_BACKOFF_MS = parseInt(process.env.OUTBOX_BASE_BACKOFF_MS || '1000', 10);
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+const tracer = trace.getTracer('order-svc');
+
+// Mapping for the outbox field of the orders index. Nested, so a query on
+// status and nextAttemptAt matches both on the same event rather than on two
+// events of one order.
+const outboxMapping = {
+  type: 'nested',
+  properties: {
+    id: { type: 'keyword' },
+    routingKey: { type: 'keyword' },
+    status: { type: 'keyword' },
+    attempts: { type: 'integer' },
+    createdAt: { type: 'date' },
+    nextAttemptAt: { type: 'date' },
+    deliveredAt: { type: 'date' },
+    lastError: { type: 'text' },
+    payload: { type: 'object', enabled: false },
+    traceContext: { type: 'object', enabled: false }
+  }
+};
+
+class OutboxMappingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutboxMappingError';
+  }
+}
+
+// Check the outbox mapping of an existing orders index. A missing field is
+// added. An object mapping from an older version cannot be changed in place
+// and would fail every relay query, so it throws until the index is
+// reindexed (see the README).
+async function ensureOutboxMapping(esClient) {
+  const response = await esClient.indices.getMapping({ index: ORDERS_INDEX });
+  // Keyed by the concrete index, which differs when `orders` is an alias
+  const { mappings } = Object.values(response)[0];
+  const current = mappings.properties && mappings.properties.outbox;
+
+  if (!current) {
+    await esClient.indices.putMapping({ index: ORDERS_INDEX, properties: { outbox: outboxMapping } });
+    return;
+  }
+  if (current.type !== 'nested') {
+    throw new OutboxMappingError(
+      `The ${ORDERS_INDEX} index maps outbox as an object, not nested; reindex it before starting order-svc`
+    );
+  }
+}
+
+// Update fields of one outbox event in place
+const UPDATE_EVENT_SCRIPT = `
+  for (def event : ctx._source.outbox) {
+    if (event.id == params.id) {
+      for (def key : params.changes.keySet()) {
+        event[key] = params.changes[key];
+      }
+    }
+  }
+`;
+
+// Strip the outbox from an order before it is returned or published
+function withoutOutbox(order) {
+  const { outbox, ...rest } = order;
+  return rest;
+}
+
+// Append an event to the order's outbox. The caller persists the order.
+function addOutboxEvent(order, routingKey) {
+  const now = new Date().toISOString();
+
+  // Remember the trace of the request that caused the event so the relay
+  // can publish it as part of that trace
+  const traceContext = {};
+  propagation.inject(context.active(), traceContext);
+
+  const event = {
+    id: uuidv4(),
+    routingKey,
+    status: 'pending',
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    payload: withoutOutbox(order),
+    traceContext
+  };
+
+  order.outbox = [...(order.outbox || []), event];
+  return event;
+}
+
+function backoff(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+function createOutboxRelay({ esClient, getChannel, logger }) {
+  let timer = null;
+  let running = false;
+  let rerun = false;
+
+  async function updateEvent(orderId, eventId, changes) {
+    await esClient.update({
+      index: ORDERS_INDEX,
+      id: orderId,
+      script: { source: UPDATE_EVENT_SCRIPT, params: { id: eventId, changes } },
+      retry_on_conflict: 5,
+      refresh: true
+    });
+  }
+
+  // Publish on the confirm channel and wait for the broker's ack
+  function publish(channel, event, orderId) {
+    return new Promise((resolve, reject) => {
+      channel.publish(
+        EXCHANGE,
+        event.routingKey,
+        Buffer.from(JSON.stringify(event.payload)),
+        {
+          contentType: 'application/json',
+          messageId: event.id,
+          timestamp: Math.floor(Date.parse(event.createdAt) / 1000),
+          persistent: true,
+          headers: { 'x-order-id': orderId }
+        },
+        (error) => (error ? reject(error) : resolve())
+      );
+    });
+  }
+
+  async function deliver(orderId, event) {
+    const parentContext = propagation.extract(context.ROOT_CONTEXT, event.traceContext || {});
+
+    return context.with(parentContext, () =>
+      tracer.startActiveSpan(`RabbitMQ publish ${event.routingKey}`, async (span) => {
+        span.setAttribute('order.id', orderId);
+        span.setAttribute('outbox.event_id', event.id);
+        span.setAttribute('outbox.attempt', event.attempts + 1);
+
+        try {
+          const channel = getChannel();
+          if (!channel) {
+            throw new Error('RabbitMQ channel not available');
+          }
+
+          await publish(channel, event, orderId);
+          await updateEvent(orderId, event.id, {
+            status: 'delivered',
+            attempts: event.attempts + 1,
+            deliveredAt: new Date().toISOString(),
+            lastError: null
+          });
+
+          logger.info({
+            msg: `Published ${event.routingKey} event`,
+            orderId,
+            eventId: event.id
+          });
+        } catch (error) {
+          span.recordException(error);
+
+          const attempts = event.attempts + 1;
+          const failed = attempts >= MAX_ATTEMPTS;
+          await updateEvent(orderId, event.id, {
+            status: failed ? 'failed' : 'pending',
+            attempts,
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + backoff(attempts)).toISOString()
+          });
+
+          logger.error({
+            msg: failed
+              ? `Giving up on ${event.routingKey} event after ${attempts} attempts`
+              : `Failed to publish ${event.routingKey} event, will retry`,
+            orderId,
+            eventId: event.id,
+            error: error.message
+          });
+        } finally {
+          span.end();
+        }
+      })
+    );
+  }
+
+  // Publish every event that is due, orders with the longest overdue
+  // event first
+  async function relayPending() {
+    const dueEvent = {
+      bool: {
+        filter: [
+          { term: { 'outbox.status': 'pending' } },
+          { range: { 'outbox.nextAttemptAt': { lte: 'now' } } }
+        ]
+      }
+    };
+    const result = await esClient.search({
+      index: ORDERS_INDEX,
+      query: { nested: { path: 'outbox', query: dueEvent } },
+      sort: [{
+        'outbox.nextAttemptAt': {
+          order: 'asc',
+          mode: 'min',
+          nested: { path: 'outbox', filter: dueEvent }
+        }
+      }],
+      size: BATCH_SIZE
+    });
+
+    const now = Date.now();
+    for (const hit of result.hits.hits) {
+      const due = (hit._source.outbox || []).filter(event =>
+        event.status === 'pending' && Date.parse(event.nextAttemptAt) <= now
+      );
+      for (const event of due) {
+        await deliver(hit._id, event);
+      }
+    }
+  }
+
+  async function run() {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        rerun = false;
+        await relayPending();
+      } while (rerun);
+    } catch (error) {
+      logger.error({ msg: 'Outbox relay run failed', error: error.message });
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    start() {
+      if (!timer) {
+        timer = setInterval(run, POLL_INTERVAL_MS);
+        timer.unref();
+      }
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    // Relay right away instead of waiting for the next poll
+    kick() {
+      run();
+    },
+
+    // List outbox events by status, oldest first
+    async listEvents(statuses, size = 100) {
+      const result = await esClient.search({
+        index: ORDERS_INDEX,
+        query: { nested: { path: 'outbox', query: { terms: { 'outbox.status': statuses } } } },
+        size
+      });
+
+      return result.hits.hits
+        .flatMap(hit => (hit._source.outbox || [])
+          .filter(event => statuses.includes(event.status))
+          .map(({ payload, traceContext, ...event }) => ({ orderId: hit._id, ...event })))
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+        .slice(0, size);
+    },
+
+    // Queue an event for publishing again, whatever its current status.
+    // Returns false when no order holds the event.
+    async replayEvent(eventId) {
+      const result = await esClient.search({
+        index: ORDERS_INDEX,
+        query: { nested: { path: 'outbox', query: { term: { 'outbox.id': eventId } } } },
+        size: 1
+      });
+      const hit = result.hits.hits[0];
+      if (!hit) return false;
+
+      await updateEvent(hit._id, eventId, {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        lastError: null
+      });
+      run();
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  OutboxMappingError,
+  outboxMapping,
+  ensureOutboxMapping,
+  withoutOutbox,
+  addOutboxEvent,
+  createOutboxRelay
+};
@@ -0,0 +1,115 @@
+// Customer notification preferences
+//
+// One document per customer email in the `notification-preferences` index,
+// saying which notification types the customer has turned off. Types that
+// are not listed are allowed, so customers without a document get every
+// email, as do new types. email-worker reads the index before sending.
+
+const INDEX = 'notification-preferences';
+
+// The emails email-worker sends, by template name
+const NOTIFICATION_TYPES = [
+  'order-confirmed',
+  'order-payment-failed',
+  'order-cancelled',
+  'order-refunded',
+  'order-shipped'
+];
+
+class InvalidPreferencesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidPreferencesError';
+  }
+}
+
+// Emails are matched case-insensitively
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+// Every known type with whether it is allowed
+function withDefaults(email, record) {
+  const stored = (record && record.notifications) || {};
+  const notifications = {};
+  for (const type of NOTIFICATION_TYPES) {
+    notifications[type] = stored[type] !== false;
+  }
+  return {
+    email,
+    notifications,
+    updatedAt: record ? record.updatedAt : null
+  };
+}
+
+// Check a { type: boolean } map of changes
+function validateChanges(notifications) {
+  if (!notifications || typeof notifications !== 'object' || Array.isArray(notifications)) {
+    throw new InvalidPreferencesError('notifications must be an object of notification type to boolean');
+  }
+  for (const [type, allowed] of Object.entries(notifications)) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw new InvalidPreferencesError(`Unknown notification type: ${type}. Known types: ${NOTIFICATION_TYPES.join(', ')}`);
+    }
+    if (typeof allowed !== 'boolean') {
+      throw new InvalidPreferencesError(`notifications.${type} must be true or false`);
+    }
+  }
+}
+
+function createPreferenceStore(esClient) {
+  return {
+    async setup() {
+      const exists = await esClient.indices.exists({ index: INDEX });
+      if (!exists) {
+        await esClient.indices.create({
+          index: INDEX,
+          mappings: {
+            properties: {
+              email: { type: 'keyword' },
+              notifications: { type: 'object', enabled: false },
+              updatedAt: { type: 'date' }
+            }
+          }
+        });
+      }
+    },
+
+    async get(email) {
+      const id = normalizeEmail(email);
+      try {
+        const result = await esClient.get({ index: INDEX, id });
+        return withDefaults(id, result._source);
+      } catch (error) {
+        if (error.meta && error.meta.statusCode === 404) {
+          return withDefaults(id, null);
+        }
+        throw error;
+      }
+    },
+
+    // Merge changes into the stored preferences. Throws
+    // InvalidPreferencesError for unknown types or non-boolean values.
+    async update(email, notifications) {
+      validateChanges(notifications);
+
+      const id = normalizeEmail(email);
+      const updatedAt = new Date().toISOString();
+      await esClient.update({
+        index: INDEX,
+        id,
+        doc: { email: id, notifications, updatedAt },
+        doc_as_upsert: true,
+        retry_on_conflict: 3,
+        refresh: 'wait_for'
+      });
+      return this.get(id);
+    }
+  };
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  InvalidPreferencesError,
+  createPreferenceStore
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TRANSITIONS,
+  FULFILMENT_STATUSES,
+  InvalidTransitionError,
+  isKnownStatus,
+  canTransition,
+  routingKeyFor,
+  applyTransition
+} = require('../src/order-state');
+
+describe('order state machine', () => {
+  it('moves orders forward through fulfilment', () => {
+    assert.ok(canTransition('pending', 'paid'));
+    assert.ok(canTransition('paid', 'fulfilled'));
+    assert.ok(canTransition('fulfilled', 'shipped'));
+    assert.ok(canTransition('shipped', 'delivered'));
+    assert.ok(!canTransition('pending', 'shipped'));
+    assert.ok(!canTransition('delivered', 'shipped'));
+  });
+
+  it('cancels until shipping and refunds once paid', () => {
+    for (const status of ['pending', 'payment_review', 'paid', 'fulfilled']) {
+      assert.ok(canTransition(status, 'cancelled'), status);
+    }
+    assert.ok(!canTransition('shipped', 'cancelled'));
+    for (const status of ['paid', 'fulfilled', 'shipped', 'delivered']) {
+      assert.ok(canTransition(status, 'refunded'), status);
+    }
+    assert.ok(!canTransition('pending', 'refunded'));
+  });
+
+  it('ends in terminal statuses', () => {
+    for (const status of ['payment_failed', 'cancelled', 'refunded']) {
+      assert.deepEqual(TRANSITIONS[status], []);
+    }
+  });
+
+  it('only lists fulfilment steps as statuses to set directly', () => {
+    assert.deepEqual(FULFILMENT_STATUSES, ['fulfilled', 'shipped', 'delivered']);
+  });
+
+  it('knows its statuses only', () => {
+    assert.ok(isKnownStatus('payment_review'));
+    assert.ok(!isKnownStatus('confirmed'));
+    assert.ok(!isKnownStatus('constructor'));
+    assert.ok(!canTransition('constructor', 'paid'));
+  });
+
+  it('keeps the order.confirmed routing key for paid orders', () => {
+    assert.equal(routingKeyFor('paid'), 'order.confirmed');
+    assert.equal(routingKeyFor('shipped'), 'order.shipped');
+  });
+});
+
+describe('applyTransition', () => {
+  it('changes the status and records the change', () => {
+    const order = { status: 'paid', statusHistory: [{ status: 'paid', from: 'pending', at: 'earlier' }] };
+    const entry = applyTransition(order, 'fulfilled', { reason: 'packed', by: 'staff-1' });
+
+    assert.equal(order.status, 'fulfilled');
+    assert.deepEqual(entry, { status: 'fulfilled', from: 'paid', at: entry.at, reason: 'packed', by: 'staff-1' });
+    assert.deepEqual(order.statusHistory.map(change => change.status), ['paid', 'fulfilled']);
+    assert.equal(order.updatedAt, entry.at);
+  });
+
+  it('treats the legacy confirmed status as paid', () => {
+    const order = { status: 'confirmed' };
+    assert.equal(applyTransition(order, 'fulfilled').from, 'paid');
+  });
+
+  it('rejects transitions that are not allowed and leaves the order alone', () => {
+    const order = { status: 'shipped' };
+    assert.throws(() => applyTransition(order, 'cancelled'), error =>
+      error instanceof InvalidTransitionError && error.from === 'shipped' && error.to === 'cancelled');
+    assert.deepEqual(order, { status: 'shipped' });
+  });
+});
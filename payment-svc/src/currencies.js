@@ -0,0 +1,77 @@
+'use strict';
+
+// ISO 4217 currency codes and the currencies payment-svc accepts
+//
+// Charges and authorizations must use an active ISO 4217 code that is also
+// listed in SUPPORTED_CURRENCIES, with no more decimals than the currency's
+// minor unit allows (none for JPY, three for KWD).
+
+const ISO_4217_CODES = (
+  'AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BOV ' +
+  'BRL BSD BTN BWP BYN BZD CAD CDF CHE CHF CHW CLF CLP CNY COP COU CRC CUC CUP CVE ' +
+  'CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GNF GTQ GYD HKD ' +
+  'HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD KYD ' +
+  'KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MXV ' +
+  'MYR MZN NAD NGN NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB ' +
+  'RWF SAR SBD SCR SDG SEK SGD SHP SLE SLL SOS SRD SSP STN SVC SYP SZL THB TJS TMT ' +
+  'TND TOP TRY TTD TWD TZS UAH UGX USD USN UYI UYU UYW UZS VED VES VND VUV WST XAF ' +
+  'XCD XOF XPF YER ZAR ZMW ZWL'
+).split(' ');
+
+// Minor units for currencies that do not use two decimals
+const MINOR_UNIT_EXCEPTIONS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0, RWF: 0,
+  UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4, UYW: 4
+};
+
+const SUPPORTED_CURRENCIES = (process.env.SUPPORTED_CURRENCIES || 'USD,EUR,GBP,JPY,CAD,AUD,CHF')
+  .split(',')
+  .map(code => code.trim().toUpperCase())
+  .filter(Boolean);
+
+class UnsupportedCurrencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedCurrencyError';
+  }
+}
+
+function isIsoCurrency(code) {
+  return ISO_4217_CODES.includes(code);
+}
+
+function minorUnits(code) {
+  return code in MINOR_UNIT_EXCEPTIONS ? MINOR_UNIT_EXCEPTIONS[code] : 2;
+}
+
+// Throw an UnsupportedCurrencyError unless `currency` is a supported ISO
+// 4217 code and `amount` fits its minor unit
+function assertSupportedCurrency(currency, amount) {
+  if (!currency) {
+    throw new UnsupportedCurrencyError('currency is required');
+  }
+  if (!isIsoCurrency(currency)) {
+    throw new UnsupportedCurrencyError(`${currency} is not an ISO 4217 currency code`);
+  }
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    throw new UnsupportedCurrencyError(
+      `Currency ${currency} is not supported. Supported currencies: ${SUPPORTED_CURRENCIES.join(', ')}`
+    );
+  }
+
+  const digits = minorUnits(currency);
+  const scaled = amount * 10 ** digits;
+  if (Math.abs(scaled - Math.round(scaled)) > 1e-6) {
+    throw new UnsupportedCurrencyError(`${currency} amounts cannot have more than ${digits} decimals`);
+  }
+}
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  UnsupportedCurrencyError,
+  isIsoCurrency,
+  minorUnits,
+  assertSupportedCurrency
+};
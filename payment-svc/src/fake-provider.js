@@ -0,0 +1,177 @@
+'use strict';
+
+// Deterministic fake payment provider
+//
+// Outcomes are decided by rules instead of a real gateway, so tests and load
+// tests can reproduce exact payment results. Options:
+//
+//   {
+//     "seed": 42,
+//     "latency": { "distribution": "uniform", "min": 25, "max": 200 },
+//     "rules": [
+//       { "match": { "amount": 13.13 }, "outcome": "decline", "reason": "insufficient_funds" },
+//       { "match": { "cardToken": "tok_timeout" }, "outcome": "timeout", "timeoutMs": 2000 },
+//       { "match": { "orderId": "^loadtest-slow-" }, "latency": { "distribution": "fixed", "ms": 800 } },
+//       { "match": { "operation": "charge", "attempt": 1 }, "outcome": "error", "probability": 0.1 }
+//     ]
+//   }
+//
+// The first rule whose `match` fits the request (and whose `probability`
+// draw succeeds) decides the outcome; without one the request is approved.
+// Match keys: operation, amount, minAmount, maxAmount, currency, cardToken,
+// orderId (a regular expression) and attempt. Array values match any of
+// their items.
+//
+// Outcomes: approve, decline (with `reason`), error (thrown with `message`,
+// so it is retried) and timeout (thrown after `timeoutMs`). Latency is
+// drawn from a fixed, uniform or normal distribution using a seeded
+// generator, so the same sequence of requests sees the same latencies.
+
+const OUTCOMES = ['approve', 'decline', 'error', 'timeout'];
+const MATCH_KEYS = ['operation', 'amount', 'minAmount', 'maxAmount', 'currency', 'cardToken', 'orderId', 'attempt'];
+
+const DEFAULT_LATENCY = { distribution: 'uniform', min: 25, max: 200 };
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_DECLINE_REASON = 'card_declined';
+
+// mulberry32: small, fast and good enough for test traffic
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function createLatencySampler(latency, random) {
+  switch (latency.distribution) {
+    case 'fixed':
+      return () => latency.ms;
+    case 'uniform':
+      return () => latency.min + Math.floor(random() * (latency.max - latency.min + 1));
+    case 'normal':
+      // Box-Muller transform, never below zero
+      return () => {
+        const u = 1 - random();
+        const v = random();
+        const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        return Math.max(0, Math.round(latency.mean + z * latency.stddev));
+      };
+    default:
+      throw new Error(`Unknown latency distribution: ${latency.distribution}`);
+  }
+}
+
+const toCents = amount => Math.round(amount * 100);
+const oneOf = value => (Array.isArray(value) ? value : [value]);
+
+// Turn a rule's `match` object into a predicate over requests
+function compileMatch(match = {}) {
+  const unknown = Object.keys(match).filter(key => !MATCH_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown match keys in fake provider rule: ${unknown.join(', ')}`);
+  }
+
+  const checks = [];
+  if (match.operation !== undefined) {
+    const operations = oneOf(match.operation);
+    checks.push(request => operations.includes(request.operation));
+  }
+  if (match.amount !== undefined) {
+    const amounts = oneOf(match.amount).map(toCents);
+    checks.push(request => amounts.includes(toCents(request.amount)));
+  }
+  if (match.minAmount !== undefined) {
+    checks.push(request => toCents(request.amount) >= toCents(match.minAmount));
+  }
+  if (match.maxAmount !== undefined) {
+    checks.push(request => toCents(request.amount) <= toCents(match.maxAmount));
+  }
+  if (match.currency !== undefined) {
+    const currencies = oneOf(match.currency);
+    checks.push(request => currencies.includes(request.currency));
+  }
+  if (match.cardToken !== undefined) {
+    const tokens = oneOf(match.cardToken);
+    checks.push(request => tokens.includes(request.cardToken));
+  }
+  if (match.orderId !== undefined) {
+    const pattern = new RegExp(match.orderId);
+    checks.push(request => pattern.test(request.orderId || ''));
+  }
+  if (match.attempt !== undefined) {
+    const attempts = oneOf(match.attempt);
+    checks.push(request => attempts.includes(request.attempt));
+  }
+
+  return request => checks.every(check => check(request));
+}
+
+function compileRule(rule, index, random) {
+  const outcome = rule.outcome || 'approve';
+  if (!OUTCOMES.includes(outcome)) {
+    throw new Error(`Unknown outcome in fake provider rule ${index}: ${outcome}`);
+  }
+
+  const probability = rule.probability === undefined ? 1 : rule.probability;
+  if (!(probability >= 0 && probability <= 1)) {
+    throw new Error(`Probability in fake provider rule ${index} must be between 0 and 1`);
+  }
+
+  return {
+    index,
+    outcome,
+    probability,
+    matches: compileMatch(rule.match),
+    reason: rule.reason || DEFAULT_DECLINE_REASON,
+    message: rule.message || 'Payment gateway error',
+    timeoutMs: rule.timeoutMs === undefined ? DEFAULT_TIMEOUT_MS : rule.timeoutMs,
+    sampleLatency: rule.latency ? createLatencySampler(rule.latency, random) : null
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createFakeProvider(options = {}) {
+  const random = createRandom(options.seed === undefined ? 1 : options.seed);
+  const sampleLatency = createLatencySampler(options.latency || DEFAULT_LATENCY, random);
+  const rules = (options.rules || []).map((rule, index) => compileRule(rule, index, random));
+
+  function findRule(request) {
+    return rules.find(rule =>
+      rule.matches(request) && (rule.probability === 1 || random() < rule.probability)
+    );
+  }
+
+  return {
+    async process(request, span) {
+      const rule = findRule(request);
+      const latency = rule && rule.sampleLatency ? rule.sampleLatency() : sampleLatency();
+
+      span.setAttribute('payment.provider.latency_ms', latency);
+      if (rule) span.setAttribute('payment.provider.rule', rule.index);
+
+      await sleep(latency);
+
+      switch (rule ? rule.outcome : 'approve') {
+        case 'decline':
+          span.setAttribute('payment.declined_reason', rule.reason);
+          return { outcome: 'declined', reason: rule.reason };
+        case 'error':
+          throw new Error(rule.message);
+        case 'timeout':
+          await sleep(rule.timeoutMs);
+          throw new Error('Payment gateway connection timeout');
+        default:
+          return { outcome: 'approved' };
+      }
+    }
+  };
+}
+
+module.exports = {
+  createFakeProvider
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+// Rule-based fraud scoring
+//
+// Every charge and authorization is scored before it reaches the gateway.
+// Each matching rule adds its `score`; the total decides what happens:
+//
+//   score <  reviewThreshold    approve, go to the gateway as usual
+//   score >= reviewThreshold    hold for manual review
+//   score >= declineThreshold   decline without calling the gateway
+//
+// Rule types:
+//
+//   { "name": "large_amount", "type": "amount", "above": 1000, "score": 30 }
+//     the amount is above `above` (optionally only for `currency`)
+//   { "name": "velocity", "type": "velocity", "windowMs": 3600000, "maxPayments": 5, "score": 60 }
+//     the customer email already made `maxPayments` successful payments in the window
+//   { "name": "currency_mismatch", "type": "currency_mismatch", "score": 40 }
+//     the charge currency differs from the card's currency
+//   { "name": "unsupported_currency", "type": "currency_not_in", "currencies": ["USD"], "score": 80 }
+//     the charge currency is not one of `currencies`
+
+const fs = require('fs');
+
+const DEFAULT_RULES = [
+  { name: 'large_amount', type: 'amount', above: 1000, score: 30 },
+  { name: 'very_large_amount', type: 'amount', above: 5000, score: 50 },
+  { name: 'velocity', type: 'velocity', windowMs: 60 * 60 * 1000, maxPayments: 5, score: 60 },
+  { name: 'currency_mismatch', type: 'currency_mismatch', score: 40 }
+];
+
+const DEFAULT_REVIEW_THRESHOLD = 50;
+const DEFAULT_DECLINE_THRESHOLD = 80;
+
+// Build a predicate for one rule. Predicates get the request and the
+// context (`countRecentPayments`) and may be async.
+function compileRule(rule) {
+  if (!rule.name || typeof rule.score !== 'number') {
+    throw new Error(`Fraud rules need a name and a numeric score: ${JSON.stringify(rule)}`);
+  }
+
+  switch (rule.type) {
+    case 'amount':
+      return request => request.amount > rule.above &&
+        (!rule.currency || request.currency === rule.currency);
+    case 'velocity':
+      return async (request, context) => {
+        if (!request.customerEmail) return false;
+        const count = await context.countRecentPayments(request.customerEmail, rule.windowMs);
+        return count >= rule.maxPayments;
+      };
+    case 'currency_mismatch':
+      return request => Boolean(request.cardCurrency) && request.cardCurrency !== request.currency;
+    case 'currency_not_in':
+      return request => !rule.currencies.includes(request.currency);
+    default:
+      throw new Error(`Unknown fraud rule type: ${rule.type}`);
+  }
+}
+
+// `countRecentPayments(email, windowMs)` resolves to how many successful
+// payments the customer made within the window, for velocity rules
+function createFraudChecker({
+  rules = DEFAULT_RULES,
+  reviewThreshold = DEFAULT_REVIEW_THRESHOLD,
+  declineThreshold = DEFAULT_DECLINE_THRESHOLD,
+  countRecentPayments
+}) {
+  const compiled = rules.map(rule => ({ rule, matches: compileRule(rule) }));
+  const context = { countRecentPayments };
+
+  return {
+    // Resolves to { score, rules, decision, reason }. `rules` lists the names
+    // of the matching rules; `reason` is a machine-readable code naming the
+    // highest scoring one when the decision is not 'approve'.
+    async check(request) {
+      const matched = [];
+      for (const { rule, matches } of compiled) {
+        if (await matches(request, context)) matched.push(rule);
+      }
+
+      const score = matched.reduce((total, rule) => total + rule.score, 0);
+      let decision = 'approve';
+      if (score >= declineThreshold) decision = 'decline';
+      else if (score >= reviewThreshold) decision = 'review';
+
+      const top = matched.reduce((best, rule) => (!best || rule.score > best.score ? rule : best), null);
+      return {
+        score,
+        rules: matched.map(rule => rule.name),
+        decision,
+        reason: decision === 'approve' ? null : `fraud_${top ? top.name : 'score'}`
+      };
+    }
+  };
+}
+
+// Fraud settings come from FRAUD_RULES (inline JSON array) or
+// FRAUD_RULES_FILE, plus FRAUD_REVIEW_THRESHOLD and FRAUD_DECLINE_THRESHOLD
+function loadFraudOptions(env = process.env) {
+  const options = {};
+  if (env.FRAUD_RULES) {
+    options.rules = JSON.parse(env.FRAUD_RULES);
+  } else if (env.FRAUD_RULES_FILE) {
+    options.rules = JSON.parse(fs.readFileSync(env.FRAUD_RULES_FILE, 'utf8'));
+  }
+  if (env.FRAUD_REVIEW_THRESHOLD) {
+    options.reviewThreshold = parseFloat(env.FRAUD_REVIEW_THRESHOLD);
+  }
+  if (env.FRAUD_DECLINE_THRESHOLD) {
+    options.declineThreshold = parseFloat(env.FRAUD_DECLINE_THRESHOLD);
+  }
+  return options;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  createFraudChecker,
+  loadFraudOptions
+};
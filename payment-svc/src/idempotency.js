@@ -0,0 +1,95 @@
+'use strict';
+
+// Charge idempotency
+//
+// Remembers the result of each charge by its idempotency key, so a retried
+// request gets the original result instead of charging the card again.
+// Concurrent requests with the same key share one in-flight charge. Results
+// that should not be final (see `isFinal`) are forgotten so they can be retried.
+//
+// Remembered results are lost on restart. Keys this process has not seen are
+// looked up with `recall(request)`, which reads the ledger and resolves to
+// { fingerprint, result } for an earlier final result, or null.
+
+const KEY_TTL_MS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS || '86400000', 10);
+
+class IdempotencyConflictError extends Error {
+  constructor(key) {
+    super(`Idempotency key ${key} was already used for a different request`);
+    this.name = 'IdempotencyConflictError';
+  }
+}
+
+// By default a key matches a request with the same amount and currency
+function chargeFingerprint(request) {
+  return `${request.amount} ${request.currency}`;
+}
+
+function createChargeIdempotency({ isFinal, fingerprint = chargeFingerprint, recall = async () => null }) {
+  const entries = new Map();
+
+  function sweep(now) {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }
+
+  return {
+    // Run `charge` once per idempotency key. Resolves to { result, replayed }.
+    async run(request, charge) {
+      const key = request.idempotency_key;
+      if (!key) {
+        return { result: await charge(), replayed: false };
+      }
+
+      const now = Date.now();
+      sweep(now);
+
+      const existing = entries.get(key);
+      if (existing) {
+        if (existing.fingerprint !== fingerprint(request)) {
+          throw new IdempotencyConflictError(key);
+        }
+        return { result: await existing.promise, replayed: true };
+      }
+
+      // A recalled result was final when it was recorded; a conflicting one
+      // rejects like a remembered one would
+      const recallThenCharge = async () => {
+        const recalled = await recall(request);
+        if (!recalled) return { result: await charge(), replayed: false };
+        if (recalled.fingerprint !== fingerprint(request)) {
+          throw new IdempotencyConflictError(key);
+        }
+        return { result: recalled.result, replayed: true };
+      };
+
+      // Claim the key before anything is awaited, so concurrent requests
+      // share one lookup and one charge
+      const outcome = recallThenCharge();
+      const promise = outcome.then(({ result }) => result);
+      // Rejections reach the caller through `outcome`; concurrent requests
+      // awaiting `promise` still see them
+      promise.catch(() => {});
+      entries.set(key, {
+        fingerprint: fingerprint(request),
+        promise,
+        expiresAt: now + KEY_TTL_MS
+      });
+
+      try {
+        const { result, replayed } = await outcome;
+        if (!isFinal(result)) entries.delete(key);
+        return { result, replayed };
+      } catch (error) {
+        entries.delete(key);
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  IdempotencyConflictError,
+  createChargeIdempotency
+};
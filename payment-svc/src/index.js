@@ -9,18 +9,35 @@ const protoLoader = require('@grpc/proto-loader');
 const { v4: uuidv4 } = require('uuid');
 const { trace, context, SpanStatusCode } = require('@opentelemetry/api');
 const pino = require('pino');
+const { Client } = require('@elastic/elasticsearch');
+const { IdempotencyConflictError, createChargeIdempotency } = require('./idempotency');
+const {
+  TransactionNotFoundError,
+  TransactionStateError,
+  createTransactionRegistry
+} = require('./transactions');
+const { createMemoryLedger, createElasticsearchLedger } = require('./ledger');
+const { createProvider, loadProviderOptions } = require('./providers');
+const { createFraudChecker, loadFraudOptions } = require('./fraud');
+const { UnsupportedCurrencyError, assertSupportedCurrency } = require('./currencies');
 
 // Constants for payment status
 const STATUS = {
   APPROVED: 0,
   DECLINED: 1,
-  ERROR: 2
+  ERROR: 2,
+  REVIEW: 3
 };
 
 // Environment variables
 const PORT = process.env.PORT || 9000;
 const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'payment-svc';
 const SERVICE_VERSION = process.env.SERVICE_VERSION || '0.1.0';
+const ELASTICSEARCH_URL = process.env.ELASTICSEARCH_URL;
+// The in-memory ledger is lost on restart; use it for tests and local runs only
+const LEDGER_BACKEND = process.env.LEDGER_BACKEND || (ELASTICSEARCH_URL ? 'elasticsearch' : 'memory');
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'fake';
+const AUTHORIZATION_SWEEP_INTERVAL_MS = parseInt(process.env.AUTHORIZATION_SWEEP_INTERVAL_MS || '60000', 10);
 
 // Initialize tracer
 const tracer = trace.getTracer('payment-svc-tracer');
@@ -74,51 +91,211 @@ const packageDefinition = protoLoader.loadSync(
 const protoDescriptor = grpc.loadPackageDefinition(packageDefinition);
 const paymentProto = protoDescriptor.payment;
 
-// Simulate a payment gateway with artificial delays and failures
-async function simulatePaymentGateway(amount, span) {
-  return new Promise((resolve, reject) => {
-    // Add attributes to the span
-    span.setAttribute('payment.amount', amount);
+// Ledger of every charge, refund and void
+function createLedger() {
+  if (LEDGER_BACKEND === 'elasticsearch') {
+    return createElasticsearchLedger(new Client({ node: ELASTICSEARCH_URL || 'http://elasticsearch:9200' }));
+  }
+  if (LEDGER_BACKEND === 'memory') {
+    return createMemoryLedger();
+  }
+  throw new Error(`Unknown LEDGER_BACKEND: ${LEDGER_BACKEND}`);
+}
+
+const ledger = createLedger();
+const transactions = createTransactionRegistry(ledger);
+
+// Payment gateway provider
+const provider = createProvider(PAYMENT_PROVIDER, loadProviderOptions());
+
+// Fraud rules, checked before charges and authorizations reach the provider
+const fraudChecker = createFraudChecker({
+  ...loadFraudOptions(),
+  countRecentPayments: (email, windowMs) => transactions.countRecentPayments(email, windowMs)
+});
+
+// Score a charge or authorization in a `fraud_check` span. The outcome is
+// also recorded on the operation's span.
+async function screenPayment(parentSpan, request) {
+  return tracer.startActiveSpan('fraud_check', async (span) => {
+    try {
+      const result = await fraudChecker.check(request);
+      for (const target of [span, parentSpan]) {
+        target.setAttribute('payment.fraud.score', result.score);
+        target.setAttribute('payment.fraud.rules', result.rules);
+        target.setAttribute('payment.fraud.decision', result.decision);
+        if (result.reason) target.setAttribute('payment.fraud.reason', result.reason);
+      }
+      return result;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// Response fields describing a fraud check
+function fraudFields(fraud, declineReason) {
+  return {
+    decline_reason: declineReason || fraud.reason || '',
+    fraud_score: fraud.score,
+    fraud_rules: fraud.rules
+  };
+}
+
+// Send a request to the payment provider, retrying failed attempts. Each
+// attempt gets a `${name}_attempt_N` span with a `${name}_gateway_request`
+// child. `request` is passed to the provider (see providers.js). Resolves to
+// { status, error, reason, attempts } where error is the last failure when
+// every attempt failed, reason is the provider's decline reason and attempts
+// lists each attempt for the ledger.
+async function callGatewayWithRetry(name, label, request, logInfo) {
+  // Retry configuration
+  const maxRetries = 3;
+  let lastError = null;
+  const attempts = [];
+  
+  // Retry logic with span links
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    // Create a span for this attempt
+    const attemptResult = await tracer.startActiveSpan(
+      `${name}_attempt_${attempt + 1}`, 
+      { attributes: { 
+          'payment.attempt': attempt + 1,
+          'payment.transaction_id': logInfo.payment.transaction_id 
+        }
+      }, 
+      async (attemptSpan) => {
+        const attemptEntry = { number: attempt + 1, at: new Date().toISOString() };
+        attempts.push(attemptEntry);
+        try {
+          // Process the gateway request in a child span
+          const gatewayResult = await tracer.startActiveSpan(
+            `${name}_gateway_request`,
+            async (gatewaySpan) => {
+              try {
+                gatewaySpan.setAttribute('payment.amount', request.amount);
+                gatewaySpan.setAttribute('payment.provider', PAYMENT_PROVIDER);
+                return await provider.process({ ...request, attempt: attempt + 1 }, gatewaySpan);
+              } finally {
+                gatewaySpan.end();
+              }
+            }
+          );
+          
+          // Handle the result based on status
+          const approved = gatewayResult.outcome === 'approved';
+          const status = approved ? 'APPROVED' : 'DECLINED';
+          const outcome = approved ? 'approved' : 'declined';
+          attemptEntry.outcome = outcome;
+          if (gatewayResult.reason) attemptEntry.reason = gatewayResult.reason;
+          attemptSpan.setAttribute('payment.status', status);
+          attemptSpan.setStatus({ code: SpanStatusCode.OK, message: `${label} ${outcome}` });
+          
+          const log = approved ? logger.info : logger.warn;
+          log.call(logger, addTraceContext(attemptSpan, {
+            message: `${label} ${outcome}`,
+            payment: { ...logInfo.payment, status, declined_reason: gatewayResult.reason }
+          }));
+          
+          return approved ? STATUS.APPROVED : STATUS.DECLINED;
+        } catch (error) {
+          // Attempt failed
+          attemptSpan.recordException(error);
+          attemptSpan.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+          
+          lastError = error;
+          attemptEntry.outcome = 'error';
+          attemptEntry.error = error.message;
+          logger.error(addTraceContext(attemptSpan, {
+            message: `${label} attempt ${attempt + 1} failed`,
+            error: { message: error.message },
+            ...logInfo
+          }));
+          
+          // Add delay before retry
+          await new Promise(resolve => setTimeout(resolve, 100 * (attempt + 1)));
+          return null; // Null indicates retry needed
+        } finally {
+          attemptSpan.end();
+        }
+      }
+    );
     
-    // Add artificial delay (25-200ms)
-    const delay = 25 + Math.floor(Math.random() * 175);
-    setTimeout(() => {
-      // // Randomly simulate gateway errors (10% chance)
-      // if (Math.random() < 0.1) {
-      //   const error = new Error('Payment gateway connection timeout');
-      //   span.recordException(error);
-      //   span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
-      //   return reject(error);
-      // }
-      
-      // // For high amount payments (>1000), simulate declined payments more often
-      // if (amount > 1000 && Math.random() < 0.3) {
-      //   span.setAttribute('payment.declined_reason', 'amount_too_high');
-      //   return resolve(STATUS.DECLINED);
-      // }
-      
-      // // Normal transaction flow, 10% decline rate
-      // if (Math.random() < 0.1) {
-      //   span.setAttribute('payment.declined_reason', 'random_decline');
-      //   return resolve(STATUS.DECLINED);
-      // }
-      
-      // Payment approved
-      return resolve(STATUS.APPROVED);
-    }, delay);
+    // If we got a result, return it
+    if (attemptResult !== null) {
+      return { status: attemptResult, error: null, reason: attempts[attempts.length - 1].reason || null, attempts };
+    }
+  }
+  
+  return { status: STATUS.ERROR, error: lastError, reason: null, attempts };
+}
+
+// Ledger status for each gateway outcome
+const LEDGER_STATUS = {
+  [STATUS.APPROVED]: 'approved',
+  [STATUS.DECLINED]: 'declined',
+  [STATUS.ERROR]: 'error',
+  [STATUS.REVIEW]: 'review'
+};
+
+// Write a ledger entry for a gateway call that has already happened. The
+// call's result still goes back to the client if the write fails, so the
+// entry is logged in full for reconciliation instead.
+async function recordInLedger(span, entry, write) {
+  try {
+    return await write();
+  } catch (error) {
+    span.recordException(error);
+    logger.error(addTraceContext(span, {
+      message: 'Failed to record ledger entry',
+      error: { message: error.message },
+      ledger: entry
+    }));
+    return null;
+  }
+}
+
+// Record the outcome of a gateway call on the operation's parent span
+function finishGatewaySpan(span, label, result, logInfo) {
+  if (result.status !== STATUS.ERROR) {
+    const outcome = result.status === STATUS.APPROVED ? 'approved' : 'declined';
+    span.setStatus({ code: SpanStatusCode.OK, message: `${label} ${outcome}` });
+    return;
+  }
+  
+  // All retries failed
+  span.recordException(result.error);
+  span.setStatus({ 
+    code: SpanStatusCode.ERROR, 
+    message: `${label} processing failed after retries` 
   });
+  
+  logger.error(addTraceContext(span, {
+    message: `${label} processing failed after retries`,
+    error: { message: result.error.message },
+    payment: { ...logInfo.payment, status: 'ERROR' }
+  }));
 }
 
 // Process a payment charge with retry logic and span links
 async function processPaymentWithRetry(call) {
   return await tracer.startActiveSpan('payment_process', async (parentSpan) => {
     try {
-      const { order_id, amount, currency } = call.request;
+      const {
+        order_id, amount, currency, idempotency_key, card_token, customer_email, card_currency
+      } = call.request;
       
       // Add attributes to the parent span
       parentSpan.setAttribute('payment.order_id', order_id);
       parentSpan.setAttribute('payment.amount', amount);
       parentSpan.setAttribute('payment.currency', currency);
+      if (idempotency_key) {
+        parentSpan.setAttribute('payment.idempotency_key', idempotency_key);
+      }
       
       // Generate transaction ID
       const transactionId = uuidv4();
@@ -140,122 +317,95 @@ async function processPaymentWithRetry(call) {
         ...paymentInfo
       }));
       
-      // Retry configuration
-      const maxRetries = 3;
-      let lastError = null;
-      
-      // Retry logic with span links
-      for (let attempt = 0; attempt < maxRetries; attempt++) {
-        // Create a span for this attempt
-        const attemptResult = await tracer.startActiveSpan(
-          `payment_attempt_${attempt + 1}`, 
-          { attributes: { 
-              'payment.attempt': attempt + 1,
-              'payment.transaction_id': transactionId 
-            }
-          }, 
-          async (attemptSpan) => {
-            try {
-              // Process the gateway request in a child span
-              const gatewayResult = await tracer.startActiveSpan(
-                'payment_gateway_request',
-                async (gatewaySpan) => {
-                  try {
-                    return await simulatePaymentGateway(amount, gatewaySpan);
-                  } catch (error) {
-                    throw error;
-                  } finally {
-                    gatewaySpan.end();
-                  }
-                }
-              );
-              
-              // Handle the result based on status
-              if (gatewayResult === STATUS.APPROVED) {
-                // Payment approved
-                attemptSpan.setAttribute('payment.status', 'APPROVED');
-                attemptSpan.setStatus({ code: SpanStatusCode.OK, message: 'Payment approved' });
-                
-                paymentInfo.payment.status = 'APPROVED';
-                logger.info(addTraceContext(attemptSpan, {
-                  message: 'Payment approved',
-                  ...paymentInfo
-                }));
-                
-                return {
-                  status: STATUS.APPROVED,
-                  transaction_id: transactionId,
-                  message: 'Payment approved'
-                };
-              } else {
-                // Payment declined
-                attemptSpan.setAttribute('payment.status', 'DECLINED');
-                attemptSpan.setStatus({ code: SpanStatusCode.OK, message: 'Payment declined' });
-                
-                paymentInfo.payment.status = 'DECLINED';
-                logger.warn(addTraceContext(attemptSpan, {
-                  message: 'Payment declined',
-                  ...paymentInfo
-                }));
-                
-                return {
-                  status: STATUS.DECLINED,
-                  transaction_id: transactionId,
-                  message: 'Payment declined by processor'
-                };
-              }
-            } catch (error) {
-              // Payment attempt failed
-              attemptSpan.recordException(error);
-              attemptSpan.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
-              
-              lastError = error;
-              logger.error(addTraceContext(attemptSpan, {
-                message: `Payment attempt ${attempt + 1} failed`,
-                error: { message: error.message },
-                ...paymentInfo
-              }));
-              
-              // Add delay before retry
-              await new Promise(resolve => setTimeout(resolve, 100 * (attempt + 1)));
-              return null; // Null indicates retry needed
-            } finally {
-              attemptSpan.end();
-            }
-          }
-        );
+      // Score the charge before it reaches the gateway
+      const fraud = await screenPayment(parentSpan, {
+        operation: 'charge',
+        amount,
+        currency,
+        customerEmail: customer_email,
+        cardCurrency: card_currency
+      });
+      
+      if (fraud.decision !== 'approve') {
+        const status = fraud.decision === 'review' ? STATUS.REVIEW : STATUS.DECLINED;
+        const charge = {
+          transactionId,
+          orderId: order_id,
+          amount,
+          currency,
+          status: LEDGER_STATUS[status],
+          reason: fraud.reason,
+          attempts: [],
+          idempotencyKey: idempotency_key,
+          customerEmail: customer_email,
+          fraud
+        };
+        await recordInLedger(parentSpan, charge, () => transactions.recordCharge(charge));
         
-        // If we got a result, return it
-        if (attemptResult !== null) {
-          // Set parent span status based on final result
-          if (attemptResult.status === STATUS.APPROVED) {
-            parentSpan.setStatus({ code: SpanStatusCode.OK, message: 'Payment approved' });
-          } else {
-            parentSpan.setStatus({ code: SpanStatusCode.OK, message: 'Payment declined' });
-          }
-          
-          return attemptResult;
-        }
+        logger.warn(addTraceContext(parentSpan, {
+          message: `Payment ${fraud.decision === 'review' ? 'held for review' : 'declined'} by fraud check`,
+          payment: { ...paymentInfo.payment, fraud_score: fraud.score, fraud_rules: fraud.rules }
+        }));
+        
+        return {
+          status,
+          transaction_id: transactionId,
+          message: fraud.decision === 'review'
+            ? 'Payment held for manual review'
+            : 'Payment declined by fraud check',
+          ...fraudFields(fraud)
+        };
       }
       
-      // All retries failed
-      parentSpan.recordException(lastError);
-      parentSpan.setStatus({ 
-        code: SpanStatusCode.ERROR, 
-        message: 'Payment processing failed after retries' 
-      });
+      const result = await callGatewayWithRetry('payment', 'Payment', {
+        operation: 'charge',
+        amount,
+        currency,
+        orderId: order_id,
+        transactionId,
+        cardToken: card_token
+      }, paymentInfo);
+      finishGatewaySpan(parentSpan, 'Payment', result, paymentInfo);
       
-      paymentInfo.payment.status = 'ERROR';
-      logger.error(addTraceContext(parentSpan, {
-        message: 'Payment processing failed after retries',
-        error: { message: lastError.message },
-        ...paymentInfo
-      }));
+      // Every charge goes into the ledger; approved ones can be refunded or
+      // voided later
+      const charge = {
+        transactionId,
+        orderId: order_id,
+        amount,
+        currency,
+        status: LEDGER_STATUS[result.status],
+        reason: result.status === STATUS.DECLINED ? result.reason : null,
+        attempts: result.attempts,
+        idempotencyKey: idempotency_key,
+        customerEmail: customer_email,
+        fraud
+      };
+      await recordInLedger(parentSpan, charge, () => transactions.recordCharge(charge));
+      
+      if (result.status === STATUS.APPROVED) {
+        return {
+          status: STATUS.APPROVED,
+          transaction_id: transactionId,
+          message: 'Payment approved',
+          ...fraudFields(fraud)
+        };
+      }
+      
+      if (result.status === STATUS.DECLINED) {
+        return {
+          status: STATUS.DECLINED,
+          transaction_id: transactionId,
+          message: 'Payment declined by processor',
+          ...fraudFields(fraud, result.reason)
+        };
+      }
       
       return {
         status: STATUS.ERROR,
         transaction_id: transactionId,
-        message: 'Payment processing failed after multiple attempts'
+        message: 'Payment processing failed after multiple attempts',
+        ...fraudFields(fraud)
       };
     } catch (error) {
       // Unexpected error
@@ -278,13 +428,786 @@ async function processPaymentWithRetry(call) {
   });
 }
 
+// Refund all or part of an approved charge. Registry errors (unknown
+// transaction, over-refund, voided charge) are thrown to the caller.
+async function processRefundWithRetry(call) {
+  return await tracer.startActiveSpan('refund_process', async (parentSpan) => {
+    try {
+      const { transaction_id, amount, reason, idempotency_key } = call.request;
+      
+      parentSpan.setAttribute('payment.transaction_id', transaction_id);
+      parentSpan.setAttribute('payment.refund.requested_amount', amount);
+      
+      // Hold the amount first so concurrent refunds cannot exceed the charge
+      const { charge, amount: refundAmount } = await transactions.holdRefund(transaction_id, amount);
+      const refundId = uuidv4();
+      parentSpan.setAttribute('payment.refund.amount', refundAmount);
+      parentSpan.setAttribute('payment.refund_id', refundId);
+      
+      const refundInfo = {
+        payment: {
+          transaction_id: transaction_id,
+          refund_id: refundId,
+          amount: refundAmount,
+          reason: reason
+        }
+      };
+      
+      logger.info(addTraceContext(parentSpan, {
+        message: 'Processing refund',
+        ...refundInfo
+      }));
+      
+      const result = await callGatewayWithRetry('refund', 'Refund', {
+        operation: 'refund',
+        amount: refundAmount,
+        currency: charge.currency,
+        orderId: charge.orderId,
+        transactionId: transaction_id
+      }, refundInfo);
+      finishGatewaySpan(parentSpan, 'Refund', result, refundInfo);
+      
+      const { refunded, remaining } = await transactions.finishRefund(
+        transaction_id,
+        refundAmount,
+        result.status === STATUS.APPROVED
+      );
+      
+      const refund = {
+        id: refundId,
+        amount: refundAmount,
+        status: LEDGER_STATUS[result.status],
+        reason,
+        attempts: result.attempts,
+        idempotencyKey: idempotency_key
+      };
+      await recordInLedger(parentSpan, refund, () => transactions.recordOperation('refund', charge, refund));
+      
+      const messages = {
+        [STATUS.APPROVED]: 'Refund approved',
+        [STATUS.DECLINED]: 'Refund declined by processor',
+        [STATUS.ERROR]: 'Refund processing failed after multiple attempts'
+      };
+      
+      return {
+        status: result.status,
+        refund_id: refundId,
+        transaction_id: transaction_id,
+        refunded_amount: refunded,
+        remaining_amount: remaining,
+        message: messages[result.status]
+      };
+    } catch (error) {
+      parentSpan.recordException(error);
+      parentSpan.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      parentSpan.end();
+    }
+  });
+}
+
+// Void an approved charge that has not settled yet
+async function processVoidWithRetry(call) {
+  return await tracer.startActiveSpan('void_process', async (parentSpan) => {
+    try {
+      const { transaction_id, reason } = call.request;
+      
+      parentSpan.setAttribute('payment.transaction_id', transaction_id);
+      
+      const { charge, alreadyVoided } = await transactions.beginVoid(transaction_id);
+      if (alreadyVoided) {
+        parentSpan.setStatus({ code: SpanStatusCode.OK, message: 'Already voided' });
+        return {
+          status: STATUS.APPROVED,
+          transaction_id: transaction_id,
+          message: 'Transaction already voided'
+        };
+      }
+      
+      const voidId = uuidv4();
+      const voidInfo = {
+        payment: {
+          transaction_id: transaction_id,
+          void_id: voidId,
+          amount: charge.amount,
+          reason: reason
+        }
+      };
+      
+      logger.info(addTraceContext(parentSpan, {
+        message: 'Processing void',
+        ...voidInfo
+      }));
+      
+      const result = await callGatewayWithRetry('void', 'Void', {
+        operation: 'void',
+        amount: charge.amount,
+        currency: charge.currency,
+        orderId: charge.orderId,
+        transactionId: transaction_id
+      }, voidInfo);
+      finishGatewaySpan(parentSpan, 'Void', result, voidInfo);
+      
+      await transactions.finishVoid(transaction_id, result.status === STATUS.APPROVED);
+      
+      const voidEntry = {
+        id: voidId,
+        amount: charge.amount,
+        status: LEDGER_STATUS[result.status],
+        reason,
+        attempts: result.attempts
+      };
+      await recordInLedger(parentSpan, voidEntry, () => transactions.recordOperation('void', charge, voidEntry));
+      
+      const messages = {
+        [STATUS.APPROVED]: 'Transaction voided',
+        [STATUS.DECLINED]: 'Void declined by processor',
+        [STATUS.ERROR]: 'Void processing failed after multiple attempts'
+      };
+      
+      return {
+        status: result.status,
+        transaction_id: transaction_id,
+        message: messages[result.status]
+      };
+    } catch (error) {
+      parentSpan.recordException(error);
+      parentSpan.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      parentSpan.end();
+    }
+  });
+}
+
+// Authorize a payment: hold the funds without taking them. Captures and
+// releases refer to the returned authorization id.
+async function processAuthorizeWithRetry(call) {
+  return await tracer.startActiveSpan('authorize_process', async (parentSpan) => {
+    try {
+      const {
+        order_id, amount, currency, idempotency_key, card_token, customer_email, card_currency
+      } = call.request;
+      
+      parentSpan.setAttribute('payment.order_id', order_id);
+      parentSpan.setAttribute('payment.amount', amount);
+      parentSpan.setAttribute('payment.currency', currency);
+      
+      const authorizationId = uuidv4();
+      parentSpan.setAttribute('payment.authorization_id', authorizationId);
+      
+      const authorizationInfo = {
+        payment: {
+          order_id: order_id,
+          amount: amount,
+          currency: currency,
+          authorization_id: authorizationId
+        }
+      };
+      
+      logger.info(addTraceContext(parentSpan, {
+        message: 'Processing authorization',
+        ...authorizationInfo
+      }));
+      
+      // Score the authorization before it reaches the gateway
+      const fraud = await screenPayment(parentSpan, {
+        operation: 'authorize',
+        amount,
+        currency,
+        customerEmail: customer_email,
+        cardCurrency: card_currency
+      });
+      
+      if (fraud.decision !== 'approve') {
+        const status = fraud.decision === 'review' ? STATUS.REVIEW : STATUS.DECLINED;
+        const authorization = {
+          authorizationId,
+          orderId: order_id,
+          amount,
+          currency,
+          status: LEDGER_STATUS[status],
+          reason: fraud.reason,
+          attempts: [],
+          idempotencyKey: idempotency_key,
+          customerEmail: customer_email,
+          fraud
+        };
+        await recordInLedger(parentSpan, authorization,
+          () => transactions.recordAuthorization({ ...authorization, cardToken: card_token }));
+        
+        logger.warn(addTraceContext(parentSpan, {
+          message: `Authorization ${fraud.decision === 'review' ? 'held for review' : 'declined'} by fraud check`,
+          payment: { ...authorizationInfo.payment, fraud_score: fraud.score, fraud_rules: fraud.rules }
+        }));
+        
+        return {
+          status,
+          authorization_id: authorizationId,
+          expires_at: '',
+          message: fraud.decision === 'review'
+            ? 'Authorization held for manual review'
+            : 'Authorization declined by fraud check',
+          ...fraudFields(fraud)
+        };
+      }
+      
+      const result = await callGatewayWithRetry('authorize', 'Authorization', {
+        operation: 'authorize',
+        amount,
+        currency,
+        orderId: order_id,
+        authorizationId,
+        cardToken: card_token
+      }, authorizationInfo);
+      finishGatewaySpan(parentSpan, 'Authorization', result, authorizationInfo);
+      
+      const authorization = {
+        authorizationId,
+        orderId: order_id,
+        amount,
+        currency,
+        status: LEDGER_STATUS[result.status],
+        reason: result.status === STATUS.DECLINED ? result.reason : null,
+        attempts: result.attempts,
+        idempotencyKey: idempotency_key,
+        customerEmail: customer_email,
+        fraud
+      };
+      const recorded = await recordInLedger(parentSpan, authorization,
+        () => transactions.recordAuthorization(authorization));
+      
+      const messages = {
+        [STATUS.APPROVED]: 'Payment authorized',
+        [STATUS.DECLINED]: 'Authorization declined by processor',
+        [STATUS.ERROR]: 'Authorization failed after multiple attempts'
+      };
+      
+      return {
+        status: result.status,
+        authorization_id: authorizationId,
+        expires_at: recorded && result.status === STATUS.APPROVED ? recorded.expiresAt : '',
+        message: messages[result.status],
+        ...fraudFields(fraud, result.status === STATUS.DECLINED ? result.reason : null)
+      };
+    } catch (error) {
+      parentSpan.recordException(error);
+      parentSpan.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      parentSpan.end();
+    }
+  });
+}
+
+// Capture all or part of an authorization. Each capture is recorded as a
+// charge, so it can be refunded like one.
+async function processCaptureWithRetry(call) {
+  return await tracer.startActiveSpan('capture_process', async (parentSpan) => {
+    try {
+      const { authorization_id, amount, idempotency_key } = call.request;
+      
+      parentSpan.setAttribute('payment.authorization_id', authorization_id);
+      parentSpan.setAttribute('payment.capture.requested_amount', amount);
+      
+      // Hold the amount first so concurrent captures cannot exceed the authorization
+      const { authorization, amount: captureAmount } = await transactions.holdCapture(authorization_id, amount);
+      const transactionId = uuidv4();
+      parentSpan.setAttribute('payment.capture.amount', captureAmount);
+      parentSpan.setAttribute('payment.transaction_id', transactionId);
+      
+      const captureInfo = {
+        payment: {
+          order_id: authorization.orderId,
+          authorization_id: authorization_id,
+          transaction_id: transactionId,
+          amount: captureAmount,
+          currency: authorization.currency
+        }
+      };
+      
+      logger.info(addTraceContext(parentSpan, {
+        message: 'Processing capture',
+        ...captureInfo
+      }));
+      
+      const result = await callGatewayWithRetry('capture', 'Capture', {
+        operation: 'capture',
+        amount: captureAmount,
+        currency: authorization.currency,
+        orderId: authorization.orderId,
+        transactionId,
+        authorizationId: authorization_id
+      }, captureInfo);
+      finishGatewaySpan(parentSpan, 'Capture', result, captureInfo);
+      
+      const { captured, remaining } = await transactions.finishCapture(
+        authorization_id,
+        captureAmount,
+        result.status === STATUS.APPROVED
+      );
+      
+      const charge = {
+        transactionId,
+        orderId: authorization.orderId,
+        amount: captureAmount,
+        currency: authorization.currency,
+        status: LEDGER_STATUS[result.status],
+        attempts: result.attempts,
+        idempotencyKey: idempotency_key,
+        authorizationId: authorization_id
+      };
+      await recordInLedger(parentSpan, charge, () => transactions.recordCharge(charge));
+      
+      const messages = {
+        [STATUS.APPROVED]: 'Payment captured',
+        [STATUS.DECLINED]: 'Capture declined by processor',
+        [STATUS.ERROR]: 'Capture failed after multiple attempts'
+      };
+      
+      return {
+        status: result.status,
+        transaction_id: transactionId,
+        authorization_id: authorization_id,
+        captured_amount: captured,
+        remaining_amount: remaining,
+        message: messages[result.status]
+      };
+    } catch (error) {
+      parentSpan.recordException(error);
+      parentSpan.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      parentSpan.end();
+    }
+  });
+}
+
+// Release whatever part of an authorization has not been captured
+async function processReleaseWithRetry(call) {
+  return await tracer.startActiveSpan('release_process', async (parentSpan) => {
+    try {
+      const { authorization_id, reason, idempotency_key } = call.request;
+      
+      parentSpan.setAttribute('payment.authorization_id', authorization_id);
+      
+      const { authorization, amount, alreadyReleased } = await transactions.beginRelease(authorization_id);
+      if (alreadyReleased) {
+        parentSpan.setStatus({ code: SpanStatusCode.OK, message: 'Already released' });
+        return {
+          status: STATUS.APPROVED,
+          authorization_id: authorization_id,
+          released_amount: amount,
+          message: `Authorization already ${authorization.status}`
+        };
+      }
+      
+      const releaseId = uuidv4();
+      const releaseInfo = {
+        payment: {
+          order_id: authorization.orderId,
+          authorization_id: authorization_id,
+          release_id: releaseId,
+          amount: amount,
+          reason: reason
+        }
+      };
+      
+      logger.info(addTraceContext(parentSpan, {
+        message: 'Processing authorization release',
+        ...releaseInfo
+      }));
+      
+      const result = await callGatewayWithRetry('release', 'Release', {
+        operation: 'release',
+        amount,
+        currency: authorization.currency,
+        orderId: authorization.orderId,
+        authorizationId: authorization_id
+      }, releaseInfo);
+      finishGatewaySpan(parentSpan, 'Release', result, releaseInfo);
+      
+      await transactions.finishRelease(authorization_id, result.status === STATUS.APPROVED);
+      
+      const release = {
+        id: releaseId,
+        amount,
+        status: LEDGER_STATUS[result.status],
+        reason,
+        attempts: result.attempts,
+        idempotencyKey: idempotency_key
+      };
+      await recordInLedger(parentSpan, release, () => transactions.recordOperation('release', authorization, release));
+      
+      const messages = {
+        [STATUS.APPROVED]: 'Authorization released',
+        [STATUS.DECLINED]: 'Release declined by processor',
+        [STATUS.ERROR]: 'Release failed after multiple attempts'
+      };
+      
+      return {
+        status: result.status,
+        authorization_id: authorization_id,
+        released_amount: result.status === STATUS.APPROVED ? amount : 0,
+        message: messages[result.status]
+      };
+    } catch (error) {
+      parentSpan.recordException(error);
+      parentSpan.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      parentSpan.end();
+    }
+  });
+}
+
+// Results rebuilt from the ledger for idempotency keys this process has not
+// seen, e.g. because it restarted. An entry's status moves on after it is
+// recorded (charges get refunded, authorizations captured), so only declines
+// and reviews are read from it; any other final status was an approval.
+function recordedOutcome(entry) {
+  if (entry.status === 'declined') return STATUS.DECLINED;
+  if (entry.status === 'review') return STATUS.REVIEW;
+  return STATUS.APPROVED;
+}
+
+function recordedFraudFields(entry) {
+  return {
+    decline_reason: entry.reason || '',
+    fraud_score: entry.fraudScore || 0,
+    fraud_rules: entry.fraudRules || []
+  };
+}
+
+// Charges and authorizations declined by the fraud check never reached the
+// provider, so they have no attempts
+function recordedMessage(entry, label, approved, held) {
+  const status = recordedOutcome(entry);
+  if (status === STATUS.APPROVED) return approved;
+  if (status === STATUS.REVIEW) return held;
+  return `${label} declined by ${entry.attempts && entry.attempts.length > 0 ? 'processor' : 'fraud check'}`;
+}
+
+// A requested amount of 0 takes whatever was left, so it matches any amount
+function recordedAmount(request, entry) {
+  return request.amount === 0 ? 0 : entry.amount;
+}
+
+async function recallCharge(request) {
+  const entry = await transactions.findByIdempotencyKey('charge', request.idempotency_key);
+  if (!entry) return null;
+  return {
+    // Captures are recorded as charges too; one under this key never matches
+    fingerprint: entry.authorizationId ? `capture ${entry.authorizationId}` : `${entry.amount} ${entry.currency}`,
+    result: {
+      status: recordedOutcome(entry),
+      transaction_id: entry.id,
+      message: recordedMessage(entry, 'Payment', 'Payment approved', 'Payment held for manual review'),
+      ...recordedFraudFields(entry)
+    }
+  };
+}
+
+async function recallAuthorization(request) {
+  const entry = await transactions.findByIdempotencyKey('authorization', request.idempotency_key);
+  if (!entry) return null;
+  const status = recordedOutcome(entry);
+  return {
+    fingerprint: `${entry.amount} ${entry.currency}`,
+    result: {
+      status,
+      authorization_id: entry.id,
+      expires_at: status === STATUS.APPROVED ? entry.expiresAt : '',
+      message: recordedMessage(entry, 'Authorization', 'Payment authorized', 'Authorization held for manual review'),
+      ...recordedFraudFields(entry)
+    }
+  };
+}
+
+async function recallCapture(request) {
+  const entry = await transactions.findByIdempotencyKey('charge', request.idempotency_key);
+  if (!entry) return null;
+  // A plain charge recorded under this key never matches a capture
+  if (!entry.authorizationId) {
+    return { fingerprint: `charge ${entry.id}`, result: null };
+  }
+  const { captured, remaining } = await transactions.captureTotals(entry.authorizationId);
+  const status = recordedOutcome(entry);
+  return {
+    fingerprint: `${entry.authorizationId} ${recordedAmount(request, entry)}`,
+    result: {
+      status,
+      transaction_id: entry.id,
+      authorization_id: entry.authorizationId,
+      captured_amount: captured,
+      remaining_amount: remaining,
+      message: status === STATUS.APPROVED ? 'Payment captured' : 'Capture declined by processor'
+    }
+  };
+}
+
+async function recallRefund(request) {
+  const entry = await transactions.findByIdempotencyKey('refund', request.idempotency_key);
+  if (!entry) return null;
+  const { refunded, remaining } = await transactions.refundTotals(entry.transactionId);
+  const status = recordedOutcome(entry);
+  return {
+    fingerprint: `${entry.transactionId} ${recordedAmount(request, entry)}`,
+    result: {
+      status,
+      refund_id: entry.id,
+      transaction_id: entry.transactionId,
+      refunded_amount: refunded,
+      remaining_amount: remaining,
+      message: status === STATUS.APPROVED ? 'Refund approved' : 'Refund declined by processor'
+    }
+  };
+}
+
+async function recallRelease(request) {
+  const entry = await transactions.findByIdempotencyKey('release', request.idempotency_key);
+  if (!entry) return null;
+  const status = recordedOutcome(entry);
+  return {
+    fingerprint: entry.transactionId,
+    result: {
+      status,
+      authorization_id: entry.transactionId,
+      released_amount: status === STATUS.APPROVED ? entry.amount : 0,
+      message: status === STATUS.APPROVED ? 'Authorization released' : 'Release declined by processor'
+    }
+  };
+}
+
+// AuthorizeResponse for an authorization whose review was resolved
+function reviewedAuthorizationMessage(entry, message) {
+  const status = recordedOutcome(entry);
+  return {
+    status,
+    authorization_id: entry.id,
+    expires_at: status === STATUS.APPROVED ? entry.expiresAt : '',
+    message,
+    ...recordedFraudFields(entry)
+  };
+}
+
+// Approve or decline an authorization the fraud check held for review.
+// Approving sends it to the provider like a new authorization; a failed
+// call leaves it held for review.
+async function processReviewWithRetry(call) {
+  return await tracer.startActiveSpan('review_process', async (parentSpan) => {
+    // Set while the ledger entry is reviewing and no decision is recorded
+    let reviewing = false;
+    try {
+      const { authorization_id, approve, reviewer } = call.request;
+
+      parentSpan.setAttribute('payment.authorization_id', authorization_id);
+      parentSpan.setAttribute('payment.review.approve', approve);
+
+      const { authorization, alreadyResolved } = await transactions.beginReview(authorization_id);
+      if (alreadyResolved) {
+        parentSpan.setStatus({ code: SpanStatusCode.OK, message: 'Already reviewed' });
+        return reviewedAuthorizationMessage(authorization, `Review already resolved; authorization is ${authorization.status}`);
+      }
+      reviewing = true;
+
+      const reviewInfo = {
+        payment: {
+          order_id: authorization.orderId,
+          authorization_id: authorization_id,
+          amount: authorization.amount,
+          currency: authorization.currency,
+          approve,
+          reviewer
+        }
+      };
+
+      logger.info(addTraceContext(parentSpan, {
+        message: 'Resolving authorization review',
+        ...reviewInfo
+      }));
+
+      if (!approve) {
+        const declined = await transactions.finishReview(authorization_id, {
+          status: 'declined',
+          reason: 'fraud_review_declined',
+          attempts: [],
+          reviewedBy: reviewer
+        });
+        reviewing = false;
+        parentSpan.setStatus({ code: SpanStatusCode.OK, message: 'Review declined' });
+        return reviewedAuthorizationMessage(declined, 'Authorization declined on review');
+      }
+
+      const result = await callGatewayWithRetry('authorize', 'Authorization', {
+        operation: 'authorize',
+        amount: authorization.amount,
+        currency: authorization.currency,
+        orderId: authorization.orderId,
+        authorizationId: authorization_id,
+        cardToken: authorization.cardToken
+      }, reviewInfo);
+      finishGatewaySpan(parentSpan, 'Authorization', result, reviewInfo);
+
+      const resolved = await transactions.finishReview(authorization_id, {
+        status: LEDGER_STATUS[result.status],
+        reason: result.status === STATUS.DECLINED ? result.reason : null,
+        attempts: result.attempts,
+        reviewedBy: reviewer
+      });
+      reviewing = false;
+
+      if (result.status === STATUS.ERROR) {
+        return {
+          ...reviewedAuthorizationMessage(resolved, 'Authorization failed after multiple attempts; still held for review'),
+          status: STATUS.ERROR
+        };
+      }
+      return reviewedAuthorizationMessage(resolved, result.status === STATUS.APPROVED
+        ? 'Payment authorized on review'
+        : 'Authorization declined by processor');
+    } catch (error) {
+      parentSpan.recordException(error);
+      parentSpan.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      // Hold it for review again so the review can be retried. If that
+      // fails too, the next review takes it over after REVIEW_TIMEOUT_MS.
+      if (reviewing) {
+        await transactions.finishReview(call.request.authorization_id, { status: 'error', attempts: [] })
+          .catch((resetError) => {
+            logger.error(addTraceContext(parentSpan, {
+              message: 'Failed to hold authorization for review again',
+              error: { message: resetError.message },
+              payment: { authorization_id: call.request.authorization_id }
+            }));
+          });
+      }
+      throw error;
+    } finally {
+      parentSpan.end();
+    }
+  });
+}
+
+// Errors are worth retrying under the same key; approvals, declines and
+// reviews are final
+const chargeIdempotency = createChargeIdempotency({
+  isFinal: (result) => result.status !== STATUS.ERROR,
+  recall: recallCharge
+});
+
+const refundIdempotency = createChargeIdempotency({
+  isFinal: (result) => result.status !== STATUS.ERROR,
+  fingerprint: (request) => `${request.transaction_id} ${request.amount}`,
+  recall: recallRefund
+});
+
+const authorizeIdempotency = createChargeIdempotency({
+  isFinal: (result) => result.status !== STATUS.ERROR,
+  recall: recallAuthorization
+});
+
+const captureIdempotency = createChargeIdempotency({
+  isFinal: (result) => result.status !== STATUS.ERROR,
+  fingerprint: (request) => `${request.authorization_id} ${request.amount}`,
+  recall: recallCapture
+});
+
+const releaseIdempotency = createChargeIdempotency({
+  isFinal: (result) => result.status !== STATUS.ERROR,
+  fingerprint: (request) => request.authorization_id,
+  recall: recallRelease
+});
+
+// Map registry errors to gRPC status codes
+function transactionErrorStatus(error) {
+  if (error instanceof TransactionNotFoundError) return grpc.status.NOT_FOUND;
+  if (error instanceof TransactionStateError) return grpc.status.FAILED_PRECONDITION;
+  if (error instanceof IdempotencyConflictError) return grpc.status.INVALID_ARGUMENT;
+  if (error instanceof UnsupportedCurrencyError) return grpc.status.INVALID_ARGUMENT;
+  return null;
+}
+
+// Report a failed refund, void, authorization, capture or release
+function sendOperationError(callback, label, error) {
+  const code = transactionErrorStatus(error);
+  if (code !== null) {
+    return callback({ code, message: error.message });
+  }
+
+  logger.error({
+    message: `Error processing ${label}`,
+    error: { message: error.message }
+  });
+
+  callback({
+    code: grpc.status.INTERNAL,
+    message: `Internal server error during ${label} processing`
+  });
+}
+
+// Convert a ledger entry to a Transaction message
+function toTransactionMessage(entry) {
+  return {
+    id: entry.id,
+    type: entry.type,
+    order_id: entry.orderId || '',
+    transaction_id: entry.transactionId || '',
+    amount: entry.amount,
+    currency: entry.currency || '',
+    status: entry.status,
+    refunded_amount: entry.refundedAmount || 0,
+    authorization_id: entry.authorizationId || '',
+    captured_amount: entry.capturedAmount || 0,
+    expires_at: entry.expiresAt || '',
+    reason: entry.reason || '',
+    idempotency_key: entry.idempotencyKey || '',
+    customer_email: entry.customerEmail || '',
+    fraud_score: entry.fraudScore || 0,
+    fraud_rules: entry.fraudRules || [],
+    attempts: (entry.attempts || []).map(attempt => ({
+      number: attempt.number,
+      outcome: attempt.outcome || '',
+      error: attempt.error || '',
+      reason: attempt.reason || '',
+      at: attempt.at
+    })),
+    created_at: entry.createdAt,
+    updated_at: entry.updatedAt
+  };
+}
+
 // Implement the gRPC service
 const paymentService = {
   charge: async (call, callback) => {
     try {
-      const result = await processPaymentWithRetry(call);
+      assertSupportedCurrency(call.request.currency, call.request.amount);
+
+      const { result, replayed } = await chargeIdempotency.run(
+        call.request,
+        () => processPaymentWithRetry(call)
+      );
+
+      if (replayed) {
+        logger.info({
+          message: 'Returning original result for repeated charge',
+          payment: {
+            order_id: call.request.order_id,
+            idempotency_key: call.request.idempotency_key,
+            transaction_id: result.transaction_id
+          }
+        });
+      }
+
       callback(null, result);
     } catch (error) {
+      if (error instanceof IdempotencyConflictError || error instanceof UnsupportedCurrencyError) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: error.message
+        });
+      }
+      
       logger.error({
         message: 'Error processing payment charge',
         error: { message: error.message }
@@ -295,11 +1218,226 @@ const paymentService = {
         message: 'Internal server error during payment processing'
       });
     }
+  },
+
+  refund: async (call, callback) => {
+    const { transaction_id, amount } = call.request;
+    if (!transaction_id) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: 'transaction_id is required' });
+    }
+    if (!Number.isFinite(amount) || amount < 0) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: 'amount must be a non-negative number' });
+    }
+
+    try {
+      const { result, replayed } = await refundIdempotency.run(
+        call.request,
+        () => processRefundWithRetry(call)
+      );
+
+      if (replayed) {
+        logger.info({
+          message: 'Returning original result for repeated refund',
+          payment: {
+            transaction_id,
+            idempotency_key: call.request.idempotency_key,
+            refund_id: result.refund_id
+          }
+        });
+      }
+
+      callback(null, result);
+    } catch (error) {
+      sendOperationError(callback, 'refund', error);
+    }
+  },
+
+  void: async (call, callback) => {
+    if (!call.request.transaction_id) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: 'transaction_id is required' });
+    }
+
+    try {
+      callback(null, await processVoidWithRetry(call));
+    } catch (error) {
+      sendOperationError(callback, 'void', error);
+    }
+  },
+
+  authorize: async (call, callback) => {
+    const { order_id, amount } = call.request;
+    if (!order_id) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: 'order_id is required' });
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: 'amount must be a positive number' });
+    }
+
+    try {
+      assertSupportedCurrency(call.request.currency, amount);
+
+      const { result, replayed } = await authorizeIdempotency.run(
+        call.request,
+        () => processAuthorizeWithRetry(call)
+      );
+
+      if (replayed) {
+        logger.info({
+          message: 'Returning original result for repeated authorization',
+          payment: {
+            order_id,
+            idempotency_key: call.request.idempotency_key,
+            authorization_id: result.authorization_id
+          }
+        });
+      }
+
+      callback(null, result);
+    } catch (error) {
+      sendOperationError(callback, 'authorization', error);
+    }
+  },
+
+  capture: async (call, callback) => {
+    const { authorization_id, amount } = call.request;
+    if (!authorization_id) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: 'authorization_id is required' });
+    }
+    if (!Number.isFinite(amount) || amount < 0) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: 'amount must be a non-negative number' });
+    }
+
+    try {
+      const { result, replayed } = await captureIdempotency.run(
+        call.request,
+        () => processCaptureWithRetry(call)
+      );
+
+      if (replayed) {
+        logger.info({
+          message: 'Returning original result for repeated capture',
+          payment: {
+            authorization_id,
+            idempotency_key: call.request.idempotency_key,
+            transaction_id: result.transaction_id
+          }
+        });
+      }
+
+      callback(null, result);
+    } catch (error) {
+      sendOperationError(callback, 'capture', error);
+    }
+  },
+
+  releaseAuthorization: async (call, callback) => {
+    if (!call.request.authorization_id) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: 'authorization_id is required' });
+    }
+
+    try {
+      const { result, replayed } = await releaseIdempotency.run(
+        call.request,
+        () => processReleaseWithRetry(call)
+      );
+
+      if (replayed) {
+        logger.info({
+          message: 'Returning original result for repeated release',
+          payment: {
+            authorization_id: call.request.authorization_id,
+            idempotency_key: call.request.idempotency_key
+          }
+        });
+      }
+
+      callback(null, result);
+    } catch (error) {
+      sendOperationError(callback, 'release', error);
+    }
+  },
+
+  resolveReview: async (call, callback) => {
+    if (!call.request.authorization_id) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: 'authorization_id is required' });
+    }
+
+    try {
+      callback(null, await processReviewWithRetry(call));
+    } catch (error) {
+      sendOperationError(callback, 'review', error);
+    }
+  },
+
+  getTransaction: async (call, callback) => {
+    const { transaction_id } = call.request;
+    if (!transaction_id) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: 'transaction_id is required' });
+    }
+
+    try {
+      const entry = await transactions.getTransaction(transaction_id);
+      if (!entry) {
+        return callback({ code: grpc.status.NOT_FOUND, message: `Transaction not found: ${transaction_id}` });
+      }
+      callback(null, toTransactionMessage(entry));
+    } catch (error) {
+      logger.error({
+        message: 'Error fetching transaction',
+        error: { message: error.message },
+        payment: { transaction_id }
+      });
+      callback({ code: grpc.status.INTERNAL, message: 'Internal server error fetching transaction' });
+    }
+  },
+
+  listTransactionsByOrder: async (call, callback) => {
+    const { order_id } = call.request;
+    if (!order_id) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: 'order_id is required' });
+    }
+
+    try {
+      const entries = await transactions.listTransactionsByOrder(order_id);
+      callback(null, { transactions: entries.map(toTransactionMessage) });
+    } catch (error) {
+      logger.error({
+        message: 'Error listing transactions',
+        error: { message: error.message },
+        payment: { order_id }
+      });
+      callback({ code: grpc.status.INTERNAL, message: 'Internal server error listing transactions' });
+    }
   }
 };
 
 // Start the gRPC server
-function startServer() {
+async function startServer() {
+  try {
+    await ledger.setup();
+  } catch (error) {
+    logger.error({
+      message: 'Failed to set up payment ledger',
+      error: { message: error.message }
+    });
+    process.exit(1);
+  }
+
+  logger.info({ message: `Using ${LEDGER_BACKEND} payment ledger and ${PAYMENT_PROVIDER} payment provider` });
+
+  // Expire authorizations that were neither captured nor released in time
+  setInterval(() => {
+    transactions.expireAuthorizations()
+      .then((expired) => {
+        if (expired.length > 0) {
+          logger.info({ message: `Expired ${expired.length} authorizations`, payment: { authorization_ids: expired } });
+        }
+      })
+      .catch((error) => {
+        logger.error({ message: 'Failed to expire authorizations', error: { message: error.message } });
+      });
+  }, AUTHORIZATION_SWEEP_INTERVAL_MS).unref();
+
   const server = new grpc.Server();
   server.addService(paymentProto.Payment.service, paymentService);
   
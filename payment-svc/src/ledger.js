@@ -0,0 +1,294 @@
+'use strict';
+
+// Payment ledger
+//
+// Every charge, authorization, refund and void is stored as an entry,
+// whatever its outcome, together with each gateway attempt made for it.
+// Entries look like:
+//
+//   {
+//     id, type: 'charge' | 'authorization' | 'refund' | 'void' | 'release',
+//     orderId, transactionId,       // the charge or authorization an operation belongs to
+//     amount, currency, status, reason, idempotencyKey,
+//     customerEmail, fraudScore, fraudRules,      // charges and authorizations
+//     refundedAmount, pendingRefundAmount, authorizationId,    // charges only
+//     capturedAmount, pendingCaptureAmount, expiresAt,         // authorizations only
+//     cardToken, reviewStartedAt, reviewedBy, reviewedAt,   // authorizations held for review
+//     attempts: [{ number, outcome, error, reason, at }],
+//     createdAt, updatedAt
+//   }
+//
+// Two backends share the same interface: Elasticsearch for running services
+// and an in-memory one for tests and local runs.
+
+const LEDGER_INDEX = 'payment-ledger';
+const MAX_UPDATE_ATTEMPTS = 5;
+const MAX_LIST_SIZE = 1000;
+
+const ledgerMapping = {
+  properties: {
+    id: { type: 'keyword' },
+    type: { type: 'keyword' },
+    orderId: { type: 'keyword' },
+    transactionId: { type: 'keyword' },
+    authorizationId: { type: 'keyword' },
+    amount: { type: 'scaled_float', scaling_factor: 100 },
+    currency: { type: 'keyword' },
+    status: { type: 'keyword' },
+    reason: { type: 'text' },
+    idempotencyKey: { type: 'keyword' },
+    customerEmail: { type: 'keyword' },
+    fraudScore: { type: 'float' },
+    fraudRules: { type: 'keyword' },
+    refundedAmount: { type: 'scaled_float', scaling_factor: 100 },
+    pendingRefundAmount: { type: 'scaled_float', scaling_factor: 100 },
+    capturedAmount: { type: 'scaled_float', scaling_factor: 100 },
+    pendingCaptureAmount: { type: 'scaled_float', scaling_factor: 100 },
+    expiresAt: { type: 'date' },
+    cardToken: { type: 'keyword', index: false },
+    reviewStartedAt: { type: 'date' },
+    reviewedBy: { type: 'keyword' },
+    reviewedAt: { type: 'date' },
+    attempts: {
+      properties: {
+        number: { type: 'integer' },
+        outcome: { type: 'keyword' },
+        error: { type: 'text' },
+        reason: { type: 'keyword' },
+        at: { type: 'date' }
+      }
+    },
+    createdAt: { type: 'date' },
+    updatedAt: { type: 'date' }
+  }
+};
+
+class LedgerEntryNotFoundError extends Error {
+  constructor(id) {
+    super(`Ledger entry not found: ${id}`);
+    this.name = 'LedgerEntryNotFoundError';
+  }
+}
+
+function byCreatedAt(a, b) {
+  return Date.parse(a.createdAt) - Date.parse(b.createdAt);
+}
+
+function createMemoryLedger() {
+  const entries = new Map();
+  const copy = entry => JSON.parse(JSON.stringify(entry));
+
+  return {
+    async setup() {},
+
+    async create(entry) {
+      if (entries.has(entry.id)) {
+        throw new Error(`Ledger entry already exists: ${entry.id}`);
+      }
+      const now = new Date().toISOString();
+      const stored = { createdAt: now, updatedAt: now, ...copy(entry) };
+      entries.set(entry.id, stored);
+      return copy(stored);
+    },
+
+    async get(id) {
+      const entry = entries.get(id);
+      return entry ? copy(entry) : null;
+    },
+
+    // Apply `change` to an entry and store the result. `change` may throw to
+    // leave the entry untouched.
+    async update(id, change) {
+      const entry = entries.get(id);
+      if (!entry) throw new LedgerEntryNotFoundError(id);
+
+      const updated = copy(entry);
+      change(updated);
+      updated.updatedAt = new Date().toISOString();
+      entries.set(id, updated);
+      return copy(updated);
+    },
+
+    async listByOrder(orderId) {
+      return [...entries.values()]
+        .filter(entry => entry.orderId === orderId)
+        .sort(byCreatedAt)
+        .map(copy);
+    },
+
+    // Latest entry of `type` recorded under an idempotency key, leaving out
+    // failed ones that were free to be retried
+    async findByIdempotencyKey(type, idempotencyKey) {
+      const matches = [...entries.values()]
+        .filter(entry => entry.type === type && entry.idempotencyKey === idempotencyKey && entry.status !== 'error')
+        .sort(byCreatedAt);
+      return matches.length > 0 ? copy(matches[matches.length - 1]) : null;
+    },
+
+    // Number of entries made for a customer since `since` (an ISO timestamp),
+    // leaving out those in one of `excludeStatuses`
+    async countByCustomerSince(customerEmail, since, excludeStatuses = []) {
+      const start = Date.parse(since);
+      return [...entries.values()]
+        .filter(entry => entry.customerEmail === customerEmail &&
+          Date.parse(entry.createdAt) >= start &&
+          !excludeStatuses.includes(entry.status))
+        .length;
+    },
+
+    // Authorizations in one of `statuses` whose expiresAt has passed
+    async listExpiredAuthorizations(statuses) {
+      const now = Date.now();
+      return [...entries.values()]
+        .filter(entry => entry.type === 'authorization' &&
+          statuses.includes(entry.status) &&
+          Date.parse(entry.expiresAt) <= now)
+        .slice(0, MAX_LIST_SIZE)
+        .map(copy);
+    }
+  };
+}
+
+function createElasticsearchLedger(esClient) {
+  function isStatus(error, statusCode) {
+    return Boolean(error.meta && error.meta.statusCode === statusCode);
+  }
+
+  async function read(id) {
+    try {
+      return await esClient.get({ index: LEDGER_INDEX, id });
+    } catch (error) {
+      if (isStatus(error, 404)) return null;
+      throw error;
+    }
+  }
+
+  return {
+    async setup() {
+      const exists = await esClient.indices.exists({ index: LEDGER_INDEX });
+      if (!exists) {
+        await esClient.indices.create({ index: LEDGER_INDEX, mappings: ledgerMapping });
+      }
+    },
+
+    async create(entry) {
+      const now = new Date().toISOString();
+      const stored = { createdAt: now, updatedAt: now, ...entry };
+      await esClient.create({
+        index: LEDGER_INDEX,
+        id: entry.id,
+        document: stored,
+        refresh: 'wait_for'
+      });
+      return stored;
+    },
+
+    async get(id) {
+      const result = await read(id);
+      return result ? result._source : null;
+    },
+
+    // Apply `change` to an entry and store the result. The write is
+    // conditional on the version that was read; when another writer got in
+    // between, the entry is read again and `change` re-applied.
+    async update(id, change) {
+      for (let attempt = 1; ; attempt++) {
+        const result = await read(id);
+        if (!result) throw new LedgerEntryNotFoundError(id);
+
+        const entry = result._source;
+        change(entry);
+        entry.updatedAt = new Date().toISOString();
+
+        try {
+          await esClient.index({
+            index: LEDGER_INDEX,
+            id,
+            document: entry,
+            if_seq_no: result._seq_no,
+            if_primary_term: result._primary_term,
+            refresh: 'wait_for'
+          });
+          return entry;
+        } catch (error) {
+          if (isStatus(error, 409) && attempt < MAX_UPDATE_ATTEMPTS) continue;
+          throw error;
+        }
+      }
+    },
+
+    async listByOrder(orderId) {
+      const result = await esClient.search({
+        index: LEDGER_INDEX,
+        query: { term: { orderId } },
+        sort: [{ createdAt: { order: 'asc' } }],
+        size: MAX_LIST_SIZE
+      });
+      return result.hits.hits.map(hit => hit._source);
+    },
+
+    // Latest entry of `type` recorded under an idempotency key, leaving out
+    // failed ones that were free to be retried
+    async findByIdempotencyKey(type, idempotencyKey) {
+      const result = await esClient.search({
+        index: LEDGER_INDEX,
+        query: {
+          bool: {
+            filter: [
+              { term: { type } },
+              { term: { idempotencyKey } }
+            ],
+            must_not: [{ term: { status: 'error' } }]
+          }
+        },
+        sort: [{ createdAt: { order: 'desc' } }],
+        size: 1
+      });
+      const hit = result.hits.hits[0];
+      return hit ? hit._source : null;
+    },
+
+    // Number of entries made for a customer since `since` (an ISO timestamp),
+    // leaving out those in one of `excludeStatuses`
+    async countByCustomerSince(customerEmail, since, excludeStatuses = []) {
+      const result = await esClient.count({
+        index: LEDGER_INDEX,
+        query: {
+          bool: {
+            filter: [
+              { term: { customerEmail } },
+              { range: { createdAt: { gte: since } } }
+            ],
+            must_not: [{ terms: { status: excludeStatuses } }]
+          }
+        }
+      });
+      return result.count;
+    },
+
+    // Authorizations in one of `statuses` whose expiresAt has passed
+    async listExpiredAuthorizations(statuses) {
+      const result = await esClient.search({
+        index: LEDGER_INDEX,
+        query: {
+          bool: {
+            filter: [
+              { term: { type: 'authorization' } },
+              { terms: { status: statuses } },
+              { range: { expiresAt: { lte: 'now' } } }
+            ]
+          }
+        },
+        size: MAX_LIST_SIZE
+      });
+      return result.hits.hits.map(hit => hit._source);
+    }
+  };
+}
+
+module.exports = {
+  LEDGER_INDEX,
+  LedgerEntryNotFoundError,
+  createMemoryLedger,
+  createElasticsearchLedger
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+// Payment gateway providers
+//
+// A provider moves money for one gateway operation at a time:
+//
+//   provider.process(request, span) -> Promise<{ outcome, reason }>
+//
+// `request` holds the operation ('charge', 'authorize', 'capture', 'refund',
+// 'void' or 'release'), amount, currency, orderId, transactionId,
+// authorizationId, cardToken and the attempt number. `outcome` is 'approved'
+// or 'declined', with an optional decline `reason`. Gateway failures such as
+// timeouts are thrown; payment-svc retries them.
+//
+// Providers are registered by name with a factory and picked through the
+// PAYMENT_PROVIDER setting.
+
+const fs = require('fs');
+const { createFakeProvider } = require('./fake-provider');
+
+const factories = new Map();
+
+class UnknownProviderError extends Error {
+  constructor(name) {
+    super(`Unknown payment provider: ${name}. Registered providers: ${[...factories.keys()].join(', ')}`);
+    this.name = 'UnknownProviderError';
+  }
+}
+
+// Register a provider factory: (options) => provider
+function registerProvider(name, factory) {
+  if (factories.has(name)) {
+    throw new Error(`Payment provider already registered: ${name}`);
+  }
+  factories.set(name, factory);
+}
+
+function createProvider(name, options = {}) {
+  const factory = factories.get(name);
+  if (!factory) throw new UnknownProviderError(name);
+
+  const provider = factory(options);
+  if (!provider || typeof provider.process !== 'function') {
+    throw new Error(`Payment provider ${name} does not implement process()`);
+  }
+  return provider;
+}
+
+// Provider options come from PAYMENT_PROVIDER_OPTIONS (inline JSON) or
+// PAYMENT_PROVIDER_OPTIONS_FILE (path to a JSON file)
+function loadProviderOptions(env = process.env) {
+  if (env.PAYMENT_PROVIDER_OPTIONS) {
+    return JSON.parse(env.PAYMENT_PROVIDER_OPTIONS);
+  }
+  if (env.PAYMENT_PROVIDER_OPTIONS_FILE) {
+    return JSON.parse(fs.readFileSync(env.PAYMENT_PROVIDER_OPTIONS_FILE, 'utf8'));
+  }
+  return {};
+}
+
+function listProviders() {
+  return [...factories.keys()];
+}
+
+registerProvider('fake', createFakeProvider);
+
+module.exports = {
+  UnknownProviderError,
+  registerProvider,
+  createProvider,
+  listProviders,
+  loadProviderOptions
+};
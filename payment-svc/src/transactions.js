@@ -0,0 +1,458 @@
+'use strict';
+
+// Charge, authorization, refund and void bookkeeping on top of the payment
+// ledger
+//
+// A charge entry moves through these statuses:
+//
+//   approved --refund--> partially_refunded --refund--> refunded
+//   approved --void----> voiding --> voided
+//
+// An authorization holds funds without taking them. Each capture turns part
+// of it into a charge entry of its own, which can then be refunded:
+//
+//   authorized --capture--> partially_captured --capture--> captured
+//   authorized / partially_captured --release--> releasing --> released
+//   authorized / partially_captured --(expiresAt passes)--> expired
+//
+// Authorizations the fraud check holds for review wait for a decision. An
+// approved one is sent to the provider then:
+//
+//   review --approve--> reviewing --> authorized (or declined by the provider)
+//   review --decline--> reviewing --> declined
+//
+// A review that fails midway goes back to review. One left reviewing by a
+// crash is taken over after REVIEW_TIMEOUT_MS.
+//
+// Declined and failed charges and authorizations are recorded too, but
+// nothing can be done with them. Declined ones keep the decline reason.
+// Amounts are added up in the currency's minor units (cents, or fils for
+// KWD) to avoid floating point drift when partial refunds and captures add up.
+
+const { LedgerEntryNotFoundError } = require('./ledger');
+const { minorUnits } = require('./currencies');
+
+const VOID_WINDOW_MS = parseInt(process.env.VOID_WINDOW_MS || '86400000', 10);
+const AUTHORIZATION_TTL_MS = parseInt(process.env.AUTHORIZATION_TTL_MS || '604800000', 10);
+const REVIEW_TIMEOUT_MS = parseInt(process.env.REVIEW_TIMEOUT_MS || '300000', 10);
+
+const REFUNDABLE = ['approved', 'partially_refunded'];
+const CAPTURABLE = ['authorized', 'partially_captured'];
+// Payments that did not go through, left out of velocity counts
+const UNSUCCESSFUL = ['declined', 'review', 'reviewing', 'error'];
+
+class TransactionNotFoundError extends Error {
+  constructor(transactionId) {
+    super(`Transaction not found: ${transactionId}`);
+    this.name = 'TransactionNotFoundError';
+  }
+}
+
+class TransactionStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransactionStateError';
+  }
+}
+
+function toMinor(amount, currency) {
+  return Math.round(amount * 10 ** minorUnits(currency));
+}
+
+function fromMinor(minor, currency) {
+  return minor / 10 ** minorUnits(currency);
+}
+
+// a + b, added up in minor units
+function addAmounts(a, b, currency) {
+  return fromMinor(toMinor(a, currency) + toMinor(b, currency), currency);
+}
+
+function remainingMinor({ amount, refundedAmount, pendingRefundAmount, currency }) {
+  return toMinor(amount, currency) - toMinor(refundedAmount, currency) - toMinor(pendingRefundAmount, currency);
+}
+
+function uncapturedMinor({ amount, capturedAmount, pendingCaptureAmount, currency }) {
+  return toMinor(amount, currency) - toMinor(capturedAmount, currency) - toMinor(pendingCaptureAmount, currency);
+}
+
+function isExpired(authorization) {
+  return Date.parse(authorization.expiresAt) <= Date.now();
+}
+
+function createTransactionRegistry(ledger) {
+  // Change a ledger entry of the given type, translating a missing entry
+  async function updateEntry(transactionId, type, change) {
+    try {
+      return await ledger.update(transactionId, (entry) => {
+        if (entry.type !== type) {
+          throw new TransactionStateError(`Transaction ${transactionId} is a ${entry.type}, not a ${type}`);
+        }
+        change(entry);
+      });
+    } catch (error) {
+      if (error instanceof LedgerEntryNotFoundError) {
+        throw new TransactionNotFoundError(transactionId);
+      }
+      throw error;
+    }
+  }
+
+  const updateCharge = (transactionId, change) => updateEntry(transactionId, 'charge', change);
+  const updateAuthorization = (authorizationId, change) => updateEntry(authorizationId, 'authorization', change);
+
+  return {
+    // Record a charge with its outcome ('approved', 'declined', 'review' or
+    // 'error') and fraud check result. Captures pass the authorization they
+    // were taken from.
+    async recordCharge({
+      transactionId, orderId, amount, currency, status, reason, attempts,
+      idempotencyKey, authorizationId, customerEmail, fraud
+    }) {
+      return ledger.create({
+        id: transactionId,
+        type: 'charge',
+        orderId,
+        transactionId,
+        authorizationId: authorizationId || null,
+        amount,
+        currency,
+        status,
+        reason: reason || null,
+        idempotencyKey: idempotencyKey || null,
+        customerEmail: customerEmail || null,
+        fraudScore: fraud ? fraud.score : null,
+        fraudRules: fraud ? fraud.rules : [],
+        refundedAmount: 0,
+        pendingRefundAmount: 0,
+        attempts
+      });
+    },
+
+    // Record an authorization and its fraud check result. Approved ones
+    // become 'authorized' until they are captured, released or expire. Ones
+    // held for review keep the card token, to authorize it if approved.
+    async recordAuthorization({
+      authorizationId, orderId, amount, currency, status, reason, attempts,
+      idempotencyKey, customerEmail, cardToken, fraud
+    }) {
+      return ledger.create({
+        id: authorizationId,
+        type: 'authorization',
+        orderId,
+        transactionId: authorizationId,
+        amount,
+        currency,
+        status: status === 'approved' ? 'authorized' : status,
+        reason: reason || null,
+        idempotencyKey: idempotencyKey || null,
+        customerEmail: customerEmail || null,
+        fraudScore: fraud ? fraud.score : null,
+        fraudRules: fraud ? fraud.rules : [],
+        capturedAmount: 0,
+        pendingCaptureAmount: 0,
+        expiresAt: new Date(Date.now() + AUTHORIZATION_TTL_MS).toISOString(),
+        ...(status === 'review' && cardToken && { cardToken }),
+        attempts
+      });
+    },
+
+    // Record a refund or void made against a charge, or a release made
+    // against an authorization
+    async recordOperation(type, parent, { id, amount, status, reason, attempts, idempotencyKey }) {
+      return ledger.create({
+        id,
+        type,
+        orderId: parent.orderId,
+        transactionId: parent.id,
+        amount,
+        currency: parent.currency,
+        status,
+        reason: reason || null,
+        idempotencyKey: idempotencyKey || null,
+        attempts
+      });
+    },
+
+    // Hold a refund amount while it is sent to the gateway, so concurrent
+    // refunds cannot add up past the charged amount. An amount of 0 means
+    // everything that is left. Resolves to { charge, amount } with the
+    // amount held.
+    async holdRefund(transactionId, amount) {
+      let held;
+      const charge = await updateCharge(transactionId, (entry) => {
+        const { currency } = entry;
+        if (!REFUNDABLE.includes(entry.status)) {
+          throw new TransactionStateError(`Transaction ${transactionId} is ${entry.status} and cannot be refunded`);
+        }
+
+        const remaining = remainingMinor(entry);
+        const requested = amount > 0 ? toMinor(amount, currency) : remaining;
+        if (requested <= 0) {
+          throw new TransactionStateError(`Transaction ${transactionId} has nothing left to refund`);
+        }
+        if (requested > remaining) {
+          throw new TransactionStateError(
+            `Refund of ${fromMinor(requested, currency)} exceeds the ${fromMinor(remaining, currency)} ` +
+            `left on transaction ${transactionId}`
+          );
+        }
+
+        entry.pendingRefundAmount = fromMinor(toMinor(entry.pendingRefundAmount, currency) + requested, currency);
+        held = fromMinor(requested, currency);
+      });
+      return { charge, amount: held };
+    },
+
+    // Settle (approved) or drop (declined/failed) a held refund.
+    // Resolves to { refunded, remaining } for the charge.
+    async finishRefund(transactionId, amount, approved) {
+      const charge = await updateCharge(transactionId, (entry) => {
+        const { currency } = entry;
+        entry.pendingRefundAmount = addAmounts(entry.pendingRefundAmount, -amount, currency);
+        if (approved) {
+          entry.refundedAmount = addAmounts(entry.refundedAmount, amount, currency);
+          entry.status = toMinor(entry.refundedAmount, currency) === toMinor(entry.amount, currency)
+            ? 'refunded'
+            : 'partially_refunded';
+        }
+      });
+      return {
+        refunded: charge.refundedAmount,
+        remaining: fromMinor(remainingMinor(charge), charge.currency)
+      };
+    },
+
+    // Start voiding a charge that is not refunded and still inside the void
+    // window. Refunds are rejected until finishVoid() is called. Voiding an
+    // already voided charge reports `alreadyVoided` so the call can be repeated.
+    async beginVoid(transactionId) {
+      let alreadyVoided = false;
+      const charge = await updateCharge(transactionId, (entry) => {
+        const { currency } = entry;
+        if (entry.status === 'voided') {
+          alreadyVoided = true;
+          return;
+        }
+        if (entry.status === 'voiding') {
+          throw new TransactionStateError(`Transaction ${transactionId} is already being voided`);
+        }
+        if (entry.status !== 'approved' || toMinor(entry.pendingRefundAmount, currency) > 0) {
+          throw new TransactionStateError(`Transaction ${transactionId} is ${entry.status} and cannot be voided`);
+        }
+        if (Date.now() - Date.parse(entry.createdAt) > VOID_WINDOW_MS) {
+          throw new TransactionStateError(`Transaction ${transactionId} has settled; refund it instead`);
+        }
+        entry.status = 'voiding';
+      });
+      return { charge, alreadyVoided };
+    },
+
+    async finishVoid(transactionId, approved) {
+      return updateCharge(transactionId, (entry) => {
+        entry.status = approved ? 'voided' : 'approved';
+      });
+    },
+
+    // Hold part of an authorization while it is captured, so concurrent
+    // captures cannot take more than was authorized. An amount of 0 captures
+    // everything that is left. Resolves to { authorization, amount } with
+    // the amount held.
+    async holdCapture(authorizationId, amount) {
+      let held;
+      const authorization = await updateAuthorization(authorizationId, (entry) => {
+        const { currency } = entry;
+        if (!CAPTURABLE.includes(entry.status)) {
+          throw new TransactionStateError(`Authorization ${authorizationId} is ${entry.status} and cannot be captured`);
+        }
+        if (isExpired(entry)) {
+          throw new TransactionStateError(`Authorization ${authorizationId} has expired`);
+        }
+
+        const remaining = uncapturedMinor(entry);
+        const requested = amount > 0 ? toMinor(amount, currency) : remaining;
+        if (requested <= 0) {
+          throw new TransactionStateError(`Authorization ${authorizationId} has nothing left to capture`);
+        }
+        if (requested > remaining) {
+          throw new TransactionStateError(
+            `Capture of ${fromMinor(requested, currency)} exceeds the ${fromMinor(remaining, currency)} ` +
+            `left on authorization ${authorizationId}`
+          );
+        }
+
+        entry.pendingCaptureAmount = fromMinor(toMinor(entry.pendingCaptureAmount, currency) + requested, currency);
+        held = fromMinor(requested, currency);
+      });
+      return { authorization, amount: held };
+    },
+
+    // Settle (approved) or drop (declined/failed) a held capture.
+    // Resolves to { captured, remaining } for the authorization.
+    async finishCapture(authorizationId, amount, approved) {
+      const authorization = await updateAuthorization(authorizationId, (entry) => {
+        const { currency } = entry;
+        entry.pendingCaptureAmount = addAmounts(entry.pendingCaptureAmount, -amount, currency);
+        if (approved) {
+          entry.capturedAmount = addAmounts(entry.capturedAmount, amount, currency);
+          entry.status = toMinor(entry.capturedAmount, currency) === toMinor(entry.amount, currency)
+            ? 'captured'
+            : 'partially_captured';
+        }
+      });
+      return {
+        captured: authorization.capturedAmount,
+        remaining: fromMinor(uncapturedMinor(authorization), authorization.currency)
+      };
+    },
+
+    // Start releasing whatever has not been captured. Releasing an
+    // authorization that was already released or has expired reports
+    // `alreadyReleased` so the call can be repeated.
+    async beginRelease(authorizationId) {
+      let alreadyReleased = false;
+      const authorization = await updateAuthorization(authorizationId, (entry) => {
+        const { currency } = entry;
+        if (entry.status === 'released' || entry.status === 'expired') {
+          alreadyReleased = true;
+          return;
+        }
+        if (entry.status === 'releasing') {
+          throw new TransactionStateError(`Authorization ${authorizationId} is already being released`);
+        }
+        if (!CAPTURABLE.includes(entry.status) || toMinor(entry.pendingCaptureAmount, currency) > 0) {
+          throw new TransactionStateError(`Authorization ${authorizationId} is ${entry.status} and cannot be released`);
+        }
+        entry.status = 'releasing';
+      });
+      return {
+        authorization,
+        amount: addAmounts(authorization.amount, -authorization.capturedAmount, authorization.currency),
+        alreadyReleased
+      };
+    },
+
+    async finishRelease(authorizationId, approved) {
+      return updateAuthorization(authorizationId, (entry) => {
+        const { currency } = entry;
+        if (approved) {
+          entry.status = 'released';
+        } else {
+          entry.status = toMinor(entry.capturedAmount, currency) > 0 ? 'partially_captured' : 'authorized';
+        }
+      });
+    },
+
+    // What has been refunded and what is left of a charge
+    async refundTotals(transactionId) {
+      const charge = await ledger.get(transactionId);
+      if (!charge) throw new TransactionNotFoundError(transactionId);
+      return { refunded: charge.refundedAmount, remaining: fromMinor(remainingMinor(charge), charge.currency) };
+    },
+
+    // What has been captured and what is left of an authorization
+    async captureTotals(authorizationId) {
+      const authorization = await ledger.get(authorizationId);
+      if (!authorization) throw new TransactionNotFoundError(authorizationId);
+      return {
+        captured: authorization.capturedAmount,
+        remaining: fromMinor(uncapturedMinor(authorization), authorization.currency)
+      };
+    },
+
+    // Start deciding on an authorization held for review, so two reviewers
+    // cannot both resolve it. One that was already resolved reports
+    // `alreadyResolved` so the call can be repeated. A review started more
+    // than REVIEW_TIMEOUT_MS ago was abandoned and can be started again.
+    async beginReview(authorizationId) {
+      let alreadyResolved = false;
+      const authorization = await updateAuthorization(authorizationId, (entry) => {
+        if (entry.reviewedAt) {
+          alreadyResolved = true;
+          return;
+        }
+        const abandoned = entry.status === 'reviewing' &&
+          !(Date.now() - Date.parse(entry.reviewStartedAt) <= REVIEW_TIMEOUT_MS);
+        if (entry.status === 'reviewing' && !abandoned) {
+          throw new TransactionStateError(`Authorization ${authorizationId} is already being reviewed`);
+        }
+        if (entry.status !== 'review' && !abandoned) {
+          throw new TransactionStateError(`Authorization ${authorizationId} is ${entry.status} and not held for review`);
+        }
+        entry.status = 'reviewing';
+        entry.reviewStartedAt = new Date().toISOString();
+      });
+      return { authorization, alreadyResolved };
+    },
+
+    // Record the decision on a review: `status` is 'approved' when the
+    // provider authorized it, 'declined', or 'error' to hold it for review
+    // again. Approved authorizations expire AUTHORIZATION_TTL_MS from now.
+    async finishReview(authorizationId, { status, reason, attempts, reviewedBy }) {
+      return updateAuthorization(authorizationId, (entry) => {
+        entry.attempts = [...(entry.attempts || []), ...attempts];
+        if (status === 'error') {
+          entry.status = 'review';
+          return;
+        }
+
+        entry.status = status === 'approved' ? 'authorized' : status;
+        entry.reason = reason || null;
+        entry.reviewedBy = reviewedBy || null;
+        entry.reviewedAt = new Date().toISOString();
+        delete entry.cardToken;
+        if (status === 'approved') {
+          entry.expiresAt = new Date(Date.now() + AUTHORIZATION_TTL_MS).toISOString();
+        }
+      });
+    },
+
+    // Mark authorizations past their expiry as expired. Resolves to the ids
+    // that were expired.
+    async expireAuthorizations() {
+      const expired = [];
+      for (const candidate of await ledger.listExpiredAuthorizations(CAPTURABLE)) {
+        try {
+          await updateAuthorization(candidate.id, (entry) => {
+            const { currency } = entry;
+            // Captured or released since the search ran, or mid-capture
+            if (!CAPTURABLE.includes(entry.status) || toMinor(entry.pendingCaptureAmount, currency) > 0) {
+              throw new TransactionStateError(`Authorization ${entry.id} is ${entry.status}`);
+            }
+            entry.status = 'expired';
+          });
+          expired.push(candidate.id);
+        } catch (error) {
+          if (!(error instanceof TransactionStateError)) throw error;
+        }
+      }
+      return expired;
+    },
+
+    async getTransaction(transactionId) {
+      return ledger.get(transactionId);
+    },
+
+    // The charge, authorization or refund last recorded under an idempotency
+    // key, unless it failed
+    async findByIdempotencyKey(type, idempotencyKey) {
+      return ledger.findByIdempotencyKey(type, idempotencyKey);
+    },
+
+    async listTransactionsByOrder(orderId) {
+      return ledger.listByOrder(orderId);
+    },
+
+    // Charges and authorizations of a customer that went through within the
+    // last `windowMs`
+    async countRecentPayments(customerEmail, windowMs) {
+      return ledger.countByCustomerSince(customerEmail, new Date(Date.now() - windowMs).toISOString(), UNSUCCESSFUL);
+    }
+  };
+}
+
+module.exports = {
+  TransactionNotFoundError,
+  TransactionStateError,
+  createTransactionRegistry
+};
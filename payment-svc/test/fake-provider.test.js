@@ -0,0 +1,89 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeProvider } = require('../src/fake-provider');
+
+const span = { setAttribute() {} };
+const noLatency = { distribution: 'fixed', ms: 0 };
+const request = overrides => ({ operation: 'charge', amount: 10, currency: 'USD', attempt: 1, ...overrides });
+
+describe('createFakeProvider', () => {
+  it('approves requests no rule matches', async () => {
+    const provider = createFakeProvider({ latency: noLatency });
+    assert.deepEqual(await provider.process(request(), span), { outcome: 'approved' });
+  });
+
+  it('lets the first matching rule decide', async () => {
+    const provider = createFakeProvider({
+      latency: noLatency,
+      rules: [
+        { match: { amount: 13.13 }, outcome: 'decline', reason: 'insufficient_funds' },
+        { match: { cardToken: ['tok_decline', 'tok_stolen'] }, outcome: 'decline' },
+        { match: { minAmount: 13, maxAmount: 14 }, outcome: 'error', message: 'Gateway 503' }
+      ]
+    });
+
+    assert.deepEqual(await provider.process(request({ amount: 13.13 }), span),
+      { outcome: 'declined', reason: 'insufficient_funds' });
+    assert.deepEqual(await provider.process(request({ cardToken: 'tok_stolen' }), span),
+      { outcome: 'declined', reason: 'card_declined' });
+    await assert.rejects(provider.process(request({ amount: 13.5 }), span), /Gateway 503/);
+    assert.deepEqual(await provider.process(request({ amount: 14.01 }), span), { outcome: 'approved' });
+  });
+
+  it('matches attempts, operations, currencies and order id patterns', async () => {
+    const provider = createFakeProvider({
+      latency: noLatency,
+      rules: [{
+        match: { operation: 'authorize', currency: 'EUR', orderId: '^flaky-', attempt: [1, 2] },
+        outcome: 'error'
+      }]
+    });
+    const flaky = attempt => request({ operation: 'authorize', currency: 'EUR', orderId: 'flaky-1', attempt });
+
+    await assert.rejects(provider.process(flaky(1), span));
+    await assert.rejects(provider.process(flaky(2), span));
+    assert.deepEqual(await provider.process(flaky(3), span), { outcome: 'approved' });
+    assert.deepEqual(await provider.process({ ...flaky(1), orderId: 'steady-1' }, span), { outcome: 'approved' });
+    assert.deepEqual(await provider.process({ ...flaky(1), currency: 'USD' }, span), { outcome: 'approved' });
+  });
+
+  it('times out after the rule\'s timeout', async () => {
+    const provider = createFakeProvider({ latency: noLatency, rules: [{ outcome: 'timeout', timeoutMs: 5 }] });
+    await assert.rejects(provider.process(request(), span), /Payment gateway connection timeout/);
+  });
+
+  it('draws the same outcomes and latencies for the same seed', async () => {
+    const options = {
+      seed: 42,
+      latency: { distribution: 'uniform', min: 0, max: 3 },
+      rules: [{ outcome: 'decline', probability: 0.5 }]
+    };
+    const run = async () => {
+      const provider = createFakeProvider(options);
+      const latencies = [];
+      const recording = {
+        setAttribute(name, value) {
+          if (name === 'payment.provider.latency_ms') latencies.push(value);
+        }
+      };
+      const outcomes = [];
+      for (let i = 0; i < 20; i++) {
+        outcomes.push((await provider.process(request(), recording)).outcome);
+      }
+      return { outcomes, latencies };
+    };
+
+    const first = await run();
+    assert.deepEqual(await run(), first);
+    assert.ok(first.outcomes.includes('approved') && first.outcomes.includes('declined'));
+  });
+
+  it('rejects rules it does not understand', () => {
+    assert.throws(() => createFakeProvider({ rules: [{ match: { amout: 1 } }] }), /Unknown match keys.*amout/);
+    assert.throws(() => createFakeProvider({ rules: [{ outcome: 'explode' }] }), /Unknown outcome/);
+    assert.throws(() => createFakeProvider({ rules: [{ probability: 2 }] }), /between 0 and 1/);
+    assert.throws(() => createFakeProvider({ latency: { distribution: 'poisson' } }), /Unknown latency distribution/);
+  });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryLedger } = require('../src/ledger');
+const { TransactionNotFoundError, TransactionStateError, createTransactionRegistry } = require('../src/transactions');
+
+describe('transaction registry', () => {
+  let transactions;
+
+  beforeEach(() => {
+    transactions = createTransactionRegistry(createMemoryLedger());
+  });
+
+  const charge = (amount, currency = 'USD') => transactions.recordCharge({
+    transactionId: 'txn-1', orderId: 'order-1', amount, currency, status: 'approved', attempts: []
+  });
+  const authorization = (amount, status = 'approved', currency = 'USD') => transactions.recordAuthorization({
+    authorizationId: 'auth-1', orderId: 'order-1', amount, currency, status, attempts: []
+  });
+
+  async function refund(amount) {
+    const held = await transactions.holdRefund('txn-1', amount);
+    return transactions.finishRefund('txn-1', held.amount, true);
+  }
+
+  it('adds partial refunds up without floating point drift', async () => {
+    await charge(0.3);
+    await refund(0.1);
+    await refund(0.1);
+    assert.deepEqual(await refund(0.1), { refunded: 0.3, remaining: 0 });
+    assert.equal((await transactions.getTransaction('txn-1')).status, 'refunded');
+  });
+
+  it('refunds what is left when no amount is given', async () => {
+    await charge(25);
+    await refund(10);
+    assert.deepEqual(await refund(0), { refunded: 25, remaining: 0 });
+  });
+
+  it('counts in the currency\'s own minor units', async () => {
+    await charge(1.005, 'KWD');
+    await refund(0.001);
+    assert.deepEqual(await transactions.refundTotals('txn-1'), { refunded: 0.001, remaining: 1.004 });
+  });
+
+  it('keeps held refunds from adding up past the charge', async () => {
+    await charge(10);
+    await transactions.holdRefund('txn-1', 6);
+    await assert.rejects(transactions.holdRefund('txn-1', 5), /exceeds the 4 left/);
+
+    // A declined refund frees its hold again
+    await transactions.finishRefund('txn-1', 6, false);
+    assert.deepEqual(await refund(10), { refunded: 10, remaining: 0 });
+    await assert.rejects(transactions.holdRefund('txn-1', 0), TransactionStateError);
+  });
+
+  it('captures an authorization in parts', async () => {
+    await authorization(50);
+    const first = await transactions.holdCapture('auth-1', 20);
+    assert.deepEqual(await transactions.finishCapture('auth-1', first.amount, true), { captured: 20, remaining: 30 });
+    assert.equal((await transactions.getTransaction('auth-1')).status, 'partially_captured');
+
+    await assert.rejects(transactions.holdCapture('auth-1', 30.01), /exceeds the 30 left/);
+    const rest = await transactions.holdCapture('auth-1', 0);
+    assert.deepEqual(await transactions.finishCapture('auth-1', rest.amount, true), { captured: 50, remaining: 0 });
+    assert.equal((await transactions.getTransaction('auth-1')).status, 'captured');
+  });
+
+  it('releases what has not been captured, once', async () => {
+    await authorization(50);
+    const held = await transactions.holdCapture('auth-1', 20);
+    await transactions.finishCapture('auth-1', held.amount, true);
+
+    const release = await transactions.beginRelease('auth-1');
+    assert.equal(release.amount, 30);
+    await assert.rejects(transactions.beginRelease('auth-1'), /already being released/);
+    await transactions.finishRelease('auth-1', true);
+    assert.equal((await transactions.beginRelease('auth-1')).alreadyReleased, true);
+  });
+
+  it('lets one reviewer at a time resolve a held authorization', async () => {
+    await authorization(50, 'review');
+    await transactions.beginReview('auth-1');
+    await assert.rejects(transactions.beginReview('auth-1'), /already being reviewed/);
+
+    // A review that fails goes back to review
+    await transactions.finishReview('auth-1', { status: 'error', attempts: [] });
+    await transactions.beginReview('auth-1');
+    await transactions.finishReview('auth-1', { status: 'approved', attempts: [], reviewedBy: 'staff-1' });
+
+    const resolved = await transactions.getTransaction('auth-1');
+    assert.equal(resolved.status, 'authorized');
+    assert.equal(resolved.reviewedBy, 'staff-1');
+    assert.equal((await transactions.beginReview('auth-1')).alreadyResolved, true);
+  });
+
+  it('takes over a review abandoned past the timeout', async (t) => {
+    await authorization(50, 'review');
+    await transactions.beginReview('auth-1');
+
+    const later = Date.now() + 10 * 60 * 1000;
+    t.mock.method(Date, 'now', () => later);
+    const { authorization: taken } = await transactions.beginReview('auth-1');
+    assert.equal(taken.status, 'reviewing');
+  });
+
+  it('tells charges, authorizations and unknown ids apart', async () => {
+    await authorization(50);
+    await assert.rejects(transactions.holdRefund('auth-1', 1), /is a authorization, not a charge/);
+    await assert.rejects(transactions.holdRefund('missing', 1), TransactionNotFoundError);
+  });
+});
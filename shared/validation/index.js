@@ -0,0 +1,336 @@
+'use strict';
+
+// Request validation against JSON Schemas
+//
+// Every route declares the schemas of its path parameters, query parameters
+// and body in api-schema.js, which also feeds the OpenAPI document printed by
+// openapi.js. The middleware returned by `requestValidator(routes)(key)`
+// checks a request against its route's schemas and answers 400 with an
+// RFC 7807 problem document listing each invalid field:
+//
+//   {
+//     "type": "urn:mini-shop:problem:invalid-request",
+//     "title": "Invalid request",
+//     "status": 400,
+//     "detail": "items[0].quantity must be >= 1",
+//     "instance": "/checkout",
+//     "errors": [{ "in": "body", "field": "items[0].quantity", "message": "must be >= 1" }]
+//   }
+//
+// Every other error response is a problem document too, sent with
+// `sendProblem` and one of the PROBLEM_TYPES, e.g. not-found or conflict.
+//
+// Schemas are checked with ajv. Its messages are kept, except that missing
+// and unexpected properties are reported on the property itself, enum errors
+// list the allowed values, and an anyOf whose branches only miss required
+// fields names the alternatives.
+//
+// Path and query parameters arrive as strings. They are converted to the
+// type their schema declares, arrays from comma-separated lists, and the
+// converted values replace req.params and req.query.
+//
+// api-gateway, order-svc and catalog-svc depend on this package as
+// @mini-shop/validation, so they validate and report errors the same way.
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { trace } = require('@opentelemetry/api');
+
+const PROBLEM_TYPE_PREFIX = 'urn:mini-shop:problem:';
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// Status and title of each problem type
+const PROBLEM_TYPES = {
+  'invalid-request': { status: 400, title: 'Invalid request' },
+  'payment-declined': { status: 400, title: 'Payment declined' },
+  'unauthorized': { status: 401, title: 'Unauthorized' },
+  'forbidden': { status: 403, title: 'Forbidden' },
+  'not-found': { status: 404, title: 'Not found' },
+  'conflict': { status: 409, title: 'Conflict' },
+  'insufficient-stock': { status: 409, title: 'Insufficient stock' },
+  'precondition-failed': { status: 412, title: 'Precondition failed' },
+  'payload-too-large': { status: 413, title: 'Payload too large' },
+  'unsupported-media-type': { status: 415, title: 'Unsupported media type' },
+  'idempotency-key-reused': { status: 422, title: 'Idempotency key reused' },
+  'precondition-required': { status: 428, title: 'Precondition required' },
+  'too-many-requests': { status: 429, title: 'Too many requests' },
+  'internal': { status: 500, title: 'Internal error' },
+  'bad-gateway': { status: 502, title: 'Bad gateway' },
+  'unavailable': { status: 503, title: 'Service unavailable' }
+};
+
+const ajv = new Ajv({ allErrors: true, verbose: true });
+addFormats(ajv, ['email', 'uuid']);
+
+// Schema of the problem documents, for API documentation
+const problemSchema = {
+  type: 'object',
+  required: ['type', 'title', 'status'],
+  properties: {
+    type: { type: 'string' },
+    title: { type: 'string' },
+    status: { type: 'integer' },
+    detail: { type: 'string' },
+    instance: { type: 'string' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['in', 'field', 'message'],
+        properties: {
+          in: { type: 'string', enum: ['path', 'query', 'body'] },
+          field: { type: 'string' },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// items[0].quantity for /items/0/quantity
+function fieldOf(instancePath) {
+  return instancePath.split('/').slice(1).reduce((field, segment) => {
+    const name = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    return /^\d+$/.test(name) ? `${field}[${name}]` : (field ? `${field}.${name}` : name);
+  }, '');
+}
+
+function toError({ keyword, instancePath, params, message }) {
+  const field = fieldOf(instancePath);
+  switch (keyword) {
+    case 'required':
+      return { field: fieldOf(`${instancePath}/${params.missingProperty}`), message: 'is required' };
+    case 'additionalProperties':
+      return { field: fieldOf(`${instancePath}/${params.additionalProperty}`), message: 'is not allowed' };
+    case 'enum':
+      return { field, message: `must be one of: ${params.allowedValues.join(', ')}` };
+    default:
+      return { field, message };
+  }
+}
+
+// Replace the errors of each failed anyOf with those of the branch closest
+// to matching. When every branch only misses required fields, one error
+// names the alternatives instead.
+function collapseAnyOf(ajvErrors) {
+  const failed = ajvErrors.filter(error => error.keyword === 'anyOf');
+  let remaining = ajvErrors.filter(error => error.keyword !== 'anyOf');
+  const collapsed = [];
+
+  for (const anyOf of failed) {
+    const prefix = `${anyOf.schemaPath}/`;
+    const branches = anyOf.schema.map(() => []);
+    remaining = remaining.filter(error => {
+      if (!error.schemaPath.startsWith(prefix)) return true;
+      branches[Number(error.schemaPath.slice(prefix.length).split('/')[0])].push(error);
+      return false;
+    });
+
+    if (branches.every(errors => errors.every(error => error.keyword === 'required'))) {
+      const alternatives = anyOf.schema.map(branch => branch.required.join(' and '));
+      collapsed.push({ field: fieldOf(anyOf.instancePath), message: `must include ${alternatives.join(', or ')}` });
+    } else {
+      const closest = branches.reduce((best, errors) => (errors.length < best.length ? errors : best));
+      collapsed.push(...closest.map(toError));
+    }
+  }
+  return [...remaining.map(toError), ...collapsed];
+}
+
+// Validate a value against a schema. Returns a list of { field, message }
+// errors, empty when the value is valid.
+function validate(schema, value) {
+  const check = ajv.compile(schema);
+  return check(value) ? [] : collapseAnyOf(check.errors);
+}
+
+// Convert a path or query parameter to the type of its schema. Values that
+// do not convert are left as they are for validation to report.
+function coerce(schema, value) {
+  if (!schema || value === undefined) return value;
+  if (schema.type === 'array') {
+    // ?tags=a,b and ?tags=a&tags=b alike
+    return [].concat(value)
+      .flatMap(item => (typeof item === 'string' ? item.split(',').map(part => part.trim()) : [item]))
+      .filter(item => item !== '')
+      .map(item => coerce(schema.items, item));
+  }
+  if (typeof value !== 'string') return value;
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    default:
+      return value;
+  }
+}
+
+// Converted copy of req.params or req.query. Empty parameters of types other
+// than string count as absent.
+function coerceParameters(schema, values) {
+  const coerced = { ...values };
+  for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+    if (coerced[name] === '' && propertySchema.type !== 'string') {
+      delete coerced[name];
+    } else if (coerced[name] !== undefined) {
+      coerced[name] = coerce(propertySchema, coerced[name]);
+    }
+  }
+  return coerced;
+}
+
+// Send an RFC 7807 problem document of one of the PROBLEM_TYPES. `errors`
+// are { in, field, message } entries; the detail lists them unless one is
+// given. Any other members, such as the `inventory` of an insufficient-stock
+// problem, are added as extension members.
+function sendProblem(res, { type = 'invalid-request', detail, errors, ...extensions }) {
+  const { status, title } = PROBLEM_TYPES[type] || {};
+  if (!status) {
+    throw new Error(`Unknown problem type: ${type}`);
+  }
+  const problem = {
+    type: `${PROBLEM_TYPE_PREFIX}${type}`,
+    title,
+    status,
+    ...((detail || errors) && {
+      detail: detail || errors.map(error => `${error.field || error.in} ${error.message}`).join('; ')
+    }),
+    instance: res.req.baseUrl + res.req.path,
+    ...(errors && { errors }),
+    ...extensions
+  };
+  return res.status(status).type(PROBLEM_CONTENT_TYPE).json(problem);
+}
+
+// Returns `validate(key)`, which makes the validation middleware of the
+// route `key` ("<METHOD> <path>") in `routes`. Unknown keys throw, so a route
+// cannot lose its schema to a typo.
+function requestValidator(routes) {
+  return (key) => {
+    const route = routes[key];
+    if (!route) {
+      throw new Error(`No request schema for route: ${key}`);
+    }
+
+    return (req, res, next) => {
+      const errors = [];
+      const params = route.params ? coerceParameters(route.params, req.params) : req.params;
+      const query = route.query ? coerceParameters(route.query, req.query) : req.query;
+
+      const check = (location, schema, value) => {
+        if (!schema) return;
+        for (const error of validate(schema, value)) {
+          errors.push({ in: location, ...error });
+        }
+      };
+      check('path', route.params, params);
+      check('query', route.query, query);
+      check('body', route.body, req.body);
+
+      if (errors.length > 0) {
+        const span = trace.getActiveSpan();
+        if (span) {
+          span.addEvent('request.invalid', {
+            'validation.route': key,
+            'validation.fields': errors.map(error => `${error.in}:${error.field}`)
+          });
+        }
+        return sendProblem(res, { errors });
+      }
+
+      req.params = params;
+      req.query = query;
+      next();
+    };
+  };
+}
+
+// Whether an axios response carries a problem document
+function isProblemResponse(response) {
+  return Boolean(response && String(response.headers['content-type'] || '').startsWith(PROBLEM_CONTENT_TYPE));
+}
+
+// OpenAPI parameters for the properties of a params or query schema
+function openApiParameters(location, schema) {
+  if (!schema) return [];
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, propertySchema]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    ...(propertySchema.description && { description: propertySchema.description }),
+    schema: propertySchema,
+    ...(propertySchema.type === 'array' && { style: 'form', explode: false })
+  }));
+}
+
+// OpenAPI 3.1 document for `routes`. Route entries may carry `summary`,
+// `description`, `security`, `consumes` (request body media types other than
+// JSON) and `responses` (status to description).
+function openApiDocument({ info, routes, securitySchemes }) {
+  const paths = {};
+  for (const [key, route] of Object.entries(routes)) {
+    const [method, path] = key.split(' ');
+    const parameters = [
+      ...openApiParameters('path', route.params),
+      ...openApiParameters('query', route.query)
+    ];
+
+    const responses = {};
+    for (const [status, description] of Object.entries(route.responses || {})) {
+      responses[status] = Number(status) >= 400
+        ? { description, content: { [PROBLEM_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/Problem' } } } }
+        : { description };
+    }
+    if (route.params || route.query || route.body) {
+      responses[400] = {
+        description: 'Invalid request',
+        content: { [PROBLEM_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/Problem' } } }
+      };
+    }
+
+    let requestBody;
+    if (route.body) {
+      requestBody = { required: true, content: { 'application/json': { schema: route.body } } };
+    } else if (route.consumes) {
+      requestBody = {
+        required: true,
+        content: Object.fromEntries(route.consumes.map(type => [type, { schema: { type: 'string' } }]))
+      };
+    }
+
+    const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = {
+      ...paths[openApiPath],
+      [method.toLowerCase()]: {
+        summary: route.summary,
+        ...(route.description && { description: route.description }),
+        ...(route.security && { security: route.security }),
+        ...(parameters.length > 0 && { parameters }),
+        ...(requestBody && { requestBody }),
+        responses
+      }
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info,
+    paths,
+    components: {
+      schemas: { Problem: problemSchema },
+      ...(securitySchemes && { securitySchemes })
+    }
+  };
+}
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  validate,
+  sendProblem,
+  requestValidator,
+  isProblemResponse,
+  openApiDocument
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROBLEM_CONTENT_TYPE, validate, sendProblem, requestValidator, openApiDocument } = require('..');
+
+// Just enough of an Express response to capture what is sent
+function fakeResponse(req = { baseUrl: '', path: '/checkout' }) {
+  const res = {
+    req,
+    sent: null,
+    status(code) { this.statusCode = code; return this; },
+    type(contentType) { this.contentType = contentType; return this; },
+    json(body) { this.sent = body; return this; }
+  };
+  return res;
+}
+
+describe('validate', () => {
+  it('reports missing and unexpected properties on the property itself', () => {
+    const schema = {
+      type: 'object',
+      required: ['quantity'],
+      additionalProperties: false,
+      properties: { quantity: { type: 'integer' }, items: { type: 'array', items: { type: 'integer' } } }
+    };
+    assert.deepEqual(validate(schema, { extra: 1, items: [1, 'x'] }), [
+      { field: 'quantity', message: 'is required' },
+      { field: 'extra', message: 'is not allowed' },
+      { field: 'items[1]', message: 'must be integer' }
+    ]);
+    assert.deepEqual(validate(schema, { quantity: 1 }), []);
+  });
+
+  it('lists the allowed values of an enum', () => {
+    const schema = { type: 'object', properties: { status: { enum: ['shipped', 'delivered'] } } };
+    assert.deepEqual(validate(schema, { status: 'lost' }), [
+      { field: 'status', message: 'must be one of: shipped, delivered' }
+    ]);
+  });
+
+  it('names the alternatives of an anyOf that only misses required fields', () => {
+    const schema = { type: 'object', anyOf: [{ required: ['cartId'] }, { required: ['items'] }] };
+    assert.deepEqual(validate(schema, {}), [{ field: '', message: 'must include cartId, or items' }]);
+  });
+});
+
+describe('sendProblem', () => {
+  it('sends a problem document of the given type with extension members', () => {
+    const res = fakeResponse();
+    sendProblem(res, { type: 'insufficient-stock', detail: 'Not enough mugs', productId: '1', available: 0 });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.contentType, PROBLEM_CONTENT_TYPE);
+    assert.deepEqual(res.sent, {
+      type: 'urn:mini-shop:problem:insufficient-stock',
+      title: 'Insufficient stock',
+      status: 409,
+      detail: 'Not enough mugs',
+      instance: '/checkout',
+      productId: '1',
+      available: 0
+    });
+  });
+
+  it('defaults to an invalid request whose detail lists the errors', () => {
+    const res = fakeResponse();
+    sendProblem(res, { errors: [{ in: 'body', field: 'quantity', message: 'must be >= 1' }] });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.sent.detail, 'quantity must be >= 1');
+  });
+
+  it('refuses unknown problem types', () => {
+    assert.throws(() => sendProblem(fakeResponse(), { type: 'teapot' }), /Unknown problem type: teapot/);
+  });
+});
+
+describe('requestValidator', () => {
+  const routes = {
+    'GET /products': {
+      query: {
+        type: 'object',
+        properties: { minPrice: { type: 'number' }, tags: { type: 'array', items: { type: 'string' } } }
+      }
+    }
+  };
+  const validateRoute = requestValidator(routes);
+
+  it('converts parameters to their declared types', () => {
+    const req = { params: {}, query: { minPrice: '9.5', tags: 'a,b' }, body: undefined };
+    let called = false;
+    validateRoute('GET /products')(req, fakeResponse(), () => { called = true; });
+
+    assert.ok(called);
+    assert.deepEqual(req.query, { minPrice: 9.5, tags: ['a', 'b'] });
+  });
+
+  it('answers 400 listing every invalid parameter', () => {
+    const res = fakeResponse({ baseUrl: '', path: '/products' });
+    validateRoute('GET /products')({ params: {}, query: { minPrice: 'cheap' } }, res, () => assert.fail('next called'));
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.sent.errors, [{ in: 'query', field: 'minPrice', message: 'must be number' }]);
+  });
+
+  it('refuses routes without a schema', () => {
+    assert.throws(() => validateRoute('GET /missing'), /No request schema for route: GET \/missing/);
+  });
+});
+
+describe('openApiDocument', () => {
+  it('documents error responses as problem documents', () => {
+    const document = openApiDocument({
+      info: { title: 'test', version: '1' },
+      routes: { 'GET /orders/:id': { summary: 'An order', responses: { 200: 'The order', 404: 'No such order' } } }
+    });
+    const { responses } = document.paths['/orders/{id}'].get;
+
+    assert.deepEqual(responses[200], { description: 'The order' });
+    assert.deepEqual(responses[404].content[PROBLEM_CONTENT_TYPE].schema, { $ref: '#/components/schemas/Problem' });
+  });
+});